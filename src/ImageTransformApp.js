@@ -1,70 +1,258 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import ControlPanel from './components/ControlPanel';
 import ImagePreview from './components/ImagePreview';
 
-// Import transformation functions
-import { 
-  applyContrast, 
-  applyBrightness, 
-  applySharpen, 
-  applyGrayscale, 
-  applyThreshold 
-} from './transformations/basicTransforms';
-import { 
-  applySobelEdgeDetection, 
-  applyCannyEdgeDetection 
-} from './transformations/edgeDetection';
-import { 
-  applySegmentation 
-} from './transformations/segmentation';
+import { createPipelineRunner, isAbortError } from './workers/pipelineRunner';
+import {
+  cloneImageData,
+  createStep,
+  duplicateStep,
+  getCommonPrefixLength,
+  getEnabledSteps,
+  moveStep,
+  toggleStep,
+  withLoadedImage
+} from './transformations/pipeline';
+import {
+  createDefaultTransform,
+  getDefaultParams,
+  getTransformation
+} from './transformations/registry';
+import {
+  encodePipelineHash,
+  readPipelineFromLocation,
+  writePipelineToLocation
+} from './transformations/pipelineUrl';
+import { debounce } from './utils/debounce';
+import {
+  canvasToBlob,
+  downloadBlob,
+  loadImageFromFile,
+  splitFilename
+} from './utils/imageFiles';
+import {
+  createHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory
+} from './utils/history';
+
+// Delays (ms) for live preview renders while a slider is being dragged
+const PREVIEW_DEBOUNCE_MS = 150;
+const PREVIEW_MAX_WAIT_MS = 400;
+
+// Delay (ms) before a pipeline change is written to the URL hash, so one
+// slider drag becomes a single browser history entry
+const URL_SYNC_DEBOUNCE_MS = 500;
 
 /**
  * Main component for the Image Transformation App
  * Coordinates transformation operations and manages state
  */
 const ImageTransformApp = () => {
+  // Undo/redo history of the loaded image and its transformation stack
+  // The initial stack comes from the URL hash, so shared links open with it
+  // Pipeline from the link the app was opened with
+  const [initialLink] = useState(readPipelineFromLocation);
+  const [history, setHistory] = useState(() => createHistory({
+    image: null,
+    imageName: null,
+    transformations: (initialLink.steps || []).map(createStep)
+  }));
+  
   // Image state
-  const [originalImage, setOriginalImage] = useState(null);
-  const [processedImage, setProcessedImage] = useState(null);
+  const originalImage = history.present.image;
+  const originalImageName = history.present.imageName;
+  const [processedImageData, setProcessedImageData] = useState(null);
+  // Histograms of the processed image, computed by the pipeline worker
+  const [processedHistograms, setProcessedHistograms] = useState(null);
+  
+  // Processing state for the worker pipeline
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
+  
+  // Message of the last operation that failed, e.g. a step that threw
+  const [error, setError] = useState(() => (
+    initialLink.error && `Could not open the pipeline link: ${initialLink.error.message}`
+  ));
+  
+  // Live preview state: whether unsaved edits to the current transform
+  // are rendered on top of the active stack
+  const [livePreview, setLivePreview] = useState(true);
+  const [hasPendingChanges, setHasPendingChanges] = useState(false);
   
   // Transformation state
-  const [activeTransformations, setActiveTransformations] = useState([]);
-  const [currentTransform, setCurrentTransform] = useState({
-    type: 'contrast',
-    params: {
-      contrastValue: 100,
-      brightnessValue: 100,
-      sharpnessValue: 0,
-      thresholdValue: 128,
-      cannyLow: 50,
-      cannyHigh: 150,
-      segmentTolerance: 20,
-      segmentMinSize: 100,
-      colorScheme: 'rainbow'
-    }
-  });
+  const activeTransformations = history.present.transformations;
+  const [editingStepId, setEditingStepId] = useState(null);
+  // Input image of the step being edited, for its on-image editor, with the
+  // read-outs the worker computed for it, as { stepId, imageData, readouts }
+  const [editingStepInput, setEditingStepInput] = useState(null);
+  const [currentTransform, setCurrentTransform] = useState(() => createDefaultTransform('contrast'));
   
   // Canvas references for image processing
   const canvasRef = useRef(null);
   const processedCanvasRef = useRef(null);
   
+  // Runner that executes the pipeline in a Web Worker
+  const pipelineRunnerRef = useRef(null);
+  
+  // Cached result of the committed stack, so previews only recompute the pending step
+  const committedCacheRef = useRef(null);
+  
+  // Id of the latest render, used to drop results that arrive out of order
+  const renderIdRef = useRef(0);
+  
+  // Debounced renderer used for live previews and in-place parameter edits
+  const previewRendererRef = useRef(null);
+  
+  // Latest renderPipeline, so the long-lived preview renderer never calls a stale one
+  const renderPipelineRef = useRef(null);
+  
+  // Set when the next render comes from a parameter edit and should be debounced
+  const debounceNextRenderRef = useRef(false);
+  
+  // Debounced writer that mirrors the stack into the URL hash
+  const urlWriterRef = useRef(null);
+  
   /**
-   * Handles image file uploads
+   * Effect to create the pipeline runner and the debounced preview renderer,
+   * and to stop both on unmount
    */
-  const handleImageUpload = (e) => {
+  useEffect(() => {
+    const runner = createPipelineRunner();
+    const previewRenderer = debounce(
+      (...args) => renderPipelineRef.current(...args),
+      PREVIEW_DEBOUNCE_MS,
+      PREVIEW_MAX_WAIT_MS
+    );
+    pipelineRunnerRef.current = runner;
+    previewRendererRef.current = previewRenderer;
+    
+    return () => {
+      previewRenderer.cancel();
+      runner.terminate();
+    };
+  }, []);
+  
+  /**
+   * Updates the transformation stack and records the change in the history.
+   * Changes sharing a coalesceKey in quick succession become one undo step.
+   */
+  const setActiveTransformations = (updater, coalesceKey) => {
+    setHistory(prev => {
+      const current = prev.present.transformations;
+      const transformations = typeof updater === 'function' ? updater(current) : updater;
+      if (transformations === current) {
+        return prev;
+      }
+      return pushHistory(prev, { ...prev.present, transformations }, { coalesceKey });
+    });
+  };
+
+  /**
+   * Restores the previous pipeline state
+   */
+  const undo = () => {
+    setHistory(undoHistory);
+  };
+
+  /**
+   * Re-applies the most recently undone pipeline state
+   */
+  const redo = () => {
+    setHistory(redoHistory);
+  };
+
+  /**
+   * Effect to bind Ctrl+Z / Ctrl+Shift+Z (and Ctrl+Y) to undo and redo.
+   * Text fields keep their native undo behaviour.
+   */
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      
+      const target = e.target;
+      const isTextField = target.tagName === 'TEXTAREA' ||
+        (target.tagName === 'INPUT' && !['range', 'checkbox', 'file'].includes(target.type));
+      if (isTextField) return;
+      
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        setHistory(e.shiftKey ? redoHistory : undoHistory);
+      } else if (key === 'y') {
+        e.preventDefault();
+        setHistory(redoHistory);
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  /**
+   * Effect to keep the URL hash in sync with the stack. Writes are debounced
+   * so dragging a slider adds one browser history entry rather than many.
+   */
+  useEffect(() => {
+    if (!urlWriterRef.current) {
+      urlWriterRef.current = debounce(writePipelineToLocation, URL_SYNC_DEBOUNCE_MS);
+    }
+    urlWriterRef.current(activeTransformations);
+  }, [activeTransformations]);
+
+  /**
+   * Effect to load the pipeline from the URL when the user navigates with the
+   * browser back/forward buttons or edits the hash
+   */
+  useEffect(() => {
+    const handlePopState = () => {
+      const { steps, error: linkError } = readPipelineFromLocation();
+      if (linkError) {
+        setError(`Could not open the pipeline link: ${linkError.message}`);
+        return;
+      }
+      
+      // Drop a pending write so it can't push the old pipeline back
+      if (urlWriterRef.current) {
+        urlWriterRef.current.cancel();
+      }
+      
+      setHistory(prev => {
+        const current = prev.present.transformations;
+        if (encodePipelineHash(current) === encodePipelineHash(steps)) {
+          return prev;
+        }
+        return pushHistory(prev, { ...prev.present, transformations: steps.map(createStep) });
+      });
+    };
+    
+    window.addEventListener('popstate', handlePopState);
+    return () => {
+      window.removeEventListener('popstate', handlePopState);
+      if (urlWriterRef.current) {
+        urlWriterRef.current.cancel();
+      }
+    };
+  }, []);
+
+  /**
+   * Handles image file uploads. The file is decoded through an object URL,
+   * so large photos are never held as a data URL string.
+   */
+  const handleImageUpload = async (e) => {
     const file = e.target.files[0];
-    if (file) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        const img = new Image();
-        img.onload = () => {
-          setOriginalImage(img);
-          // Clear any active transformations when uploading a new image
-          setActiveTransformations([]);
-        };
-        img.src = event.target.result;
-      };
-      reader.readAsDataURL(file);
+    if (!file) return;
+    
+    try {
+      const img = await loadImageFromFile(file);
+      // Keep the stack, e.g. a pipeline loaded from a shared link
+      setHistory(prev => pushHistory(prev, withLoadedImage(prev.present, img, file.name)));
+      setEditingStepId(null);
+      setHasPendingChanges(false);
+      setError(null);
+    } catch (loadError) {
+      setError(`Could not load image: ${loadError.message}`);
     }
   };
 
@@ -79,113 +267,359 @@ const ImageTransformApp = () => {
         [paramName]: value
       }
     }));
+    setHasPendingChanges(true);
   };
 
   /**
-   * Effect to reapply all transformations when active transformations change
-   * or when a new image is loaded
+   * Replaces the current transformation (e.g. when a different type is selected)
+   */
+  const changeCurrentTransform = (transform) => {
+    setCurrentTransform(transform);
+    setHasPendingChanges(true);
+  };
+
+  // Only enabled steps are sent to the pipeline
+  const enabledTransformations = useMemo(
+    () => getEnabledSteps(activeTransformations),
+    [activeTransformations]
+  );
+
+  // The current transform is previewed once it has been edited and not yet added
+  const pendingTransform = livePreview && hasPendingChanges && originalImage
+    ? currentTransform
+    : null;
+
+  /**
+   * Effect to re-render when active transformations change, when a new image
+   * is loaded, or when the previewed transform is edited. Previews and
+   * parameter edits are debounced so dragging a slider doesn't queue a
+   * render per input event.
    */
   useEffect(() => {
+    const shouldDebounce = debounceNextRenderRef.current;
+    debounceNextRenderRef.current = false;
+    
     if (originalImage && canvasRef.current && processedCanvasRef.current) {
-      applyAllTransformations();
+      if (pendingTransform || shouldDebounce) {
+        previewRendererRef.current(originalImage, enabledTransformations, pendingTransform);
+      } else {
+        previewRendererRef.current.cancel();
+        renderPipelineRef.current(originalImage, enabledTransformations, null);
+      }
+    } else if (!originalImage) {
+      // e.g. after undoing the first image load
+      setProcessedImageData(null);
+      setProcessedHistograms(null);
     }
-  }, [originalImage, activeTransformations]);
+  }, [originalImage, enabledTransformations, pendingTransform]);
 
   /**
    * Adds the current transform configuration to the active stack
    */
   const addCurrentTransform = () => {
-    setActiveTransformations(prev => [...prev, { ...currentTransform }]);
+    const step = createStep(currentTransform);
+    setActiveTransformations(prev => [...prev, step]);
+    setHasPendingChanges(false);
+    // Steps edited on the image open right away, so their handles show up
+    if (getTransformation(step.type).previewEditor) {
+      setEditingStepId(step.id);
+    }
+  };
+
+  /**
+   * Removes a transformation from the stack by id
+   */
+  const removeTransform = (id) => {
+    setActiveTransformations(prev => prev.filter(step => step.id !== id));
+    if (editingStepId === id) {
+      setEditingStepId(null);
+    }
+  };
+
+  /**
+   * Updates a parameter of a step that is already in the stack
+   */
+  const updateTransformParam = (id, paramName, value) => {
+    debounceNextRenderRef.current = true;
+    setActiveTransformations(prev => prev.map(step => (
+      step.id === id
+        ? { ...step, params: { ...step.params, [paramName]: value } }
+        : step
+    )), `${id}:${paramName}`);
+  };
+
+  /**
+   * Updates several parameters of a step at once, as a single undo step.
+   * Updates sharing a coalesceKey in quick succession are merged too.
+   */
+  const updateTransformParams = (id, params, coalesceKey) => {
+    debounceNextRenderRef.current = true;
+    setActiveTransformations(prev => prev.map(step => (
+      step.id === id
+        ? { ...step, params: { ...step.params, ...params } }
+        : step
+    )), coalesceKey);
+  };
+
+  /**
+   * Moves a step from one position in the stack to another
+   */
+  const moveTransform = (fromIndex, toIndex) => {
+    setActiveTransformations(prev => moveStep(prev, fromIndex, toIndex));
+  };
+
+  /**
+   * Enables or disables a step without removing it
+   */
+  const toggleTransform = (id) => {
+    setActiveTransformations(prev => toggleStep(prev, id));
   };
 
   /**
-   * Removes a transformation from the stack by index
+   * Inserts a copy of a step (with a new id) right after it
    */
-  const removeTransform = (index) => {
-    setActiveTransformations(prev => prev.filter((_, i) => i !== index));
+  const duplicateTransform = (id) => {
+    setActiveTransformations(prev => duplicateStep(prev, id));
   };
 
   /**
-   * Applies all active transformations in sequence
+   * Draws the original image on the hidden canvas and reads its pixels
    */
-  const applyAllTransformations = () => {
-    // Draw original image on canvas first
+  const readOriginalImageData = useCallback((image) => {
     const canvas = canvasRef.current;
     const ctx = canvas.getContext('2d');
-    canvas.width = originalImage.width;
-    canvas.height = originalImage.height;
-    ctx.drawImage(originalImage, 0, 0);
+    canvas.width = image.width;
+    canvas.height = image.height;
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  }, []);
+
+  /**
+   * Shows the given image data and histograms as the processed image
+   */
+  const displayResult = ({ imageData, histograms }) => {
+    const processedCanvas = processedCanvasRef.current;
+    processedCanvas.width = imageData.width;
+    processedCanvas.height = imageData.height;
+    const processedCtx = processedCanvas.getContext('2d');
+    processedCtx.putImageData(imageData, 0, 0);
+    setProcessedImageData(imageData);
+    setProcessedHistograms(histograms);
+  };
+
+  /**
+   * Returns the result of the committed stack as { imageData, histograms },
+   * reusing the cached result. If the cached stack is a prefix of the
+   * requested one, only the remaining steps are computed.
+   */
+  const getCommittedResult = async (image, transformations, onProgress) => {
+    const cache = committedCacheRef.current;
+    let start = 0;
+    let input = null;
     
-    // Start with the original image data
-    let currentImageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    if (cache && cache.image === image) {
+      const prefixLength = getCommonPrefixLength(cache.transformations, transformations);
+      if (prefixLength === cache.transformations.length) {
+        if (prefixLength === transformations.length) {
+          return cache.result;
+        }
+        start = prefixLength;
+        input = cloneImageData(cache.result.imageData);
+      }
+    }
     
-    // Apply each transformation in sequence
-    for (const transform of activeTransformations) {
-      currentImageData = applyTransformation(currentImageData, transform);
+    if (!input) {
+      input = readOriginalImageData(image);
     }
     
-    // Display the final result
-    const processedCanvas = processedCanvasRef.current;
-    processedCanvas.width = canvas.width;
-    processedCanvas.height = canvas.height;
-    const processedCtx = processedCanvas.getContext('2d');
-    processedCtx.putImageData(currentImageData, 0, 0);
-    setProcessedImage(processedCanvas.toDataURL('image/png'));
-  };
-
-  /**
-   * Applies a single transformation based on its type and parameters
-   */
-  const applyTransformation = (imageData, transform) => {
-    const { type, params } = transform;
-    
-    switch (type) {
-      case 'contrast':
-        return applyContrast(imageData, params.contrastValue);
-      case 'brightness':
-        return applyBrightness(imageData, params.brightnessValue);
-      case 'sharpening':
-        return applySharpen(imageData, params.sharpnessValue);
-      case 'threshold':
-        return applyThreshold(imageData, params.thresholdValue);
-      case 'grayscale':
-        return applyGrayscale(imageData);
-      case 'edges':
-        return applySobelEdgeDetection(imageData);
-      case 'canny':
-        return applyCannyEdgeDetection(imageData, params.cannyLow, params.cannyHigh);
-      case 'segmentation':
-        return applySegmentation(
-          imageData,
-          params.segmentTolerance,
-          params.segmentMinSize,
-          params.colorScheme
+    const result = await pipelineRunnerRef.current.runWithHistograms(
+      input,
+      transformations.slice(start),
+      (step, total, type) => onProgress(start + step, type)
+    );
+    committedCacheRef.current = { image, transformations, result };
+    return result;
+  };
+
+  /**
+   * Renders the committed stack plus an optional pending transform.
+   * The pipeline runs in a Web Worker; a newer render cancels an older one.
+   */
+  const renderPipeline = async (image, transformations, pending) => {
+    const renderId = ++renderIdRef.current;
+    const total = transformations.length + (pending ? 1 : 0);
+    const reportProgress = (step, type) => setProgress({ step, total, type });
+    
+    setIsProcessing(true);
+    setProgress(null);
+    
+    try {
+      let result = await getCommittedResult(image, transformations, reportProgress);
+      
+      // Apply the pending transform on a copy so the cache stays intact
+      if (pending) {
+        result = await pipelineRunnerRef.current.runWithHistograms(
+          cloneImageData(result.imageData),
+          [pending],
+          (step, stepTotal, type) => reportProgress(transformations.length, type)
         );
-      default:
-        return imageData; // Return original if transform type not recognized
+      }
+      
+      if (renderId !== renderIdRef.current) return;
+      displayResult(result);
+      setIsProcessing(false);
+      setProgress(null);
+      setError(null);
+    } catch (renderError) {
+      // A newer render has taken over and will clear the busy state itself
+      if (isAbortError(renderError)) return;
+      setError(`Could not apply the transformations: ${renderError.message}`);
+      setIsProcessing(false);
+      setProgress(null);
+    }
+  };
+  renderPipelineRef.current = renderPipeline;
+
+  /**
+   * Replaces the stack with steps loaded from a preset or file
+   */
+  const loadPipeline = (steps) => {
+    setActiveTransformations(steps.map(createStep));
+    setEditingStepId(null);
+  };
+
+  /**
+   * Saves the processed image as a file in the chosen format.
+   * Encoding goes through canvas.toBlob, so no data URL is ever built.
+   */
+  const handleSaveImage = async ({ format, quality, filename }) => {
+    if (!processedImageData) return;
+    
+    let canvas = processedCanvasRef.current;
+    
+    // JPEG has no alpha channel, so flatten onto white instead of black
+    if (format.id === 'jpeg') {
+      const flattened = document.createElement('canvas');
+      flattened.width = canvas.width;
+      flattened.height = canvas.height;
+      const ctx = flattened.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, flattened.width, flattened.height);
+      ctx.drawImage(canvas, 0, 0);
+      canvas = flattened;
+    }
+    
+    try {
+      const blob = await canvasToBlob(canvas, format.mimeType, format.lossy ? quality : undefined);
+      
+      // Browsers without an encoder for the format fall back to PNG
+      const name = blob.type === format.mimeType
+        ? filename
+        : filename.replace(/\.[^.]+$/, '.png');
+      downloadBlob(blob, name);
+    } catch (saveError) {
+      setError(`Could not save image: ${saveError.message}`);
     }
   };
 
   /**
-   * Saves the processed image as a file
+   * Computes the input image of a step by running the enabled steps before
+   * it on the given runner, which should be separate so renders are left alone.
+   * Given the step's type, the worker also computes its read-outs.
+   */
+  const computeStepInput = useCallback((runner, precedingSteps, analyzeType) => runner.runWithReadouts(
+    readOriginalImageData(originalImage),
+    getEnabledSteps(precedingSteps),
+    analyzeType
+  ), [originalImage, readOriginalImageData]);
+
+  /**
+   * Downloads data exported by a step, e.g. a segmentation label map.
+   * Exports are computed from the step's input image.
    */
-  const handleSaveImage = () => {
-    if (processedImage) {
-      const link = document.createElement('a');
-      link.href = processedImage;
-      link.download = 'processed-image.png';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
+  const exportStepData = async (stepId, exportId) => {
+    const index = activeTransformations.findIndex(step => step.id === stepId);
+    if (!originalImage || index === -1) return;
+    
+    const step = activeTransformations[index];
+    const exporter = getTransformation(step.type).exports.find(option => option.id === exportId);
+    const runner = createPipelineRunner();
+    
+    try {
+      const { imageData: input } = await computeStepInput(runner, activeTransformations.slice(0, index));
+      const data = exporter.create(input, { ...getDefaultParams(step.type), ...step.params });
+      const base = originalImageName ? splitFilename(originalImageName).base : 'image';
+      downloadBlob(
+        new Blob([data], { type: exporter.mimeType }),
+        `${base}-${exporter.id}.${exporter.extension}`
+      );
+    } catch (exportError) {
+      setError(`Could not export step data: ${exportError.message}`);
+    } finally {
+      runner.terminate();
     }
   };
 
+  // Enabled steps before the edited one, which alone determine its input
+  // image, as JSON so the key only changes when they do
+  const editingIndex = activeTransformations.findIndex(step => step.id === editingStepId);
+  const editingStep = activeTransformations[editingIndex];
+  const editingDefinition = editingStep && getTransformation(editingStep.type);
+  const editingInputKey = editingIndex === -1
+    ? null
+    : JSON.stringify(getEnabledSteps(activeTransformations.slice(0, editingIndex)));
+
+  /**
+   * Effect to compute the input image of the step being edited, and its
+   * read-outs (such as the Otsu threshold), when it has read-outs or an
+   * on-image editor. Editing the step's own params doesn't change its input,
+   * so only earlier steps trigger a recompute.
+   */
+  useEffect(() => {
+    setEditingStepInput(null);
+    if (!originalImage || !editingDefinition) return;
+    if (!editingDefinition.analyze && !editingDefinition.previewEditor) return;
+    
+    const runner = createPipelineRunner();
+    const stepId = editingStepId;
+    computeStepInput(runner, JSON.parse(editingInputKey), editingDefinition.id)
+      .then(({ imageData, readouts }) => setEditingStepInput({ stepId, imageData, readouts }))
+      .catch(inputError => {
+        if (!isAbortError(inputError)) {
+          setError(`Could not compute the input of the edited step: ${inputError.message}`);
+        }
+      })
+      .finally(() => runner.terminate());
+    
+    return () => runner.terminate();
+  }, [originalImage, editingStepId, editingInputKey, editingDefinition, computeStepInput]);
+
+  // Read-outs of the step being edited, as { stepId, readouts }. They only
+  // depend on the input image, not on the step's params.
+  const stepReadouts = editingStepInput && editingStepInput.stepId === editingStepId &&
+    editingStepInput.readouts
+    ? { stepId: editingStepId, readouts: editingStepInput.readouts }
+    : null;
+
+  // On-image editor of the step being edited, shown over its input image
+  const stepEditor = editingDefinition && editingDefinition.previewEditor &&
+    editingStepInput && editingStepInput.stepId === editingStepId
+    ? {
+      type: editingDefinition.previewEditor,
+      imageData: editingStepInput.imageData,
+      params: { ...getDefaultParams(editingStep.type), ...editingStep.params },
+      // One drag becomes a single undo step
+      onChange: (params) => updateTransformParams(editingStepId, params, `${editingStepId}:editor`)
+    }
+    : null;
+
   /**
    * Clears all transformations
    */
   const resetImage = () => {
-    if (originalImage) {
+    if (originalImage && activeTransformations.length > 0) {
       setActiveTransformations([]);
+      setEditingStepId(null);
     }
   };
 
@@ -197,23 +631,48 @@ const ImageTransformApp = () => {
         {/* Left panel - controls */}
         <ControlPanel 
           currentTransform={currentTransform}
-          setCurrentTransform={setCurrentTransform}
+          setCurrentTransform={changeCurrentTransform}
           updateCurrentTransformParam={updateCurrentTransformParam}
           handleImageUpload={handleImageUpload}
           addCurrentTransform={addCurrentTransform}
           removeTransform={removeTransform}
+          updateTransformParam={updateTransformParam}
+          updateTransformParams={updateTransformParams}
+          moveTransform={moveTransform}
+          toggleTransform={toggleTransform}
+          duplicateTransform={duplicateTransform}
+          exportStepData={exportStepData}
+          stepReadouts={stepReadouts}
+          editingStepId={editingStepId}
+          setEditingStepId={setEditingStepId}
           resetImage={resetImage}
+          loadPipeline={loadPipeline}
           activeTransformations={activeTransformations}
+          enabledTransformations={enabledTransformations}
           hasImage={!!originalImage}
+          undo={undo}
+          redo={redo}
+          canUndo={history.past.length > 0}
+          canRedo={history.future.length > 0}
+          livePreview={livePreview}
+          setLivePreview={setLivePreview}
         />
         
         {/* Right panel - images */}
         <ImagePreview 
           originalImage={originalImage}
-          processedImage={processedImage}
+          processedImageData={processedImageData}
+          processedHistograms={processedHistograms}
           handleSaveImage={handleSaveImage}
+          defaultFilename={originalImageName ? `${splitFilename(originalImageName).base}-processed` : 'processed-image'}
           canvasRef={canvasRef}
           processedCanvasRef={processedCanvasRef}
+          isProcessing={isProcessing}
+          progress={progress}
+          isPreview={!!pendingTransform}
+          stepEditor={stepEditor}
+          error={error}
+          onDismissError={() => setError(null)}
         />
       </div>
     </div>
@@ -0,0 +1,273 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { createPipelineRunner, isAbortError } from '../workers/pipelineRunner';
+import {
+  loadImageFromFile,
+  canvasToBlob,
+  downloadBlob,
+  getOutputFilename,
+  collectDroppedFiles
+} from '../utils/imageFiles';
+import { createZip } from '../utils/zip';
+
+// Status labels and colors for the per-file progress list
+const STATUS_STYLES = {
+  pending: { label: 'Waiting', className: 'text-gray-500' },
+  processing: { label: 'Processing...', className: 'text-blue-600' },
+  done: { label: 'Done', className: 'text-green-600' },
+  error: { label: 'Failed', className: 'text-red-600' },
+  cancelled: { label: 'Cancelled', className: 'text-gray-500' }
+};
+
+/**
+ * Runs the pipeline over a single image file and encodes the result as PNG
+ *
+ * @param {Object} runner - Pipeline runner used for the batch
+ * @param {File} file - The source image file
+ * @param {Array} transformations - Enabled pipeline steps
+ * @returns {Promise<Blob>} The processed PNG image
+ */
+const processImageFile = async (runner, file, transformations) => {
+  const img = await loadImageFromFile(file);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = img.width;
+  canvas.height = img.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(img, 0, 0);
+
+  const result = await runner.run(
+    ctx.getImageData(0, 0, canvas.width, canvas.height),
+    transformations
+  );
+
+  canvas.width = result.width;
+  canvas.height = result.height;
+  ctx.putImageData(result, 0, 0);
+  return canvasToBlob(canvas, 'image/png');
+};
+
+/**
+ * BatchPanel component for running the current pipeline over many images
+ * and downloading all results as a single zip archive
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.transformations - Enabled pipeline steps to apply
+ */
+const BatchPanel = ({ transformations }) => {
+  const [items, setItems] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  // Dedicated runner so batch jobs don't cancel the interactive preview
+  const runnerRef = useRef(null);
+  const cancelledRef = useRef(false);
+
+  // Files of the current batch, kept so a cancelled batch can be resumed
+  const filesRef = useRef([]);
+
+  useEffect(() => {
+    runnerRef.current = createPipelineRunner();
+    return () => runnerRef.current.terminate();
+  }, []);
+
+  /**
+   * Updates one entry of the progress list
+   */
+  const updateItem = (index, changes) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, ...changes } : item)));
+  };
+
+  /**
+   * Processes the waiting entries one after another. After a cancel, the
+   * interrupted entry and those still waiting are marked as cancelled.
+   */
+  const processPendingItems = async (batchItems) => {
+    setIsRunning(true);
+    cancelledRef.current = false;
+
+    for (let i = 0; i < batchItems.length; i++) {
+      if (batchItems[i].status !== 'pending') continue;
+      if (cancelledRef.current) {
+        updateItem(i, { status: 'cancelled' });
+        continue;
+      }
+
+      updateItem(i, { status: 'processing' });
+      try {
+        const blob = await processImageFile(runnerRef.current, filesRef.current[i].file, transformations);
+        updateItem(i, { status: 'done', blob });
+      } catch (error) {
+        if (isAbortError(error)) {
+          updateItem(i, { status: 'cancelled' });
+        } else {
+          updateItem(i, { status: 'error', error: error.message });
+        }
+      }
+    }
+
+    setIsRunning(false);
+  };
+
+  /**
+   * Starts a new batch with the given files
+   */
+  const runBatch = (files) => {
+    const usedNames = new Set();
+    const initialItems = files.map(({ file, path }) => ({
+      path,
+      outputName: getOutputFilename(path, 'png', usedNames),
+      status: file.type.startsWith('image/') ? 'pending' : 'error',
+      error: file.type.startsWith('image/') ? null : 'Not an image file',
+      blob: null
+    }));
+
+    filesRef.current = files;
+    setItems(initialItems);
+    processPendingItems(initialItems);
+  };
+
+  /**
+   * Processes the cancelled entries of the current batch again
+   */
+  const resumeBatch = () => {
+    const resumedItems = items.map(item => (
+      item.status === 'cancelled' ? { ...item, status: 'pending' } : item
+    ));
+    setItems(resumedItems);
+    processPendingItems(resumedItems);
+  };
+
+  /**
+   * Handles files picked with the file input
+   */
+  const handleFileSelect = (e) => {
+    const files = Array.from(e.target.files).map(file => ({
+      file,
+      path: file.webkitRelativePath || file.name
+    }));
+    e.target.value = '';
+    if (files.length > 0) {
+      runBatch(files);
+    }
+  };
+
+  /**
+   * Handles files and folders dropped on the drop zone
+   */
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragOver(false);
+    if (isRunning) return;
+
+    const files = await collectDroppedFiles(e.dataTransfer);
+    if (files.length > 0) {
+      runBatch(files);
+    }
+  };
+
+  /**
+   * Stops the batch after cancelling the image currently being processed
+   */
+  const cancelBatch = () => {
+    cancelledRef.current = true;
+    runnerRef.current.terminate();
+  };
+
+  /**
+   * Packs all processed images into a zip archive and downloads it
+   */
+  const downloadZip = async () => {
+    const finished = items.filter(item => item.status === 'done');
+    const entries = await Promise.all(finished.map(async item => ({
+      name: item.outputName,
+      data: new Uint8Array(await item.blob.arrayBuffer())
+    })));
+    downloadBlob(new Blob([createZip(entries)], { type: 'application/zip' }), 'processed-images.zip');
+  };
+
+  const doneCount = items.filter(item => item.status === 'done').length;
+  const errorCount = items.filter(item => item.status === 'error').length;
+  const cancelledCount = items.filter(item => item.status === 'cancelled').length;
+
+  return (
+    <div className="my-6 border-t border-gray-200 pt-4">
+      <h2 className="text-xl font-bold mb-4">Batch Processing</h2>
+
+      {/* Drop zone for files and folders */}
+      <div
+        onDragOver={(e) => {
+          e.preventDefault();
+          setIsDragOver(true);
+        }}
+        onDragLeave={() => setIsDragOver(false)}
+        onDrop={handleDrop}
+        className={`border-2 border-dashed rounded-md p-4 text-center text-sm ${isDragOver ? 'border-blue-500 bg-blue-50' : 'border-gray-300 text-gray-500'}`}
+      >
+        <p className="mb-2">Drop images or folders here to run the current pipeline on them</p>
+        <label className="text-blue-600 cursor-pointer underline">
+          or choose files
+          <input
+            type="file"
+            accept="image/*"
+            multiple
+            disabled={isRunning}
+            onChange={handleFileSelect}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {/* Per-file progress */}
+      {items.length > 0 && (
+        <>
+          <p className="mt-4 text-sm text-gray-700">
+            {doneCount} of {items.length} done
+            {errorCount > 0 ? `, ${errorCount} failed` : ''}
+            {cancelledCount > 0 ? `, ${cancelledCount} cancelled` : ''}
+          </p>
+          <ul className="mt-2 max-h-48 overflow-auto text-sm space-y-1">
+            {items.map(item => (
+              <li key={item.path} className="flex justify-between gap-2">
+                <span className="truncate" title={item.path}>{item.path}</span>
+                <span className={STATUS_STYLES[item.status].className} title={item.error || ''}>
+                  {item.status === 'error' ? `${STATUS_STYLES.error.label}: ${item.error}` : STATUS_STYLES[item.status].label}
+                </span>
+              </li>
+            ))}
+          </ul>
+
+          <div className="flex gap-2 mt-4">
+            {isRunning ? (
+              <button
+                onClick={cancelBatch}
+                className="flex-1 px-4 py-2 bg-red-500 text-white rounded-md"
+              >
+                Cancel
+              </button>
+            ) : (
+              <>
+                {cancelledCount > 0 && (
+                  <button
+                    onClick={resumeBatch}
+                    className="flex-1 px-4 py-2 bg-gray-200 text-gray-800 rounded-md"
+                  >
+                    Resume ({cancelledCount})
+                  </button>
+                )}
+                <button
+                  onClick={downloadZip}
+                  disabled={doneCount === 0}
+                  className="flex-1 px-4 py-2 bg-blue-500 text-white rounded-md disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  Download ZIP ({doneCount})
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BatchPanel;
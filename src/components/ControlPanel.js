@@ -1,5 +1,13 @@
 import React from 'react';
 import TransformationControls from './TransformationControls';
+import TransformationList from './TransformationList';
+import PresetPanel from './PresetPanel';
+import BatchPanel from './BatchPanel';
+import {
+  getTransformation,
+  listTransformationsByCategory,
+  createDefaultTransform
+} from '../transformations/registry';
 
 /**
  * ControlPanel component that provides the user interface for
@@ -12,9 +20,26 @@ import TransformationControls from './TransformationControls';
  * @param {Function} props.handleImageUpload - Function to handle image uploads
  * @param {Function} props.addCurrentTransform - Function to add current transform to active stack
  * @param {Function} props.removeTransform - Function to remove a transform from the stack
+ * @param {Function} props.updateTransformParam - Function to update a parameter of a step in the stack
+ * @param {Function} props.updateTransformParams - Function to update several parameters of a step at once
+ * @param {Function} props.moveTransform - Function to move a step to a new position
+ * @param {Function} props.toggleTransform - Function to enable or disable a step
+ * @param {Function} props.duplicateTransform - Function to duplicate a step
+ * @param {Function} props.exportStepData - Function to download data exported by a step
+ * @param {Object} props.stepReadouts - Read-outs of the step being edited, as { stepId, readouts }
+ * @param {string} props.editingStepId - Id of the step being edited in place
+ * @param {Function} props.setEditingStepId - Function to choose the step being edited
  * @param {Function} props.resetImage - Function to clear all transformations
+ * @param {Function} props.loadPipeline - Function to replace the stack with loaded steps
  * @param {Array} props.activeTransformations - List of active transformations
+ * @param {Array} props.enabledTransformations - Active transformations that are switched on
  * @param {boolean} props.hasImage - Whether an image is currently loaded
+ * @param {Function} props.undo - Function to undo the last pipeline edit
+ * @param {Function} props.redo - Function to redo the last undone edit
+ * @param {boolean} props.canUndo - Whether there is anything to undo
+ * @param {boolean} props.canRedo - Whether there is anything to redo
+ * @param {boolean} props.livePreview - Whether edits are previewed before being added
+ * @param {Function} props.setLivePreview - Function to toggle live preview
  */
 const ControlPanel = ({
   currentTransform,
@@ -23,21 +48,35 @@ const ControlPanel = ({
   handleImageUpload,
   addCurrentTransform,
   removeTransform,
+  updateTransformParam,
+  updateTransformParams,
+  moveTransform,
+  toggleTransform,
+  duplicateTransform,
+  exportStepData,
+  stepReadouts,
+  editingStepId,
+  setEditingStepId,
   resetImage,
+  loadPipeline,
   activeTransformations,
-  hasImage
+  enabledTransformations,
+  hasImage,
+  undo,
+  redo,
+  canUndo,
+  canRedo,
+  livePreview,
+  setLivePreview
 }) => {
-  // List of available transformations
-  const transformOptions = [
-    { value: 'contrast', label: 'Contrast' },
-    { value: 'brightness', label: 'Brightness' },
-    { value: 'sharpening', label: 'Sharpening' },
-    { value: 'grayscale', label: 'Grayscale' },
-    { value: 'threshold', label: 'Threshold' },
-    { value: 'edges', label: 'Edge Detection (Sobel)' },
-    { value: 'canny', label: 'Edge Detection (Canny)' },
-    { value: 'segmentation', label: 'Color by Segment' }
-  ];
+  // Available transformations, grouped by category
+  const transformGroups = listTransformationsByCategory();
+
+  // Find the label for a transformation type
+  const getTransformLabel = (type) => {
+    const definition = getTransformation(type);
+    return definition ? definition.label : type;
+  };
 
   return (
     <div className="w-full md:w-1/3 bg-white rounded-lg shadow-lg p-6 mb-6">
@@ -54,6 +93,26 @@ const ControlPanel = ({
         />
       </div>
       
+      {/* Undo/Redo Section */}
+      <div className="flex gap-2">
+        <button
+          onClick={undo}
+          disabled={!canUndo}
+          title="Undo (Ctrl+Z)"
+          className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-md disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Undo
+        </button>
+        <button
+          onClick={redo}
+          disabled={!canRedo}
+          title="Redo (Ctrl+Shift+Z)"
+          className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-md disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Redo
+        </button>
+      </div>
+      
       {/* Transformation Selection Section */}
       <div className="my-6 border-t border-gray-200 pt-4">
         <h2 className="text-xl font-bold mb-4">Add Transformation</h2>
@@ -64,16 +123,17 @@ const ControlPanel = ({
           </label>
           <select
             value={currentTransform.type}
-            onChange={(e) => setCurrentTransform({
-              ...currentTransform,
-              type: e.target.value
-            })}
+            onChange={(e) => setCurrentTransform(createDefaultTransform(e.target.value))}
             className="block w-full mt-1 rounded-md border-gray-300 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
           >
-            {transformOptions.map(option => (
-              <option key={option.value} value={option.value}>
-                {option.label}
-              </option>
+            {transformGroups.map(group => (
+              <optgroup key={group.category} label={group.category}>
+                {group.transformations.map(definition => (
+                  <option key={definition.id} value={definition.id}>
+                    {definition.label}
+                  </option>
+                ))}
+              </optgroup>
             ))}
           </select>
         </div>
@@ -84,6 +144,17 @@ const ControlPanel = ({
           updateParam={updateCurrentTransformParam}
         />
         
+        {/* Live Preview Toggle */}
+        <label className="flex items-center text-gray-700">
+          <input
+            type="checkbox"
+            checked={livePreview}
+            onChange={(e) => setLivePreview(e.target.checked)}
+            className="mr-2"
+          />
+          Live preview
+        </label>
+        
         {/* Add Transformation Button */}
         <button
           onClick={addCurrentTransform}
@@ -98,27 +169,20 @@ const ControlPanel = ({
       {activeTransformations.length > 0 && (
         <div className="my-6 border-t border-gray-200 pt-4">
           <h2 className="text-xl font-bold mb-4">Active Transformations</h2>
-          <ul className="space-y-2">
-            {activeTransformations.map((transform, index) => {
-              // Find the label for this transformation type
-              const transformOption = transformOptions.find(
-                option => option.value === transform.type
-              );
-              const label = transformOption ? transformOption.label : transform.type;
-              
-              return (
-                <li key={index} className="bg-gray-100 p-2 rounded flex justify-between items-center">
-                  <span className="font-medium">{index + 1}. {label}</span>
-                  <button
-                    onClick={() => removeTransform(index)}
-                    className="text-red-500 hover:text-red-700"
-                  >
-                    Remove
-                  </button>
-                </li>
-              );
-            })}
-          </ul>
+          <TransformationList
+            activeTransformations={activeTransformations}
+            getLabel={getTransformLabel}
+            editingStepId={editingStepId}
+            setEditingStepId={setEditingStepId}
+            updateTransformParam={updateTransformParam}
+            updateTransformParams={updateTransformParams}
+            moveTransform={moveTransform}
+            toggleTransform={toggleTransform}
+            duplicateTransform={duplicateTransform}
+            removeTransform={removeTransform}
+            exportStepData={exportStepData}
+            stepReadouts={stepReadouts}
+          />
           <button
             onClick={resetImage}
             className="mt-4 px-4 py-2 bg-red-500 text-white rounded-md w-full"
@@ -127,6 +191,15 @@ const ControlPanel = ({
           </button>
         </div>
       )}
+      
+      {/* Saved Pipelines Section */}
+      <PresetPanel
+        activeTransformations={activeTransformations}
+        loadPipeline={loadPipeline}
+      />
+      
+      {/* Batch Processing Section */}
+      <BatchPanel transformations={enabledTransformations} />
     </div>
   );
 };
@@ -0,0 +1,196 @@
+import React, { useEffect, useRef } from 'react';
+import { getCropRect, parseAspectRatio } from '../transformations/geometry';
+
+// Smallest selection the frame can be dragged to, in % of the image size
+const MIN_SIZE = 1;
+
+// Corner handles, as the corner's position within the frame (0 or 1)
+const CORNERS = [
+  { id: 'nw', fx: 0, fy: 0, cursor: 'nwse-resize' },
+  { id: 'ne', fx: 1, fy: 0, cursor: 'nesw-resize' },
+  { id: 'sw', fx: 0, fy: 1, cursor: 'nesw-resize' },
+  { id: 'se', fx: 1, fy: 1, cursor: 'nwse-resize' }
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Crop params are stored with one decimal, matching the sliders' step
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Computes the selection spanned from a fixed corner to the pointer, keeping
+ * the aspect ratio if there is one and staying inside the image
+ *
+ * @param {Object} anchor - Fixed corner as { x, y } in %
+ * @param {Object} pointer - Pointer position as { x, y } in %
+ * @param {number|null} ratio - Width / height in pixels, or null
+ * @param {number} imageRatio - Image width / height
+ * @returns {Object} Selection as { x, y, width, height } in %
+ */
+const spanSelection = (anchor, pointer, ratio, imageRatio) => {
+  const right = pointer.x >= anchor.x;
+  const down = pointer.y >= anchor.y;
+  const maxWidth = right ? 100 - anchor.x : anchor.x;
+  const maxHeight = down ? 100 - anchor.y : anchor.y;
+  let width = clamp(Math.abs(pointer.x - anchor.x), MIN_SIZE, maxWidth);
+  let height = clamp(Math.abs(pointer.y - anchor.y), MIN_SIZE, maxHeight);
+
+  if (ratio !== null) {
+    // The ratio of the % sizes that gives the pixel ratio
+    const percentRatio = ratio / imageRatio;
+    if (width / height > percentRatio) {
+      width = height * percentRatio;
+    } else {
+      height = width / percentRatio;
+    }
+    // Shrink both sides if the ratio pushed one past the image edge
+    const scale = Math.min(1, maxWidth / width, maxHeight / height);
+    width *= scale;
+    height *= scale;
+  }
+
+  return {
+    x: right ? anchor.x : anchor.x - width,
+    y: down ? anchor.y : anchor.y - height,
+    width,
+    height
+  };
+};
+
+/**
+ * CropEditor component showing a crop step's input image with a frame
+ * that can be moved and resized by dragging
+ *
+ * @param {Object} props - Component props
+ * @param {ImageData} props.imageData - Input image of the crop step
+ * @param {Object} props.params - The step's params
+ * @param {Function} props.onChange - Called with changed params
+ */
+const CropEditor = ({ imageData, params, onChange }) => {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  // Current drag as { mode: 'move' | 'resize', start, selection, anchor }
+  const dragRef = useRef(null);
+
+  const { width, height } = imageData;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+  }, [imageData]);
+
+  // The area the step will actually crop, in %
+  const rect = getCropRect(width, height, {
+    x: params.cropX,
+    y: params.cropY,
+    width: params.cropWidth,
+    height: params.cropHeight,
+    aspect: params.cropAspect
+  });
+  const selection = {
+    x: (rect.x / width) * 100,
+    y: (rect.y / height) * 100,
+    width: (rect.width / width) * 100,
+    height: (rect.height / height) * 100
+  };
+
+  // Pointer position in % of the displayed image
+  const getPointer = (e) => {
+    const box = containerRef.current.getBoundingClientRect();
+    return {
+      x: clamp(((e.clientX - box.left) / box.width) * 100, 0, 100),
+      y: clamp(((e.clientY - box.top) / box.height) * 100, 0, 100)
+    };
+  };
+
+  const startDrag = (e, corner) => {
+    e.preventDefault();
+    e.stopPropagation();
+    containerRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = corner
+      ? {
+        mode: 'resize',
+        anchor: {
+          x: selection.x + (1 - corner.fx) * selection.width,
+          y: selection.y + (1 - corner.fy) * selection.height
+        }
+      }
+      : { mode: 'move', start: getPointer(e), selection };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const pointer = getPointer(e);
+
+    let next;
+    if (drag.mode === 'move') {
+      next = {
+        ...drag.selection,
+        x: clamp(drag.selection.x + pointer.x - drag.start.x, 0, 100 - drag.selection.width),
+        y: clamp(drag.selection.y + pointer.y - drag.start.y, 0, 100 - drag.selection.height)
+      };
+    } else {
+      next = spanSelection(drag.anchor, pointer, parseAspectRatio(params.cropAspect), width / height);
+    }
+
+    onChange({
+      cropX: roundPercent(next.x),
+      cropY: roundPercent(next.y),
+      cropWidth: roundPercent(next.width),
+      cropHeight: roundPercent(next.height)
+    });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  // touch-action: none keeps touch drags from scrolling the page
+  return (
+    <div
+      ref={containerRef}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+      className="relative inline-block max-w-full overflow-hidden select-none"
+      style={{ touchAction: 'none' }}
+    >
+      <canvas ref={canvasRef} className="block max-w-full h-auto" />
+
+      {/* Frame; its shadow dims everything outside the selection */}
+      <div
+        onPointerDown={(e) => startDrag(e, null)}
+        className="absolute border-2 border-white cursor-move"
+        style={{
+          left: `${selection.x}%`,
+          top: `${selection.y}%`,
+          width: `${selection.width}%`,
+          height: `${selection.height}%`,
+          boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.5)'
+        }}
+      >
+        {CORNERS.map(corner => (
+          <div
+            key={corner.id}
+            onPointerDown={(e) => startDrag(e, corner)}
+            className="absolute w-3 h-3 bg-white border border-gray-700"
+            style={{
+              left: `calc(${corner.fx * 100}% - 6px)`,
+              top: `calc(${corner.fy * 100}% - 6px)`,
+              cursor: corner.cursor
+            }}
+          />
+        ))}
+      </div>
+
+      <p className="absolute bottom-1 left-1 px-1 text-xs text-white bg-black bg-opacity-50 rounded">
+        {rect.width} × {rect.height} px
+      </p>
+    </div>
+  );
+};
+
+export default CropEditor;
@@ -0,0 +1,213 @@
+import React, { useMemo, useState } from 'react';
+import {
+  HISTOGRAM_CHANNELS,
+  computeHistograms,
+  computeChannelStats
+} from '../utils/histogram';
+
+// Display name and plot color of each channel
+const CHANNEL_STYLES = {
+  r: { label: 'Red', color: '#ef4444' },
+  g: { label: 'Green', color: '#22c55e' },
+  b: { label: 'Blue', color: '#3b82f6' },
+  luminance: { label: 'Luminance', color: '#4b5563' }
+};
+
+// Channels plotted for each view
+const VIEWS = {
+  rgb: ['r', 'g', 'b'],
+  luminance: ['luminance']
+};
+
+// Height of the plot in SVG units; its width is one unit per value
+const PLOT_HEIGHT = 100;
+
+/**
+ * Reads the pixels of an image element through an offscreen canvas
+ *
+ * @param {HTMLImageElement} image - The image to read
+ * @returns {ImageData} The image's pixels
+ */
+const readImageData = (image) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = image.width;
+  canvas.height = image.height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(image, 0, 0);
+  return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Adds the statistics shown for one image to its histograms
+ *
+ * @param {Object} histograms - Result of computeHistograms
+ * @returns {Object} Analysis as { histograms, stats } keyed by channel
+ */
+const analyzeHistograms = (histograms) => {
+  const stats = {};
+  HISTOGRAM_CHANNELS.forEach(channel => {
+    stats[channel] = computeChannelStats(histograms[channel], histograms.pixelCount);
+  });
+  return { histograms, stats };
+};
+
+/**
+ * Builds an SVG path outlining a histogram as a filled area
+ *
+ * @param {Uint32Array} histogram - Pixel count per value
+ * @param {number} peak - Count drawn at full height
+ * @param {boolean} logScale - Whether counts are drawn on a log scale
+ * @returns {string} Path data
+ */
+const getAreaPath = (histogram, peak, logScale) => {
+  const scale = (count) => (logScale ? Math.log1p(count) / Math.log1p(peak) : count / peak);
+  let path = `M0 ${PLOT_HEIGHT}`;
+  for (let value = 0; value < 256; value++) {
+    const y = PLOT_HEIGHT - scale(histogram[value]) * PLOT_HEIGHT;
+    path += ` L${value} ${y} L${value + 1} ${y}`;
+  }
+  return `${path} L256 ${PLOT_HEIGHT} Z`;
+};
+
+const formatPercent = (fraction) => `${(fraction * 100).toFixed(2)}%`;
+
+/**
+ * Histogram plot and statistics table of one image
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.title - Heading, e.g. 'Original'
+ * @param {Object} props.analysis - Result of analyzeHistograms
+ * @param {Array} props.channels - Channels to plot
+ * @param {boolean} props.logScale - Whether counts are drawn on a log scale
+ */
+const HistogramView = ({ title, analysis, channels, logScale }) => {
+  const { histograms, stats } = analysis;
+  // Shared peak so the plotted channels stay comparable
+  const peak = Math.max(1, ...channels.map(channel => Math.max(...histograms[channel])));
+
+  return (
+    <div className="flex-1 min-w-0">
+      <h3 className="font-bold mb-2">{title}</h3>
+      <svg
+        viewBox={`0 0 256 ${PLOT_HEIGHT}`}
+        preserveAspectRatio="none"
+        className="w-full h-32 bg-gray-50 border border-gray-300"
+      >
+        {channels.map(channel => (
+          <path
+            key={channel}
+            d={getAreaPath(histograms[channel], peak, logScale)}
+            fill={CHANNEL_STYLES[channel].color}
+            fillOpacity={channels.length > 1 ? 0.4 : 0.7}
+          />
+        ))}
+      </svg>
+
+      <table className="w-full mt-2 text-sm text-right">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-normal">Channel</th>
+            <th className="font-normal">Min</th>
+            <th className="font-normal">Max</th>
+            <th className="font-normal">Mean</th>
+            <th className="font-normal">Std Dev</th>
+            <th className="font-normal" title="Pixels at 0 / at 255">Clipped</th>
+          </tr>
+        </thead>
+        <tbody>
+          {HISTOGRAM_CHANNELS.map(channel => {
+            const channelStats = stats[channel];
+            return (
+              <tr key={channel}>
+                <td className="text-left" style={{ color: CHANNEL_STYLES[channel].color }}>
+                  {CHANNEL_STYLES[channel].label}
+                </td>
+                <td>{channelStats.min}</td>
+                <td>{channelStats.max}</td>
+                <td>{channelStats.mean.toFixed(1)}</td>
+                <td>{channelStats.stdDev.toFixed(1)}</td>
+                <td>
+                  {formatPercent(channelStats.clippedShadows)} / {formatPercent(channelStats.clippedHighlights)}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+/**
+ * HistogramPanel component comparing the tonal range of the original and
+ * processed images, with per-channel statistics. The processed image's
+ * histograms come from the pipeline worker, so previews don't recount its
+ * pixels on the main thread; the original is counted once per image.
+ *
+ * @param {Object} props - Component props
+ * @param {Image} props.originalImage - The original image object
+ * @param {Object} props.processedHistograms - Histograms of the processed image
+ */
+const HistogramPanel = ({ originalImage, processedHistograms }) => {
+  const [view, setView] = useState('rgb');
+  const [logScale, setLogScale] = useState(false);
+
+  const originalAnalysis = useMemo(
+    () => (originalImage ? analyzeHistograms(computeHistograms(readImageData(originalImage))) : null),
+    [originalImage]
+  );
+  const processedAnalysis = useMemo(
+    () => (processedHistograms ? analyzeHistograms(processedHistograms) : null),
+    [processedHistograms]
+  );
+
+  if (!originalAnalysis) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h2 className="text-xl font-bold">Histogram</h2>
+        <div className="flex items-center gap-4">
+          <select
+            value={view}
+            onChange={(e) => setView(e.target.value)}
+            className="rounded-md border-gray-300 shadow-sm"
+          >
+            <option value="rgb">RGB</option>
+            <option value="luminance">Luminance</option>
+          </select>
+          <label className="flex items-center text-gray-700">
+            <input
+              type="checkbox"
+              checked={logScale}
+              onChange={(e) => setLogScale(e.target.checked)}
+              className="mr-2"
+            />
+            Log scale
+          </label>
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-4">
+        <HistogramView
+          title="Original"
+          analysis={originalAnalysis}
+          channels={VIEWS[view]}
+          logScale={logScale}
+        />
+        {processedAnalysis && (
+          <HistogramView
+            title="Processed"
+            analysis={processedAnalysis}
+            channels={VIEWS[view]}
+            logScale={logScale}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HistogramPanel;
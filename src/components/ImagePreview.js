@@ -1,25 +1,98 @@
-import React, { useRef, useEffect } from 'react';
+import React, { useRef, useEffect, useState } from 'react';
+import SaveDialog from './SaveDialog';
+import HistogramPanel from './HistogramPanel';
+import CropEditor from './CropEditor';
+import PerspectiveEditor from './PerspectiveEditor';
+
+// Components of the on-image editors, keyed by a definition's previewEditor
+const PREVIEW_EDITORS = {
+  crop: CropEditor,
+  perspective: PerspectiveEditor
+};
 
 /**
- * ImagePreview component for displaying original and processed images side by side
+ * Caption with an image's size in pixels
+ *
+ * @param {Object} props - Component props
+ * @param {number} props.width - Image width
+ * @param {number} props.height - Image height
+ */
+const ImageSize = ({ width, height }) => (
+  <p className="text-sm text-gray-500 text-center mt-2">{width} × {height} px</p>
+);
+
+/**
+ * ImagePreview component for displaying original and processed images side by side,
+ * with their histograms below
  * 
  * @param {Object} props - Component props
  * @param {Image} props.originalImage - The original image object
- * @param {string} props.processedImage - Data URL of the processed image
- * @param {Function} props.handleSaveImage - Function to save the processed image
+ * @param {ImageData} props.processedImageData - Pixels of the processed image
+ * @param {Object} props.processedHistograms - Histograms of the processed image
+ * @param {Function} props.handleSaveImage - Function to save the processed image with { format, quality, filename }
+ * @param {string} props.defaultFilename - Suggested file name (without extension) for saving
  * @param {React.RefObject} props.canvasRef - Reference to the original canvas
  * @param {React.RefObject} props.processedCanvasRef - Reference to the processed canvas
+ * @param {boolean} props.isProcessing - Whether the pipeline is currently running
+ * @param {Object} props.progress - Current pipeline progress as { step, total, type }
+ * @param {boolean} props.isPreview - Whether the processed image includes an unsaved transform
+ * @param {Object} props.stepEditor - On-image editor of the step being edited, as
+ *                                    { type, imageData, params, onChange }, or null
+ * @param {string} props.error - Message of the last failed operation, or null
+ * @param {Function} props.onDismissError - Function to clear the error
  */
 const ImagePreview = ({ 
   originalImage, 
-  processedImage, 
+  processedImageData, 
+  processedHistograms,
   handleSaveImage, 
+  defaultFilename,
   canvasRef, 
-  processedCanvasRef 
+  processedCanvasRef,
+  isProcessing,
+  progress,
+  isPreview,
+  stepEditor,
+  error,
+  onDismissError
 }) => {
+  const [isSaveDialogOpen, setIsSaveDialogOpen] = useState(false);
+  const StepEditor = stepEditor ? PREVIEW_EDITORS[stepEditor.type] : null;
+  
+  // Canvas showing the original image
+  const originalDisplayRef = useRef(null);
+  
+  /**
+   * Effect to draw the original image. It can't be shown through its src,
+   * since the object URL it was loaded from is revoked once it has decoded.
+   */
+  useEffect(() => {
+    if (!originalImage) return;
+    const canvas = originalDisplayRef.current;
+    canvas.width = originalImage.width;
+    canvas.height = originalImage.height;
+    canvas.getContext('2d').drawImage(originalImage, 0, 0);
+  }, [originalImage]);
   
   return (
     <div className="w-full">
+      {/* Failed render, load, save or export, or an invalid pipeline link */}
+      {error && (
+        <div
+          role="alert"
+          className="flex items-start justify-between gap-4 mb-4 p-3 bg-red-50 border border-red-200 rounded-md"
+        >
+          <p className="text-sm text-red-600 whitespace-pre-line">{error}</p>
+          <button
+            onClick={onDismissError}
+            className="text-red-500 hover:text-red-700"
+            aria-label="Dismiss error"
+          >
+            ×
+          </button>
+        </div>
+      )}
+      
       {/* Side-by-side image display */}
       <div className="flex flex-col md:flex-row gap-4 mb-4">
         {/* Original Image Card */}
@@ -35,10 +108,10 @@ const ImagePreview = ({
             
             {/* Display original image */}
             {originalImage ? (
-              <img 
-                src={originalImage.src} 
-                alt="Original" 
-                className="max-w-full h-auto mx-auto" 
+              <canvas 
+                ref={originalDisplayRef} 
+                aria-label="Original" 
+                className="block max-w-full h-auto mx-auto" 
               />
             ) : (
               <div className="flex items-center justify-center border border-gray-300 h-64">
@@ -46,43 +119,100 @@ const ImagePreview = ({
               </div>
             )}
           </div>
+          {originalImage && (
+            <ImageSize width={originalImage.width} height={originalImage.height} />
+          )}
         </div>
         
         {/* Processed Image Card */}
         <div className="bg-white rounded-lg shadow-lg p-4 flex-1">
-          <h2 className="text-xl font-bold mb-4">Processed Image</h2>
-          <div className="w-full overflow-auto">
-            {/* Hidden canvas used for processed image data */}
+          <h2 className="text-xl font-bold mb-4">
+            Processed Image
+            {StepEditor ? (
+              <span className="ml-2 text-sm font-normal text-blue-600">(editing step input)</span>
+            ) : isPreview && (
+              <span className="ml-2 text-sm font-normal text-blue-600">(preview)</span>
+            )}
+          </h2>
+          <div className="w-full overflow-auto relative">
+            {/* Busy indicator while the worker pipeline runs */}
+            {isProcessing && (
+              <div className="absolute inset-0 flex flex-col items-center justify-center bg-white bg-opacity-75 z-10">
+                <p className="text-gray-700 font-medium">
+                  {progress
+                    ? `Processing step ${progress.step + 1} of ${progress.total} (${progress.type})...`
+                    : 'Processing...'}
+                </p>
+                {progress && (
+                  <div className="w-2/3 h-2 mt-2 bg-gray-200 rounded">
+                    <div
+                      className="h-2 bg-blue-500 rounded"
+                      style={{ width: `${((progress.step + 1) / progress.total) * 100}%` }}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+            
+            {/* While a step with an on-image editor is edited, its input is shown instead */}
+            {StepEditor && (
+              <div className="text-center">
+                <StepEditor
+                  imageData={stepEditor.imageData}
+                  params={stepEditor.params}
+                  onChange={stepEditor.onChange}
+                />
+              </div>
+            )}
+            
+            {/* Canvas holding the processed image, shown once there is a result */}
             <canvas 
               ref={processedCanvasRef} 
-              className="max-w-full h-auto border border-gray-300" 
-              style={{ display: 'none' }} 
+              className="max-w-full h-auto mx-auto" 
+              style={{ display: processedImageData && !StepEditor ? 'block' : 'none' }} 
             />
             
-            {/* Display processed image */}
-            {processedImage ? (
-              <img 
-                src={processedImage} 
-                alt="Processed" 
-                className="max-w-full h-auto mx-auto" 
-              />
-            ) : (
+            {!processedImageData && !StepEditor && (
               <div className="flex items-center justify-center border border-gray-300 h-64">
                 <p className="text-gray-500">No transformations applied yet</p>
               </div>
             )}
           </div>
+          {processedImageData && !StepEditor && (
+            <ImageSize width={processedImageData.width} height={processedImageData.height} />
+          )}
           
           {/* Save Button */}
           <button
-            onClick={handleSaveImage}
-            disabled={!processedImage}
+            onClick={() => setIsSaveDialogOpen(true)}
+            disabled={!processedImageData || isProcessing || isPreview}
             className="mt-4 px-4 py-2 bg-blue-500 text-white rounded-md disabled:bg-gray-300 disabled:cursor-not-allowed"
           >
             Save Processed Image
           </button>
+          {/* The canvas shows the pending transform, which isn't part of the stack yet */}
+          {isPreview && (
+            <p className="mt-1 text-sm text-gray-500">Add the previewed transformation or turn off live preview to save</p>
+          )}
+          
+          {isSaveDialogOpen && (
+            <SaveDialog
+              defaultFilename={defaultFilename}
+              onSave={(options) => {
+                setIsSaveDialogOpen(false);
+                handleSaveImage(options);
+              }}
+              onClose={() => setIsSaveDialogOpen(false)}
+            />
+          )}
         </div>
       </div>
+      
+      {/* Tonal range of both images */}
+      <HistogramPanel
+        originalImage={originalImage}
+        processedHistograms={processedHistograms}
+      />
     </div>
   );
 };
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+
+/**
+ * Resizes a kernel matrix, keeping its values centered
+ *
+ * @param {Array} values - Current values in row order
+ * @param {number} size - Current size
+ * @param {number} newSize - New size
+ * @returns {Array} Values of the resized matrix, new cells set to 0
+ */
+const resizeKernel = (values, size, newSize) => {
+  const offset = (newSize - size) / 2;
+  const resized = new Array(newSize * newSize).fill(0);
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const ny = y + offset;
+      const nx = x + offset;
+      if (ny >= 0 && ny < newSize && nx >= 0 && nx < newSize) {
+        resized[ny * newSize + nx] = values[y * size + x];
+      }
+    }
+  }
+  return resized;
+};
+
+/**
+ * KernelEditor component for entering a convolution matrix as a grid of
+ * numbers, along with its divisor and bias
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.spec - The 'kernel' parameter spec
+ * @param {Object} props.value - Kernel as { size, values, divisor, bias }
+ * @param {Function} props.onChange - Called with the updated kernel
+ */
+const KernelEditor = ({ spec, value, onChange }) => {
+  // Text being typed into a field, keyed by field; only parsed numbers reach
+  // the kernel so half-typed input like "-" or "0." isn't reset
+  const [drafts, setDrafts] = useState({});
+
+  const { size, values, divisor, bias } = value;
+
+  /**
+   * Updates a numeric field, keeping the raw text until focus leaves it
+   */
+  const handleNumberChange = (field, text, apply) => {
+    setDrafts(prev => ({ ...prev, [field]: text }));
+    const number = Number(text);
+    if (text.trim() !== '' && Number.isFinite(number)) {
+      apply(number);
+    }
+  };
+
+  const clearDraft = (field) => {
+    setDrafts(prev => {
+      const { [field]: removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const renderNumberInput = (field, number, apply, className) => (
+    <input
+      type="text"
+      inputMode="decimal"
+      value={drafts[field] !== undefined ? drafts[field] : String(number)}
+      onChange={(e) => handleNumberChange(field, e.target.value, apply)}
+      onBlur={() => clearDraft(field)}
+      className={className}
+    />
+  );
+
+  const setCell = (index, number) => {
+    onChange({ ...value, values: values.map((v, i) => (i === index ? number : v)) });
+  };
+
+  const setSize = (newSize) => {
+    setDrafts({});
+    onChange({ ...value, size: newSize, values: resizeKernel(values, size, newSize) });
+  };
+
+  const applyPreset = (label) => {
+    const preset = spec.presets.find(option => option.label === label);
+    if (preset) {
+      setDrafts({});
+      onChange({ ...preset.value, values: [...preset.value.values] });
+    }
+  };
+
+  // Divides by the sum of the weights so flat areas keep their brightness
+  const normalize = () => {
+    const sum = values.reduce((total, v) => total + v, 0);
+    clearDraft('divisor');
+    onChange({ ...value, divisor: sum === 0 ? 1 : sum });
+  };
+
+  const cellClassName = 'w-full min-w-0 rounded border border-gray-300 px-1 py-1 text-center text-sm';
+  const fieldClassName = 'w-20 rounded border border-gray-300 px-2 py-1 text-sm';
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 font-bold mb-2">
+        {spec.label}
+      </label>
+
+      <div className="flex gap-2 mb-2">
+        {spec.presets && (
+          <select
+            value=""
+            onChange={(e) => applyPreset(e.target.value)}
+            className="flex-1 rounded-md border-gray-300 shadow-sm text-sm"
+          >
+            <option value="" disabled>Load preset...</option>
+            {spec.presets.map(preset => (
+              <option key={preset.label} value={preset.label}>
+                {preset.label}
+              </option>
+            ))}
+          </select>
+        )}
+        <select
+          value={size}
+          onChange={(e) => setSize(Number(e.target.value))}
+          className="rounded-md border-gray-300 shadow-sm text-sm"
+        >
+          {spec.sizes.map(option => (
+            <option key={option} value={option}>
+              {option}x{option}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {/* Matrix cells */}
+      <div
+        className="grid gap-1 mb-2"
+        style={{ gridTemplateColumns: `repeat(${size}, minmax(0, 1fr))` }}
+      >
+        {values.map((number, index) => (
+          <React.Fragment key={`${size}-${index}`}>
+            {renderNumberInput(`cell-${index}`, number, n => setCell(index, n), cellClassName)}
+          </React.Fragment>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 text-sm text-gray-700">
+        <span>Divisor</span>
+        {renderNumberInput('divisor', divisor, n => {
+          if (n !== 0) onChange({ ...value, divisor: n });
+        }, fieldClassName)}
+        <button
+          type="button"
+          onClick={normalize}
+          className="px-2 py-1 bg-gray-200 rounded"
+          title="Set the divisor to the sum of the weights"
+        >
+          Auto
+        </button>
+        <span>Bias</span>
+        {renderNumberInput('bias', bias, n => onChange({ ...value, bias: n }), fieldClassName)}
+      </div>
+
+      {spec.description && (
+        <p className="text-sm text-gray-500 mt-1">{spec.description}</p>
+      )}
+    </div>
+  );
+};
+
+export default KernelEditor;
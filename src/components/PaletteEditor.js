@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { HEX_COLOR_PATTERN } from '../transformations/registry';
+import { generateDistinctColors, rgbToHex } from '../utils/colorUtils';
+
+// Limits of the generator's color count
+const MIN_GENERATED = 2;
+const MAX_GENERATED = 32;
+
+/**
+ * Generates a palette of well separated colors
+ *
+ * @param {number} count - Number of colors
+ * @returns {Array} Colors as '#rrggbb' strings
+ */
+const generatePalette = (count) => (
+  generateDistinctColors(count).map(([r, g, b]) => rgbToHex(r, g, b))
+);
+
+/**
+ * PaletteEditor component for a list of colors that are cycled across
+ * segments. Colors can be picked, typed as hex codes or generated.
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.spec - The 'palette' parameter spec
+ * @param {Array} props.value - Colors as '#rrggbb' strings
+ * @param {Function} props.onChange - Called with the updated colors
+ */
+const PaletteEditor = ({ spec, value, onChange }) => {
+  // Hex codes being typed, keyed by index; only valid colors reach the palette
+  const [drafts, setDrafts] = useState({});
+  const [generateCount, setGenerateCount] = useState(value.length);
+
+  const setColor = (index, color) => {
+    onChange(value.map((c, i) => (i === index ? color : c)));
+  };
+
+  const handleHexChange = (index, text) => {
+    setDrafts(prev => ({ ...prev, [index]: text }));
+    const color = text.startsWith('#') ? text : `#${text}`;
+    if (HEX_COLOR_PATTERN.test(color)) {
+      setColor(index, color.toLowerCase());
+    }
+  };
+
+  const removeColor = (index) => {
+    setDrafts({});
+    onChange(value.filter((c, i) => i !== index));
+  };
+
+  const addColor = () => {
+    // The generator starts at a random hue, so the new color varies
+    onChange([...value, generatePalette(1)[0]]);
+  };
+
+  const generate = () => {
+    setDrafts({});
+    onChange(generatePalette(generateCount));
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-gray-700 font-bold mb-2">
+        {spec.label}
+      </label>
+
+      <div className="space-y-1 mb-2">
+        {value.map((color, index) => (
+          <div key={index} className="flex items-center gap-2">
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(index, e.target.value)}
+              className="h-8 w-12 cursor-pointer"
+            />
+            <input
+              type="text"
+              value={drafts[index] !== undefined ? drafts[index] : color}
+              onChange={(e) => handleHexChange(index, e.target.value)}
+              onBlur={() => setDrafts({})}
+              className="w-24 rounded border border-gray-300 px-2 py-1 text-sm font-mono"
+            />
+            <button
+              type="button"
+              onClick={() => removeColor(index)}
+              disabled={value.length === 1}
+              className="text-red-500 hover:text-red-700 disabled:text-gray-300"
+              title="Remove color"
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 text-sm text-gray-700">
+        <button
+          type="button"
+          onClick={addColor}
+          className="px-2 py-1 bg-gray-200 rounded"
+        >
+          Add
+        </button>
+        <button
+          type="button"
+          onClick={generate}
+          className="px-2 py-1 bg-gray-200 rounded"
+          title="Replace the palette with evenly spread hues"
+        >
+          Generate
+        </button>
+        <input
+          type="number"
+          min={MIN_GENERATED}
+          max={MAX_GENERATED}
+          value={generateCount}
+          onChange={(e) => setGenerateCount(
+            Math.min(MAX_GENERATED, Math.max(MIN_GENERATED, Number(e.target.value) || MIN_GENERATED))
+          )}
+          className="w-16 rounded border border-gray-300 px-2 py-1"
+        />
+        <span>colors</span>
+      </div>
+
+      {spec.description && (
+        <p className="text-sm text-gray-500 mt-1">{spec.description}</p>
+      )}
+    </div>
+  );
+};
+
+export default PaletteEditor;
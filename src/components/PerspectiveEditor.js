@@ -0,0 +1,101 @@
+import React, { useEffect, useRef } from 'react';
+
+// Corner params of a 'perspective' step, in outline order
+const CORNERS = ['TopLeft', 'TopRight', 'BottomRight', 'BottomLeft'];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Corner params are stored with one decimal, matching the sliders' step
+const roundPercent = (value) => Math.round(value * 10) / 10;
+
+/**
+ * PerspectiveEditor component showing a perspective step's input image with
+ * four corner handles that outline the region to straighten
+ *
+ * @param {Object} props - Component props
+ * @param {ImageData} props.imageData - Input image of the perspective step
+ * @param {Object} props.params - The step's params
+ * @param {Function} props.onChange - Called with changed params
+ */
+const PerspectiveEditor = ({ imageData, params, onChange }) => {
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  // Name of the corner being dragged
+  const dragRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    canvas.width = imageData.width;
+    canvas.height = imageData.height;
+    canvas.getContext('2d').putImageData(imageData, 0, 0);
+  }, [imageData]);
+
+  const corners = CORNERS.map(name => ({
+    name,
+    x: params[`warp${name}X`],
+    y: params[`warp${name}Y`]
+  }));
+
+  const startDrag = (e, name) => {
+    e.preventDefault();
+    containerRef.current.setPointerCapture(e.pointerId);
+    dragRef.current = name;
+  };
+
+  const handlePointerMove = (e) => {
+    const name = dragRef.current;
+    if (!name) return;
+    const box = containerRef.current.getBoundingClientRect();
+    onChange({
+      [`warp${name}X`]: roundPercent(clamp(((e.clientX - box.left) / box.width) * 100, 0, 100)),
+      [`warp${name}Y`]: roundPercent(clamp(((e.clientY - box.top) / box.height) * 100, 0, 100))
+    });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  // touch-action: none keeps touch drags from scrolling the page
+  return (
+    <div
+      ref={containerRef}
+      onPointerMove={handlePointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+      className="relative inline-block max-w-full select-none"
+      style={{ touchAction: 'none' }}
+    >
+      <canvas ref={canvasRef} className="block max-w-full h-auto" />
+
+      {/* Outline of the region, in % of the image */}
+      <svg
+        viewBox="0 0 100 100"
+        preserveAspectRatio="none"
+        className="absolute inset-0 w-full h-full pointer-events-none"
+      >
+        <polygon
+          points={corners.map(corner => `${corner.x},${corner.y}`).join(' ')}
+          fill="rgba(59, 130, 246, 0.15)"
+          stroke="#3b82f6"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+      </svg>
+
+      {corners.map(corner => (
+        <div
+          key={corner.name}
+          onPointerDown={(e) => startDrag(e, corner.name)}
+          className="absolute w-4 h-4 rounded-full bg-white border-2 border-blue-500 cursor-move"
+          style={{
+            left: `calc(${corner.x}% - 8px)`,
+            top: `calc(${corner.y}% - 8px)`
+          }}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default PerspectiveEditor;
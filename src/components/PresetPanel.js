@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  serializePipeline,
+  parsePipeline,
+  listSavedPresets,
+  savePreset,
+  loadPreset,
+  deletePreset
+} from '../transformations/presets';
+
+/**
+ * PresetPanel component for saving and loading transformation pipelines,
+ * either as named presets in localStorage or as JSON files
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.activeTransformations - List of active transformation steps
+ * @param {Function} props.loadPipeline - Function to replace the stack with loaded steps
+ */
+const PresetPanel = ({ activeTransformations, loadPipeline }) => {
+  const [presetNames, setPresetNames] = useState([]);
+  const [presetName, setPresetName] = useState('');
+  const [error, setError] = useState(null);
+
+  /**
+   * Lists the saved presets once, showing why if they can't be read
+   */
+  useEffect(() => {
+    try {
+      setPresetNames(listSavedPresets());
+    } catch (readError) {
+      setError(readError.message);
+    }
+  }, []);
+
+  /**
+   * Saves the active stack under the entered name
+   */
+  const handleSavePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+
+    try {
+      savePreset(name, activeTransformations);
+      setPresetNames(listSavedPresets());
+      setPresetName('');
+      setError(null);
+    } catch (saveError) {
+      setError(`Could not save preset: ${saveError.message}`);
+    }
+  };
+
+  /**
+   * Replaces the active stack with a saved preset
+   */
+  const handleLoadPreset = (name) => {
+    try {
+      loadPipeline(loadPreset(name));
+      setError(null);
+    } catch (loadError) {
+      setError(loadError.message);
+    }
+  };
+
+  /**
+   * Removes a saved preset
+   */
+  const handleDeletePreset = (name) => {
+    try {
+      deletePreset(name);
+      setPresetNames(listSavedPresets());
+      setError(null);
+    } catch (deleteError) {
+      setError(`Could not delete preset: ${deleteError.message}`);
+    }
+  };
+
+  /**
+   * Downloads the active stack as a JSON file
+   */
+  const handleExport = () => {
+    const json = JSON.stringify(serializePipeline(activeTransformations), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'pipeline.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
+  /**
+   * Reads a pipeline from a JSON file and loads it
+   */
+  const handleImport = (e) => {
+    const file = e.target.files[0];
+    // Allow importing the same file again after fixing it
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        loadPipeline(parsePipeline(event.target.result).steps);
+        setError(null);
+      } catch (importError) {
+        setError(importError.message);
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  return (
+    <div className="my-6 border-t border-gray-200 pt-4">
+      <h2 className="text-xl font-bold mb-4">Presets</h2>
+
+      {/* Save current stack */}
+      <div className="flex gap-2 mb-4">
+        <input
+          type="text"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          placeholder="Preset name"
+          className="flex-1 rounded-md border border-gray-300 px-2"
+        />
+        <button
+          onClick={handleSavePreset}
+          disabled={!presetName.trim() || activeTransformations.length === 0}
+          className="px-4 py-2 bg-blue-500 text-white rounded-md disabled:bg-gray-300 disabled:cursor-not-allowed"
+        >
+          Save
+        </button>
+      </div>
+
+      {/* Saved presets */}
+      {presetNames.length > 0 && (
+        <ul className="space-y-2 mb-4">
+          {presetNames.map(name => (
+            <li key={name} className="bg-gray-100 p-2 rounded flex justify-between items-center">
+              <span className="font-medium">{name}</span>
+              <span className="flex gap-2">
+                <button
+                  onClick={() => handleLoadPreset(name)}
+                  className="text-blue-500 hover:text-blue-700"
+                >
+                  Load
+                </button>
+                <button
+                  onClick={() => handleDeletePreset(name)}
+                  className="text-red-500 hover:text-red-700"
+                >
+                  Delete
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* JSON file import/export */}
+      <div className="flex gap-2">
+        <button
+          onClick={handleExport}
+          disabled={activeTransformations.length === 0}
+          className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-md disabled:text-gray-400 disabled:cursor-not-allowed"
+        >
+          Export JSON
+        </button>
+        <label className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-md text-center cursor-pointer">
+          Import JSON
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <p className="mt-2 text-sm text-red-600 whitespace-pre-line">{error}</p>
+      )}
+    </div>
+  );
+};
+
+export default PresetPanel;
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS } from '../utils/imageFiles';
+
+/**
+ * SaveDialog component for choosing the format, quality and file name
+ * of the processed image before it is downloaded
+ *
+ * @param {Object} props - Component props
+ * @param {string} props.defaultFilename - Suggested file name without extension
+ * @param {Function} props.onSave - Called with { format, quality, filename }
+ * @param {Function} props.onClose - Called when the dialog is dismissed
+ */
+const SaveDialog = ({ defaultFilename, onSave, onClose }) => {
+  const [formatId, setFormatId] = useState('png');
+  const [quality, setQuality] = useState(92);
+  const [filename, setFilename] = useState(defaultFilename);
+
+  const format = EXPORT_FORMATS.find(option => option.id === formatId);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({
+      format,
+      quality: quality / 100,
+      filename: `${filename.trim() || defaultFilename}.${format.extension}`
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center bg-black bg-opacity-50">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-lg p-6 w-full max-w-sm"
+      >
+        <h2 className="text-xl font-bold mb-4">Save Processed Image</h2>
+
+        {/* File name */}
+        <div className="mb-4">
+          <label className="block text-gray-700 font-bold mb-2">
+            File name
+          </label>
+          <div className="flex items-center gap-1">
+            <input
+              type="text"
+              value={filename}
+              onChange={(e) => setFilename(e.target.value)}
+              className="flex-1 rounded-md border border-gray-300 px-2 py-1"
+            />
+            <span className="text-gray-500">.{format.extension}</span>
+          </div>
+        </div>
+
+        {/* Format */}
+        <div className="mb-4">
+          <label className="block text-gray-700 font-bold mb-2">
+            Format
+          </label>
+          <select
+            value={formatId}
+            onChange={(e) => setFormatId(e.target.value)}
+            className="block w-full mt-1 rounded-md border-gray-300 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
+          >
+            {EXPORT_FORMATS.map(option => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {/* Quality, only meaningful for lossy formats */}
+        {format.lossy && (
+          <div className="mb-4">
+            <label className="block text-gray-700 font-bold mb-2">
+              Quality: {quality}
+            </label>
+            <input
+              type="range"
+              min={1}
+              max={100}
+              value={quality}
+              onChange={(e) => setQuality(Number(e.target.value))}
+              className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
+            />
+            <p className="text-sm text-gray-500 mt-1">Lower values give smaller files</p>
+          </div>
+        )}
+
+        <div className="flex gap-2 mt-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="flex-1 px-4 py-2 bg-gray-200 text-gray-700 rounded-md"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className="flex-1 px-4 py-2 bg-blue-500 text-white rounded-md"
+          >
+            Save
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default SaveDialog;
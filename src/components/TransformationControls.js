@@ -1,102 +1,146 @@
 import React from 'react';
+import { getTransformation, getDefaultParams } from '../transformations/registry';
+import KernelEditor from './KernelEditor';
+import PaletteEditor from './PaletteEditor';
 
 /**
  * TransformationControls component that renders the appropriate controls
- * based on the selected transformation type
- * 
+ * based on the parameter schema of the selected transformation type
+ *
  * @param {Object} props - Component props
  * @param {Object} props.currentTransform - Current transformation settings
  * @param {Function} props.updateParam - Function to update transformation parameters
  */
 const TransformationControls = ({ currentTransform, updateParam }) => {
   const { type, params } = currentTransform;
-  
+  const definition = getTransformation(type);
+
+  if (!definition || definition.params.length === 0) {
+    return null;
+  }
+
   // Renders a slider control with label
-  const renderSlider = (label, param, min, max, description = null) => (
-    <div className="mb-4">
+  const renderSlider = (spec, value) => (
+    <div key={spec.name} className="mb-4">
       <label className="block text-gray-700 font-bold mb-2">
-        {label}: {params[param]}
+        {spec.label}: {value}
       </label>
       <input
         type="range"
-        min={min}
-        max={max}
-        value={params[param]}
-        onChange={(e) => updateParam(param, parseInt(e.target.value))}
+        min={spec.min}
+        max={spec.max}
+        step={spec.step || 1}
+        value={value}
+        onChange={(e) => updateParam(spec.name, Number(e.target.value))}
         className="w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer"
       />
-      {description && (
-        <p className="text-sm text-gray-500 mt-1">{description}</p>
+      {spec.description && (
+        <p className="text-sm text-gray-500 mt-1">{spec.description}</p>
       )}
     </div>
   );
 
-  // Component for selecting color scheme in segmentation
-  const ColorSchemeSelector = () => (
-    <div className="mb-4">
+  // Renders a dropdown for params with a fixed set of options
+  const renderSelect = (spec, value) => (
+    <div key={spec.name} className="mb-4">
       <label className="block text-gray-700 font-bold mb-2">
-        Color Scheme
+        {spec.label}
       </label>
       <select
-        value={params.colorScheme}
-        onChange={(e) => updateParam('colorScheme', e.target.value)}
+        value={value}
+        onChange={(e) => updateParam(spec.name, e.target.value)}
         className="block w-full mt-1 rounded-md border-gray-300 shadow-sm focus:border-blue-300 focus:ring focus:ring-blue-200 focus:ring-opacity-50"
       >
-        <option value="rainbow">Rainbow</option>
-        <option value="pastel">Pastel</option>
-        <option value="grayscale">Grayscale</option>
-        <option value="highContrast">High Contrast</option>
-        <option value="preserveBrightness">Preserve Brightness</option>
+        {spec.options.map(option => (
+          <option key={option.value} value={option.value}>
+            {option.label}
+          </option>
+        ))}
       </select>
+      {spec.description && (
+        <p className="text-sm text-gray-500 mt-1">{spec.description}</p>
+      )}
     </div>
   );
 
-  // Render different controls based on transformation type
-  switch (type) {
-    case 'contrast':
-      return renderSlider('Contrast', 'contrastValue', 0, 200);
-      
-    case 'brightness':
-      return renderSlider('Brightness', 'brightnessValue', 0, 200, 'Value in %');
-      
-    case 'sharpening':
-      return renderSlider('Sharpness', 'sharpnessValue', 0, 10);
-      
-    case 'threshold':
-      return renderSlider('Threshold', 'thresholdValue', 0, 255);
-      
-    case 'canny':
-      return (
-        <>
-          {renderSlider('Low Threshold', 'cannyLow', 0, 255)}
-          {renderSlider('High Threshold', 'cannyHigh', 0, 255)}
-        </>
-      );
-      
-    case 'segmentation':
-      return (
-        <>
-          {renderSlider(
-            'Color Tolerance', 
-            'segmentTolerance', 
-            1, 
-            50, 
-            'Lower values create more segments, higher values merge similar colors'
-          )}
-          {renderSlider(
-            'Minimum Segment Size', 
-            'segmentMinSize', 
-            10, 
-            500, 
-            'Smaller segments get merged with neighbors'
-          )}
-          <ColorSchemeSelector />
-        </>
-      );
-      
-    default:
-      return null;
-  }
+  // Renders a checkbox for on/off params
+  const renderCheckbox = (spec, value) => (
+    <div key={spec.name} className="mb-4">
+      <label className="flex items-center text-gray-700 font-bold">
+        <input
+          type="checkbox"
+          checked={value}
+          onChange={(e) => updateParam(spec.name, e.target.checked)}
+          className="mr-2"
+        />
+        {spec.label}
+      </label>
+      {spec.description && (
+        <p className="text-sm text-gray-500 mt-1">{spec.description}</p>
+      )}
+    </div>
+  );
+
+  // Renders a color picker for '#rrggbb' params
+  const renderColorPicker = (spec, value) => (
+    <div key={spec.name} className="mb-4">
+      <label className="flex items-center text-gray-700 font-bold">
+        <input
+          type="color"
+          value={value}
+          onChange={(e) => updateParam(spec.name, e.target.value)}
+          className="mr-2 h-8 w-12 cursor-pointer"
+        />
+        {spec.label}
+      </label>
+      {spec.description && (
+        <p className="text-sm text-gray-500 mt-1">{spec.description}</p>
+      )}
+    </div>
+  );
+
+  // Render a control for each parameter in the schema
+  return (
+    <>
+      {definition.params.map(spec => {
+        if (spec.visibleWhen && !spec.visibleWhen({ ...getDefaultParams(type), ...params })) {
+          return null;
+        }
+        const value = params[spec.name] !== undefined ? params[spec.name] : spec.default;
+
+        switch (spec.type) {
+          case 'range':
+            return renderSlider(spec, value);
+          case 'select':
+            return renderSelect(spec, value);
+          case 'boolean':
+            return renderCheckbox(spec, value);
+          case 'color':
+            return renderColorPicker(spec, value);
+          case 'kernel':
+            return (
+              <KernelEditor
+                key={spec.name}
+                spec={spec}
+                value={value}
+                onChange={(kernel) => updateParam(spec.name, kernel)}
+              />
+            );
+          case 'palette':
+            return (
+              <PaletteEditor
+                key={spec.name}
+                spec={spec}
+                value={value}
+                onChange={(palette) => updateParam(spec.name, palette)}
+              />
+            );
+          default:
+            return null;
+        }
+      })}
+    </>
+  );
 };
 
-export default TransformationControls;
\ No newline at end of file
+export default TransformationControls;
@@ -0,0 +1,176 @@
+import React, { useState } from 'react';
+import TransformationControls from './TransformationControls';
+import { getTransformation } from '../transformations/registry';
+
+/**
+ * TransformationList component that shows the active transformation stack.
+ * Steps can be edited in place, reordered by drag-and-drop or with the
+ * up/down buttons, toggled on and off, duplicated and removed.
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.activeTransformations - List of active transformation steps
+ * @param {Function} props.getLabel - Function returning the display label for a type
+ * @param {string} props.editingStepId - Id of the step whose controls are open
+ * @param {Function} props.setEditingStepId - Function to open or close a step's controls
+ * @param {Function} props.updateTransformParam - Function to update a step parameter
+ * @param {Function} props.updateTransformParams - Function to update several step parameters at once
+ * @param {Function} props.moveTransform - Function to move a step to a new index
+ * @param {Function} props.toggleTransform - Function to enable or disable a step
+ * @param {Function} props.duplicateTransform - Function to duplicate a step
+ * @param {Function} props.removeTransform - Function to remove a step
+ * @param {Function} props.exportStepData - Function to download one of a
+ *                                         step's exports, by step and export id
+ * @param {Object} props.stepReadouts - Read-outs of the step being edited,
+ *                                      as { stepId, readouts }
+ */
+const TransformationList = ({
+  activeTransformations,
+  getLabel,
+  editingStepId,
+  setEditingStepId,
+  updateTransformParam,
+  updateTransformParams,
+  moveTransform,
+  toggleTransform,
+  duplicateTransform,
+  removeTransform,
+  exportStepData,
+  stepReadouts
+}) => {
+  // Index of the step currently being dragged
+  const [dragIndex, setDragIndex] = useState(null);
+
+  const handleDragStart = (e, index, id) => {
+    // Firefox only starts a drag when some data is set
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', id);
+    setDragIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (dragIndex !== null && dragIndex !== index) {
+      moveTransform(dragIndex, index);
+    }
+    setDragIndex(null);
+  };
+
+  return (
+    <ul className="space-y-2">
+      {activeTransformations.map((transform, index) => {
+        const isEditing = transform.id === editingStepId;
+        const isEnabled = transform.enabled !== false;
+        const definition = getTransformation(transform.type);
+        const exports = definition ? definition.exports : [];
+        const readouts = stepReadouts && stepReadouts.stepId === transform.id
+          ? stepReadouts.readouts
+          : [];
+
+        return (
+          <li
+            key={transform.id}
+            onDragOver={(e) => e.preventDefault()}
+            onDrop={(e) => handleDrop(e, index)}
+            className={`bg-gray-100 p-2 rounded ${dragIndex === index ? 'opacity-50' : ''}`}
+          >
+            {/* Only the header row is draggable so sliders below keep working */}
+            <div
+              draggable
+              onDragStart={(e) => handleDragStart(e, index, transform.id)}
+              onDragEnd={() => setDragIndex(null)}
+              className="flex justify-between items-center gap-2"
+            >
+              <input
+                type="checkbox"
+                checked={isEnabled}
+                onChange={() => toggleTransform(transform.id)}
+                title={isEnabled ? 'Disable step' : 'Enable step'}
+              />
+              <button
+                onClick={() => setEditingStepId(isEditing ? null : transform.id)}
+                className={`flex-1 text-left font-medium cursor-move ${isEnabled ? '' : 'text-gray-400 line-through'}`}
+                title="Click to edit parameters, drag to reorder"
+              >
+                {index + 1}. {getLabel(transform.type)}
+              </button>
+              <button
+                onClick={() => moveTransform(index, index - 1)}
+                disabled={index === 0}
+                className="text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                title="Move up"
+              >
+                ↑
+              </button>
+              <button
+                onClick={() => moveTransform(index, index + 1)}
+                disabled={index === activeTransformations.length - 1}
+                className="text-gray-600 hover:text-gray-900 disabled:text-gray-300"
+                title="Move down"
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => duplicateTransform(transform.id)}
+                className="text-blue-500 hover:text-blue-700"
+              >
+                Duplicate
+              </button>
+              <button
+                onClick={() => removeTransform(transform.id)}
+                className="text-red-500 hover:text-red-700"
+              >
+                Remove
+              </button>
+            </div>
+
+            {/* Inline parameter editor */}
+            {isEditing && (
+              <div className="mt-2 pt-2 border-t border-gray-200">
+                <TransformationControls
+                  currentTransform={transform}
+                  updateParam={(paramName, value) => updateTransformParam(transform.id, paramName, value)}
+                />
+                {readouts.map(readout => (
+                  <div
+                    key={readout.label}
+                    className="flex items-center justify-between gap-2 mb-2 text-sm text-gray-700"
+                    title="Computed from this step's input image"
+                  >
+                    <span>
+                      {readout.label}: <span className="font-mono">{readout.value}</span>
+                    </span>
+                    {readout.params && (
+                      <button
+                        onClick={() => updateTransformParams(transform.id, readout.params)}
+                        className="px-2 py-1 bg-gray-200 rounded"
+                        title="Copy into this step's parameters"
+                      >
+                        Use
+                      </button>
+                    )}
+                  </div>
+                ))}
+                {exports.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {exports.map(exporter => (
+                      <button
+                        key={exporter.id}
+                        onClick={() => exportStepData(transform.id, exporter.id)}
+                        className="px-2 py-1 bg-gray-200 rounded text-sm"
+                        title="Computed from this step's input image"
+                      >
+                        Export {exporter.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+export default TransformationList;
@@ -0,0 +1,24 @@
+/**
+ * Fixtures shared by the image processing tests
+ */
+
+/**
+ * Builds a test image from a function of the pixel position
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} pixelAt - Returns a gray value or an [r, g, b] color for (x, y)
+ * @param {number} [alpha] - Alpha of every pixel
+ * @returns {ImageData} The image
+ */
+export const createImage = (width, height, pixelAt, alpha = 255) => {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pixel = pixelAt(x, y);
+      const [r, g, b] = typeof pixel === 'number' ? [pixel, pixel, pixel] : pixel;
+      data.set([r, g, b, alpha], (y * width + x) * 4);
+    }
+  }
+  return new ImageData(data, width, height);
+};
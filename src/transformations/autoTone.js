@@ -0,0 +1,318 @@
+import { getLuminance } from '../utils/colorUtils';
+
+/**
+ * Automatic tone transforms: auto levels, histogram equalization and
+ * CLAHE (contrast-limited adaptive histogram equalization).
+ *
+ * Each works in one of two modes:
+ *  - 'luminance': the tone curve is computed and applied on the luminance,
+ *    and the change is added equally to R, G and B, so chroma is kept
+ *  - 'channels': R, G and B are each mapped on their own, which also
+ *    neutralizes color casts
+ * The alpha channel is left unchanged.
+ */
+
+/**
+ * Splits an image into the 8-bit planes a tone transform works on
+ *
+ * @param {ImageData} imageData - The image to split
+ * @param {string} mode - 'luminance' or 'channels'
+ * @returns {Array} One Uint8Array per plane: the luminance, or R, G and B
+ */
+const extractPlanes = (imageData, mode) => {
+  const data = imageData.data;
+  const pixelCount = data.length / 4;
+
+  if (mode === 'luminance') {
+    const luminance = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      luminance[i] = Math.round(getLuminance(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) * 255);
+    }
+    return [luminance];
+  }
+
+  return [0, 1, 2].map(channel => {
+    const plane = new Uint8Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+      plane[i] = data[i * 4 + channel];
+    }
+    return plane;
+  });
+};
+
+/**
+ * Maps the tone planes of an image and writes the result back
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {string} mode - 'luminance' or 'channels'
+ * @param {Function} mapPlane - Called as (plane, width, height) for each
+ *                              plane; returns the new value of every pixel
+ * @returns {ImageData} The processed image data
+ */
+const applyToPlanes = (imageData, mode, mapPlane) => {
+  if (mode !== 'luminance' && mode !== 'channels') {
+    throw new Error(`Unknown tone mode "${mode}"`);
+  }
+
+  const { width, height } = imageData;
+  const planes = extractPlanes(imageData, mode);
+  const mapped = planes.map(plane => mapPlane(plane, width, height));
+  const resultData = new Uint8ClampedArray(imageData.data);
+
+  for (let i = 0; i < width * height; i++) {
+    if (mode === 'luminance') {
+      // Shifting R, G and B equally changes Y and keeps Cb and Cr
+      const delta = mapped[0][i] - planes[0][i];
+      resultData[i * 4] += delta;
+      resultData[i * 4 + 1] += delta;
+      resultData[i * 4 + 2] += delta;
+    } else {
+      resultData[i * 4] = mapped[0][i];
+      resultData[i * 4 + 1] = mapped[1][i];
+      resultData[i * 4 + 2] = mapped[2][i];
+    }
+    // Alpha channel remains unchanged
+  }
+
+  return new ImageData(resultData, width, height);
+};
+
+/**
+ * Counts how often each value occurs in a plane
+ *
+ * @param {Uint8Array} plane - 8-bit values
+ * @returns {Uint32Array} Count per value (0-255)
+ */
+const computeHistogram = (plane) => {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < plane.length; i++) {
+    histogram[plane[i]]++;
+  }
+  return histogram;
+};
+
+/**
+ * Applies a lookup table to a plane
+ *
+ * @param {Uint8Array} plane - 8-bit values
+ * @param {Uint8Array} lut - New value for each value
+ * @returns {Uint8Array} The mapped values
+ */
+const mapWithLut = (plane, lut) => {
+  const result = new Uint8Array(plane.length);
+  for (let i = 0; i < plane.length; i++) {
+    result[i] = lut[plane[i]];
+  }
+  return result;
+};
+
+/**
+ * Builds the equalization curve of a histogram: each value maps to its
+ * rank among all pixels, so the output values are spread evenly
+ *
+ * @param {ArrayLike<number>} histogram - Count per value (0-255)
+ * @param {number} pixelCount - Total of the histogram
+ * @returns {Uint8Array} Lookup table
+ */
+const buildEqualizationLut = (histogram, pixelCount) => {
+  const lut = new Uint8Array(256);
+  let cumulative = 0;
+  for (let value = 0; value < 256; value++) {
+    cumulative += histogram[value];
+    lut[value] = Math.round((cumulative / pixelCount) * 255);
+  }
+  return lut;
+};
+
+/**
+ * Stretches the tonal range so the darkest and brightest pixels become
+ * black and white. A percentage of pixels at either end can be clipped, so
+ * a few outliers don't prevent the stretch.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} shadowClip - % of pixels allowed to clip to black (0-10)
+ * @param {number} highlightClip - % of pixels allowed to clip to white (0-10)
+ * @param {string} mode - 'luminance' or 'channels'
+ * @returns {ImageData} The processed image data
+ */
+export const applyAutoLevels = (imageData, shadowClip, highlightClip, mode) => {
+  return applyToPlanes(imageData, mode, (plane) => {
+    const histogram = computeHistogram(plane);
+    const shadowCount = (plane.length * shadowClip) / 100;
+    const highlightCount = (plane.length * highlightClip) / 100;
+
+    // First values beyond the clipped pixels from either end
+    let low = 0;
+    let below = histogram[0];
+    while (low < 255 && below <= shadowCount) {
+      low++;
+      below += histogram[low];
+    }
+    let high = 255;
+    let above = histogram[255];
+    while (high > 0 && above <= highlightCount) {
+      high--;
+      above += histogram[high];
+    }
+
+    if (high <= low) {
+      return plane;
+    }
+
+    const lut = new Uint8Array(256);
+    for (let value = 0; value < 256; value++) {
+      lut[value] = Math.min(255, Math.max(0, Math.round(((value - low) / (high - low)) * 255)));
+    }
+    return mapWithLut(plane, lut);
+  });
+};
+
+/**
+ * Equalizes the histogram so all tones are used about equally often,
+ * bringing out detail in low-contrast images
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {string} mode - 'luminance' or 'channels'
+ * @returns {ImageData} The processed image data
+ */
+export const applyHistogramEqualization = (imageData, mode) => {
+  return applyToPlanes(imageData, mode, (plane) => {
+    const histogram = computeHistogram(plane);
+
+    // Leave out the darkest value in use, so it maps to black
+    let darkest = 0;
+    while (histogram[darkest] === 0) {
+      darkest++;
+    }
+    const darkestCount = histogram[darkest];
+    if (darkestCount === plane.length) {
+      return plane;
+    }
+    histogram[darkest] = 0;
+
+    return mapWithLut(plane, buildEqualizationLut(histogram, plane.length - darkestCount));
+  });
+};
+
+/**
+ * Clips a tile histogram at a limit and spreads the excess evenly over
+ * all values, which caps how steep the equalization curve can get
+ *
+ * @param {Uint32Array} histogram - Count per value, updated in place
+ * @param {number} limit - Maximum count per value
+ */
+const clipHistogram = (histogram, limit) => {
+  let excess = 0;
+  for (let value = 0; value < 256; value++) {
+    if (histogram[value] > limit) {
+      excess += histogram[value] - limit;
+      histogram[value] = limit;
+    }
+  }
+
+  const share = Math.floor(excess / 256);
+  const remainder = excess - share * 256;
+  for (let value = 0; value < 256; value++) {
+    histogram[value] += share + (value < remainder ? 1 : 0);
+  }
+};
+
+/**
+ * Computes where a pixel lies between tile centers along one axis
+ *
+ * @param {number} size - Image size along the axis
+ * @param {number} tiles - Number of tiles along the axis
+ * @returns {Object} Per pixel, as { first, second: Int32Array tile indices,
+ *                   weight: Float32Array share of the second tile }
+ */
+const getTileWeights = (size, tiles) => {
+  const first = new Int32Array(size);
+  const second = new Int32Array(size);
+  const weight = new Float32Array(size);
+  const tileSize = size / tiles;
+
+  for (let i = 0; i < size; i++) {
+    // Position in tile units, 0 at the center of the first tile
+    const position = (i + 0.5) / tileSize - 0.5;
+    const tile = Math.floor(position);
+    if (tile < 0) {
+      first[i] = second[i] = 0;
+    } else if (tile >= tiles - 1) {
+      first[i] = second[i] = tiles - 1;
+    } else {
+      first[i] = tile;
+      second[i] = tile + 1;
+      weight[i] = position - tile;
+    }
+  }
+
+  return { first, second, weight };
+};
+
+/**
+ * Applies CLAHE: the image is divided into tiles that are equalized on their
+ * own, with each tile's histogram clipped so noise in flat areas isn't
+ * amplified. Pixels blend the curves of the four nearest tiles, so no tile
+ * edges show.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} tileSize - Approximate tile width and height in pixels
+ * @param {number} clipLimit - Maximum count per value, as a multiple of the
+ *                             average count; 1 disables equalization
+ * @param {string} mode - 'luminance' or 'channels'
+ * @returns {ImageData} The processed image data
+ */
+export const applyClahe = (imageData, tileSize, clipLimit, mode) => {
+  return applyToPlanes(imageData, mode, (plane, width, height) => {
+    const tilesX = Math.max(1, Math.round(width / tileSize));
+    const tilesY = Math.max(1, Math.round(height / tileSize));
+
+    // Equalization curve of each tile, tile after tile
+    const luts = new Uint8Array(tilesX * tilesY * 256);
+    for (let ty = 0; ty < tilesY; ty++) {
+      const top = Math.floor((ty * height) / tilesY);
+      const bottom = Math.floor(((ty + 1) * height) / tilesY);
+      for (let tx = 0; tx < tilesX; tx++) {
+        const left = Math.floor((tx * width) / tilesX);
+        const right = Math.floor(((tx + 1) * width) / tilesX);
+
+        const histogram = new Uint32Array(256);
+        for (let y = top; y < bottom; y++) {
+          for (let x = left; x < right; x++) {
+            histogram[plane[y * width + x]]++;
+          }
+        }
+        const pixelCount = (bottom - top) * (right - left);
+        clipHistogram(histogram, Math.max(1, Math.round((clipLimit * pixelCount) / 256)));
+        luts.set(buildEqualizationLut(histogram, pixelCount), (ty * tilesX + tx) * 256);
+      }
+    }
+
+    // Blend the curves of the surrounding tile centers
+    const columns = getTileWeights(width, tilesX);
+    const rows = getTileWeights(height, tilesY);
+    const result = new Uint8Array(plane.length);
+
+    for (let y = 0; y < height; y++) {
+      const topRow = rows.first[y] * tilesX;
+      const bottomRow = rows.second[y] * tilesX;
+      const wy = rows.weight[y];
+
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const value = plane[i];
+        const wx = columns.weight[x];
+        const left = columns.first[x];
+        const right = columns.second[x];
+
+        const topValue = luts[(topRow + left) * 256 + value] * (1 - wx) +
+          luts[(topRow + right) * 256 + value] * wx;
+        const bottomValue = luts[(bottomRow + left) * 256 + value] * (1 - wx) +
+          luts[(bottomRow + right) * 256 + value] * wx;
+        result[i] = Math.round(topValue * (1 - wy) + bottomValue * wy);
+      }
+    }
+
+    return result;
+  });
+};
@@ -0,0 +1,72 @@
+import { applyAutoLevels, applyHistogramEqualization, applyClahe } from './autoTone';
+import { createImage } from '../testing/images';
+
+const pixel = (imageData, x, y) => {
+  const i = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(i, i + 4));
+};
+
+test('auto levels stretches each channel to the full range', () => {
+  // Gray ramp from 100 to 149 with a blue cast
+  const image = createImage(50, 1, (x) => [100 + x, 100 + x, 120 + x], 200);
+
+  const channels = applyAutoLevels(image, 0, 0, 'channels');
+  expect(pixel(channels, 0, 0)).toEqual([0, 0, 0, 200]);
+  expect(pixel(channels, 49, 0)).toEqual([255, 255, 255, 200]);
+
+  // Luminance mode keeps the cast: channels shift together
+  const luminance = applyAutoLevels(image, 0, 0, 'luminance');
+  const [r, g, b] = pixel(luminance, 10, 0);
+  expect(b - r).toBe(20);
+  expect(g).toBe(r);
+});
+
+test('auto levels ignores clipped outliers', () => {
+  // One white pixel among values 100-198
+  const image = createImage(100, 1, (x) => (x === 99 ? [255, 255, 255] : [100 + x, 100 + x, 100 + x]));
+  const result = applyAutoLevels(image, 0, 1, 'channels');
+  expect(pixel(result, 98, 0)[0]).toBe(255);
+  expect(pixel(result, 0, 0)[0]).toBe(0);
+});
+
+test('equalization spreads values evenly and keeps flat images', () => {
+  // Four values crowded between 60 and 63
+  const image = createImage(4, 4, (x) => [60 + x, 60 + x, 60 + x]);
+  const result = applyHistogramEqualization(image, 'channels');
+  expect([0, 1, 2, 3].map(x => pixel(result, x, 0)[0])).toEqual([0, 85, 170, 255]);
+
+  const flat = createImage(4, 4, () => [42, 42, 42], 200);
+  expect(pixel(applyHistogramEqualization(flat, 'luminance'), 2, 2)).toEqual([42, 42, 42, 200]);
+});
+
+test('CLAHE boosts local contrast without tile seams', () => {
+  // Low-contrast noise, darker on the left half
+  let seed = 3;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return (seed >> 8) % 16;
+  };
+  const image = createImage(64, 64, (x) => {
+    const value = (x < 32 ? 40 : 180) + random();
+    return [value, value, value];
+  });
+
+  const result = applyClahe(image, 16, 4, 'luminance');
+  const spread = (imageData, fromX) => {
+    let min = 255;
+    let max = 0;
+    for (let y = 0; y < 64; y++) {
+      for (let x = fromX; x < fromX + 16; x++) {
+        min = Math.min(min, pixel(imageData, x, y)[0]);
+        max = Math.max(max, pixel(imageData, x, y)[0]);
+      }
+    }
+    return max - min;
+  };
+  expect(spread(result, 8)).toBeGreaterThan(spread(image, 8) * 2);
+  expect(spread(result, 40)).toBeGreaterThan(spread(image, 40) * 2);
+
+  // Neighboring pixels across a tile border stay close
+  expect(Math.abs(pixel(result, 15, 5)[0] - pixel(result, 16, 5)[0])).toBeLessThan(40);
+  expect(() => applyClahe(image, 16, 2, 'hsv')).toThrow(/Unknown tone mode/);
+});
@@ -3,6 +3,8 @@
  * contrast, brightness, sharpening, grayscale, and threshold.
  */
 
+import { convolveImage } from './convolution';
+
 /**
  * Adjusts the contrast of an image
  * 
@@ -58,14 +60,8 @@ export const applyContrast = (imageData, contrast) => {
 	// If amount is 0, return the original image data
 	if (amount === 0) return imageData;
 	
-	const data = new Uint8ClampedArray(imageData.data);
-	const width = imageData.width;
-	const height = imageData.height;
 	const factor = amount / 10;
 	
-	// Create a new array for the result
-	const resultData = new Uint8ClampedArray(data);
-	
 	// Sharpen kernel
 	const kernel = [
 	  0, -factor, 0,
@@ -73,30 +69,7 @@ export const applyContrast = (imageData, contrast) => {
 	  0, -factor, 0
 	];
 	
-	// Apply convolution
-	for (let y = 1; y < height - 1; y++) {
-	  for (let x = 1; x < width - 1; x++) {
-		const pixelIndex = (y * width + x) * 4;
-		
-		// Process each color channel
-		for (let c = 0; c < 3; c++) {
-		  let sum = 0;
-		  
-		  // Apply the kernel
-		  for (let ky = -1; ky <= 1; ky++) {
-			for (let kx = -1; kx <= 1; kx++) {
-			  const kernelIndex = (ky + 1) * 3 + (kx + 1);
-			  const dataIndex = ((y + ky) * width + (x + kx)) * 4 + c;
-			  sum += data[dataIndex] * kernel[kernelIndex];
-			}
-		  }
-		  
-		  resultData[pixelIndex + c] = clamp(sum);
-		}
-	  }
-	}
-	
-	return new ImageData(resultData, width, height);
+	return convolveImage(imageData, kernel);
   };
   
   /**
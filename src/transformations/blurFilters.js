@@ -0,0 +1,319 @@
+import { convolveImageSeparable, createGaussianKernel, toImageData } from './convolution';
+
+/**
+ * Blur and denoise filters: Gaussian, box, median, bilateral and unsharp
+ * mask. Costs stay independent of the radius where possible (running sums
+ * for box blurs, a sliding histogram for the median), so large radii remain
+ * usable on full-resolution photos. Pixels beyond the border repeat the
+ * nearest edge pixel and the alpha channel is left unchanged.
+ */
+
+// Above this sigma the Gaussian is approximated by three box blurs
+const EXACT_GAUSSIAN_MAX_SIGMA = 2;
+
+/**
+ * Runs a box blur along the rows or columns of RGBA values using a
+ * running sum, so the cost per pixel does not depend on the radius
+ *
+ * @param {ArrayLike<number>} source - RGBA values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Box radius in pixels
+ * @param {boolean} vertical - Whether to run along columns instead of rows
+ * @returns {Float32Array} The blurred values (alpha left at 0)
+ */
+const boxBlurPass = (source, width, height, radius, vertical) => {
+  const result = new Float32Array(width * height * 4);
+  const length = vertical ? height : width;
+  const lines = vertical ? width : height;
+  const step = vertical ? width * 4 : 4;
+  const size = radius * 2 + 1;
+  const last = length - 1;
+
+  for (let line = 0; line < lines; line++) {
+    const base = vertical ? line * 4 : line * width * 4;
+
+    for (let c = 0; c < 3; c++) {
+      // Sum of the window around the first pixel
+      let sum = 0;
+      for (let k = -radius; k <= radius; k++) {
+        sum += source[base + Math.min(last, Math.max(0, k)) * step + c];
+      }
+
+      for (let i = 0; i < length; i++) {
+        result[base + i * step + c] = sum / size;
+
+        // Slide the window one pixel further
+        const entering = Math.min(last, i + radius + 1);
+        const leaving = Math.max(0, i - radius);
+        sum += source[base + entering * step + c] - source[base + leaving * step + c];
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Picks box sizes whose repeated application approximates a Gaussian
+ *
+ * @param {number} sigma - Standard deviation in pixels
+ * @param {number} count - Number of box passes
+ * @returns {Array} Radius of each pass
+ */
+const getBoxRadiiForGaussian = (sigma, count) => {
+  const idealWidth = Math.sqrt((12 * sigma * sigma) / count + 1);
+  let lowerWidth = Math.floor(idealWidth);
+  if (lowerWidth % 2 === 0) lowerWidth--;
+  const upperWidth = lowerWidth + 2;
+
+  // How many passes use the lower width so the variances add up to sigma^2
+  const lowerCount = Math.round(
+    (12 * sigma * sigma - count * lowerWidth * lowerWidth - 4 * count * lowerWidth - 3 * count) /
+    (-4 * lowerWidth - 4)
+  );
+
+  const radii = [];
+  for (let i = 0; i < count; i++) {
+    radii.push(((i < lowerCount ? lowerWidth : upperWidth) - 1) / 2);
+  }
+  return radii;
+};
+
+/**
+ * Applies a Gaussian blur to an image.
+ * Small sigmas use an exact separable kernel; larger ones use three box
+ * blurs, which approximate the Gaussian closely at constant cost.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {ImageData} The blurred image data
+ */
+export const applyGaussianBlur = (imageData, sigma) => {
+  if (!(sigma > 0)) return imageData;
+
+  if (sigma <= EXACT_GAUSSIAN_MAX_SIGMA) {
+    const kernel = createGaussianKernel(sigma);
+    return convolveImageSeparable(imageData, kernel, kernel);
+  }
+
+  const { width, height } = imageData;
+  let values = imageData.data;
+  getBoxRadiiForGaussian(sigma, 3).forEach(radius => {
+    values = boxBlurPass(values, width, height, radius, false);
+    values = boxBlurPass(values, width, height, radius, true);
+  });
+  return toImageData(imageData, values);
+};
+
+/**
+ * Applies a box blur, averaging each pixel with its square neighborhood
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} radius - Neighborhood radius in pixels
+ * @returns {ImageData} The blurred image data
+ */
+export const applyBoxBlur = (imageData, radius) => {
+  if (radius < 1) return imageData;
+
+  const { width, height } = imageData;
+  const horizontal = boxBlurPass(imageData.data, width, height, radius, false);
+  return toImageData(imageData, boxBlurPass(horizontal, width, height, radius, true));
+};
+
+/**
+ * Applies a median filter, replacing each pixel with the median of its
+ * square neighborhood per channel. Removes salt-and-pepper noise while
+ * keeping edges sharp.
+ *
+ * Each row keeps a histogram of its window that is updated column by column
+ * (Huang's algorithm), so the cost grows with the radius, not its square.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} radius - Neighborhood radius in pixels
+ * @returns {ImageData} The filtered image data
+ */
+export const applyMedianFilter = (imageData, radius) => {
+  if (radius < 1) return imageData;
+
+  const { width, height, data } = imageData;
+  const resultData = new Uint8ClampedArray(data);
+  const histogram = new Uint32Array(256);
+  const half = Math.floor(((radius * 2 + 1) ** 2) / 2);
+
+  const clampX = (x) => Math.min(width - 1, Math.max(0, x));
+  const clampY = (y) => Math.min(height - 1, Math.max(0, y));
+
+  for (let c = 0; c < 3; c++) {
+    for (let y = 0; y < height; y++) {
+      histogram.fill(0);
+      for (let dy = -radius; dy <= radius; dy++) {
+        const rowOffset = clampY(y + dy) * width;
+        for (let dx = -radius; dx <= radius; dx++) {
+          histogram[data[(rowOffset + clampX(dx)) * 4 + c]]++;
+        }
+      }
+
+      // Median and the number of window values below it
+      let median = 0;
+      let below = 0;
+      while (below + histogram[median] <= half) {
+        below += histogram[median];
+        median++;
+      }
+
+      for (let x = 0; x < width; x++) {
+        if (x > 0) {
+          // Swap the column that left the window for the one that entered
+          const leaving = clampX(x - radius - 1);
+          const entering = clampX(x + radius);
+          for (let dy = -radius; dy <= radius; dy++) {
+            const rowOffset = clampY(y + dy) * width;
+            const oldValue = data[(rowOffset + leaving) * 4 + c];
+            const newValue = data[(rowOffset + entering) * 4 + c];
+            histogram[oldValue]--;
+            histogram[newValue]++;
+            if (oldValue < median) below--;
+            if (newValue < median) below++;
+          }
+
+          // Move the median until half of the window lies below it
+          while (below > half) {
+            median--;
+            below -= histogram[median];
+          }
+          while (below + histogram[median] <= half) {
+            below += histogram[median];
+            median++;
+          }
+        }
+
+        resultData[(y * width + x) * 4 + c] = median;
+      }
+    }
+  }
+
+  return new ImageData(resultData, width, height);
+};
+
+/**
+ * Runs one 1D pass of the bilateral filter along rows or columns
+ *
+ * @param {ArrayLike<number>} source - RGBA values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Float32Array} spatialWeights - Weight per offset, centered
+ * @param {Float32Array} rangeWeights - Weight per squared color distance
+ * @param {boolean} vertical - Whether to run along columns instead of rows
+ * @returns {Float32Array} The filtered values (alpha left at 0)
+ */
+const bilateralPass = (source, width, height, spatialWeights, rangeWeights, vertical) => {
+  const result = new Float32Array(width * height * 4);
+  const radius = (spatialWeights.length - 1) / 2;
+  const length = vertical ? height : width;
+  const lines = vertical ? width : height;
+  const step = vertical ? width * 4 : 4;
+  const maxDistance = rangeWeights.length - 1;
+
+  for (let line = 0; line < lines; line++) {
+    const base = vertical ? line * 4 : line * width * 4;
+
+    for (let i = 0; i < length; i++) {
+      const center = base + i * step;
+      const r = source[center];
+      const g = source[center + 1];
+      const b = source[center + 2];
+      let sumR = 0;
+      let sumG = 0;
+      let sumB = 0;
+      let totalWeight = 0;
+
+      for (let k = -radius; k <= radius; k++) {
+        const neighbor = base + Math.min(length - 1, Math.max(0, i + k)) * step;
+        const dr = source[neighbor] - r;
+        const dg = source[neighbor + 1] - g;
+        const db = source[neighbor + 2] - b;
+        const distance = Math.min(maxDistance, Math.round(dr * dr + dg * dg + db * db));
+        const weight = spatialWeights[k + radius] * rangeWeights[distance];
+
+        sumR += source[neighbor] * weight;
+        sumG += source[neighbor + 1] * weight;
+        sumB += source[neighbor + 2] * weight;
+        totalWeight += weight;
+      }
+
+      result[center] = sumR / totalWeight;
+      result[center + 1] = sumG / totalWeight;
+      result[center + 2] = sumB / totalWeight;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Applies an edge-preserving bilateral filter: neighbors are weighted by
+ * both their distance and how similar their color is, so flat areas are
+ * smoothed while edges stay sharp.
+ *
+ * Runs as a horizontal then a vertical pass, a close approximation of the
+ * full 2D filter at a fraction of its cost.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} sigmaSpatial - Spatial standard deviation in pixels
+ * @param {number} sigmaRange - Color difference (0-255) at which smoothing fades
+ * @returns {ImageData} The filtered image data
+ */
+export const applyBilateralFilter = (imageData, sigmaSpatial, sigmaRange) => {
+  const { width, height } = imageData;
+
+  const radius = Math.max(1, Math.ceil(sigmaSpatial * 2));
+  const spatialWeights = new Float32Array(radius * 2 + 1);
+  for (let k = -radius; k <= radius; k++) {
+    spatialWeights[k + radius] = Math.exp(-(k * k) / (2 * sigmaSpatial * sigmaSpatial));
+  }
+
+  // Indexed by squared RGB distance, up to three channels of 255
+  const rangeWeights = new Float32Array(3 * 255 * 255 + 1);
+  for (let d = 0; d < rangeWeights.length; d++) {
+    rangeWeights[d] = Math.exp(-d / (2 * sigmaRange * sigmaRange));
+  }
+
+  const horizontal = bilateralPass(imageData.data, width, height, spatialWeights, rangeWeights, false);
+  return toImageData(
+    imageData,
+    bilateralPass(horizontal, width, height, spatialWeights, rangeWeights, true)
+  );
+};
+
+/**
+ * Sharpens an image with an unsharp mask: the difference between the image
+ * and a blurred copy is amplified and added back
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} amount - Strength in % of the difference added back
+ * @param {number} radius - Sigma of the blur in pixels
+ * @param {number} threshold - Minimum difference (0-255) to sharpen, so
+ *                             smooth areas and noise are left alone
+ * @returns {ImageData} The sharpened image data
+ */
+export const applyUnsharpMask = (imageData, amount, radius, threshold) => {
+  if (amount === 0) return imageData;
+
+  const data = imageData.data;
+  const blurred = applyGaussianBlur(imageData, radius).data;
+  const resultData = new Uint8ClampedArray(data);
+  const factor = amount / 100;
+
+  for (let i = 0; i < data.length; i += 4) {
+    for (let c = 0; c < 3; c++) {
+      const difference = data[i + c] - blurred[i + c];
+      if (Math.abs(difference) >= threshold) {
+        resultData[i + c] = data[i + c] + difference * factor;
+      }
+    }
+    // Alpha channel remains unchanged
+  }
+
+  return new ImageData(resultData, imageData.width, imageData.height);
+};
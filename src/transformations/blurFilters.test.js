@@ -0,0 +1,59 @@
+import {
+  applyGaussianBlur,
+  applyBoxBlur,
+  applyMedianFilter,
+  applyUnsharpMask
+} from './blurFilters';
+import { convolveImageSeparable, createGaussianKernel } from './convolution';
+import { createImage } from '../testing/images';
+
+const pseudoRandom = (x, y) => ((x * 73 + y * 151) * 2654435761 >>> 24) & 255;
+
+test('box blur matches a direct neighborhood average', () => {
+  const image = createImage(9, 7, pseudoRandom);
+  const radius = 2;
+  const result = applyBoxBlur(image, radius);
+
+  const clamp = (v, max) => Math.min(max, Math.max(0, v));
+  for (let y = 0; y < 7; y++) {
+    for (let x = 0; x < 9; x++) {
+      let sum = 0;
+      for (let dy = -radius; dy <= radius; dy++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+          sum += image.data[(clamp(y + dy, 6) * 9 + clamp(x + dx, 8)) * 4];
+        }
+      }
+      expect(Math.abs(result.data[(y * 9 + x) * 4] - sum / 25)).toBeLessThanOrEqual(0.5);
+    }
+  }
+});
+
+test('large Gaussian blurs stay close to the exact kernel', () => {
+  const image = createImage(40, 40, (x, y) => (x < 20 ? 30 : 220) + (y % 2) * 10);
+
+  [2.5, 4, 8].forEach(sigma => {
+    const kernel = createGaussianKernel(sigma);
+    const exact = convolveImageSeparable(image, kernel, kernel);
+    const approximate = applyGaussianBlur(image, sigma);
+
+    for (let i = 0; i < image.data.length; i += 4) {
+      expect(Math.abs(approximate.data[i] - exact.data[i])).toBeLessThanOrEqual(6);
+    }
+  });
+});
+
+test('median filter removes isolated speckles', () => {
+  const image = createImage(8, 8, (x, y) => ((x === 3 && y === 4) || (x === 6 && y === 1) ? 255 : 50), 200);
+  const result = applyMedianFilter(image, 1);
+
+  for (let i = 0; i < result.data.length; i += 4) {
+    expect(result.data[i]).toBe(50);
+    expect(result.data[i + 3]).toBe(200);
+  }
+});
+
+test('unsharp mask leaves differences below the threshold alone', () => {
+  const image = createImage(10, 10, (x) => 100 + (x % 2) * 4);
+  expect(applyUnsharpMask(image, 200, 1, 10).data).toEqual(image.data);
+  expect(applyUnsharpMask(image, 200, 1, 0).data).not.toEqual(image.data);
+});
@@ -0,0 +1,1297 @@
+/**
+ * Registers the built-in transformations.
+ * Imported for its side effects by the pipeline, so both the UI and the
+ * worker see the same set of transformations.
+ */
+
+import { registerTransformation } from './registry';
+import {
+  applyContrast,
+  applyBrightness,
+  applySharpen,
+  applyGrayscale,
+  applyThreshold,
+  applyInvert
+} from './basicTransforms';
+import {
+  applyHueRotation,
+  applySaturation,
+  applyGamma,
+  applyExposure,
+  applyColorTemperature,
+  applyLevels
+} from './colorAdjustments';
+import {
+  applyEdgeDetection,
+  applyCannyEdgeDetection
+} from './edgeDetection';
+import {
+  applySegmentation,
+  segmentImage,
+  summarizeSegments
+} from './segmentation';
+import {
+  ADAPTIVE_THRESHOLD_METHODS,
+  applyAdaptiveThreshold,
+  computeOtsuThreshold
+} from './thresholding';
+import { convolveImage } from './convolution';
+import {
+  applyGaussianBlur,
+  applyBoxBlur,
+  applyMedianFilter,
+  applyBilateralFilter,
+  applyUnsharpMask
+} from './blurFilters';
+import {
+  applyAutoLevels,
+  applyHistogramEqualization,
+  applyClahe
+} from './autoTone';
+import {
+  parseAspectRatio,
+  getCropRect,
+  applyCrop,
+  applyFlip,
+  applyRotate90,
+  applyRotation,
+  applyResize
+} from './geometry';
+import { applyPerspectiveWarp, findDocumentCorners } from './perspective';
+import { applyMorphology } from './morphology';
+import { encodeGrayscale16Png } from '../utils/png';
+import { generateDistinctColors, hexToRgb, rgbToHex } from '../utils/colorUtils';
+
+// Adjustments
+registerTransformation({
+  id: 'contrast',
+  label: 'Contrast',
+  category: 'Adjustments',
+  params: [
+    { name: 'contrastValue', type: 'range', label: 'Contrast', min: 0, max: 200, step: 1, default: 100 }
+  ],
+  apply: (imageData, params) => applyContrast(imageData, params.contrastValue)
+});
+
+registerTransformation({
+  id: 'brightness',
+  label: 'Brightness',
+  category: 'Adjustments',
+  params: [
+    {
+      name: 'brightnessValue',
+      type: 'range',
+      label: 'Brightness',
+      min: 0,
+      max: 200,
+      step: 1,
+      default: 100,
+      description: 'Value in %'
+    }
+  ],
+  apply: (imageData, params) => applyBrightness(imageData, params.brightnessValue)
+});
+
+registerTransformation({
+  id: 'sharpening',
+  label: 'Sharpening',
+  category: 'Adjustments',
+  params: [
+    { name: 'sharpnessValue', type: 'range', label: 'Sharpness', min: 0, max: 10, step: 1, default: 0 }
+  ],
+  apply: (imageData, params) => applySharpen(imageData, params.sharpnessValue)
+});
+
+registerTransformation({
+  id: 'grayscale',
+  label: 'Grayscale',
+  category: 'Adjustments',
+  params: [],
+  apply: (imageData) => applyGrayscale(imageData)
+});
+
+registerTransformation({
+  id: 'threshold',
+  label: 'Threshold',
+  category: 'Adjustments',
+  params: [
+    {
+      name: 'thresholdValue',
+      type: 'range',
+      label: 'Threshold',
+      min: 0,
+      max: 255,
+      step: 1,
+      default: 128,
+      visibleWhen: (params) => params.thresholdMode === 'manual'
+    },
+    {
+      name: 'thresholdMode',
+      type: 'select',
+      label: 'Mode',
+      options: [
+        { value: 'manual', label: 'Manual' },
+        { value: 'otsu', label: 'Otsu (Automatic)' },
+        { value: 'mean', label: 'Adaptive Mean' },
+        { value: 'gaussian', label: 'Adaptive Gaussian' },
+        { value: 'sauvola', label: 'Sauvola' },
+        { value: 'niblack', label: 'Niblack' }
+      ],
+      default: 'manual',
+      description: 'Adaptive modes compare each pixel with its neighborhood, for uneven lighting'
+    },
+    {
+      name: 'thresholdBlockSize',
+      type: 'range',
+      label: 'Block Size',
+      min: 3,
+      max: 255,
+      step: 2,
+      default: 31,
+      description: 'Width of the neighborhood in pixels',
+      visibleWhen: (params) => ADAPTIVE_THRESHOLD_METHODS.includes(params.thresholdMode)
+    },
+    {
+      name: 'thresholdOffset',
+      type: 'range',
+      label: 'Offset (C)',
+      min: -50,
+      max: 50,
+      step: 1,
+      default: 10,
+      description: 'Subtracted from the local mean; higher values keep more pixels white',
+      visibleWhen: (params) => params.thresholdMode === 'mean' || params.thresholdMode === 'gaussian'
+    },
+    {
+      name: 'sauvolaK',
+      type: 'range',
+      label: 'k',
+      min: 0.05,
+      max: 1,
+      step: 0.01,
+      default: 0.34,
+      description: 'Higher values darken the threshold less in low-contrast areas',
+      visibleWhen: (params) => params.thresholdMode === 'sauvola'
+    },
+    {
+      name: 'niblackK',
+      type: 'range',
+      label: 'k',
+      min: -1,
+      max: 1,
+      step: 0.05,
+      default: -0.2,
+      description: 'Standard deviations added to the local mean',
+      visibleWhen: (params) => params.thresholdMode === 'niblack'
+    }
+  ],
+  apply: (imageData, params) => {
+    switch (params.thresholdMode) {
+      case 'otsu':
+        return applyThreshold(imageData, computeOtsuThreshold(imageData));
+      case 'manual':
+        return applyThreshold(imageData, params.thresholdValue);
+      default:
+        return applyAdaptiveThreshold(imageData, {
+          method: params.thresholdMode,
+          blockSize: params.thresholdBlockSize,
+          offset: params.thresholdOffset,
+          k: params.thresholdMode === 'sauvola' ? params.sauvolaK : params.niblackK
+        });
+    }
+  },
+  analyze: (imageData) => {
+    const threshold = computeOtsuThreshold(imageData);
+    return [{
+      label: 'Otsu threshold',
+      value: threshold,
+      params: { thresholdMode: 'manual', thresholdValue: threshold }
+    }];
+  }
+});
+
+registerTransformation({
+  id: 'invert',
+  label: 'Invert',
+  category: 'Adjustments',
+  params: [],
+  apply: (imageData) => applyInvert(imageData)
+});
+
+// Color
+registerTransformation({
+  id: 'hue',
+  label: 'Hue Rotation',
+  category: 'Color',
+  params: [
+    { name: 'hueDegrees', type: 'range', label: 'Hue', min: -180, max: 180, step: 1, default: 0, description: 'Degrees around the color wheel' }
+  ],
+  apply: (imageData, params) => applyHueRotation(imageData, params.hueDegrees)
+});
+
+registerTransformation({
+  id: 'saturation',
+  label: 'Saturation / Vibrance',
+  category: 'Color',
+  params: [
+    { name: 'saturationValue', type: 'range', label: 'Saturation', min: 0, max: 200, step: 1, default: 100, description: 'Value in %' },
+    {
+      name: 'vibranceValue',
+      type: 'range',
+      label: 'Vibrance',
+      min: -100,
+      max: 100,
+      step: 1,
+      default: 0,
+      description: 'Boosts muted colors more than saturated ones'
+    }
+  ],
+  apply: (imageData, params) => applySaturation(imageData, params.saturationValue, params.vibranceValue)
+});
+
+registerTransformation({
+  id: 'gamma',
+  label: 'Gamma',
+  category: 'Color',
+  params: [
+    { name: 'gammaValue', type: 'range', label: 'Gamma', min: 0.1, max: 5, step: 0.05, default: 1 }
+  ],
+  apply: (imageData, params) => applyGamma(imageData, params.gammaValue)
+});
+
+registerTransformation({
+  id: 'exposure',
+  label: 'Exposure',
+  category: 'Color',
+  params: [
+    { name: 'exposureStops', type: 'range', label: 'Exposure', min: -3, max: 3, step: 0.1, default: 0, description: 'Stops; each stop doubles or halves the light' }
+  ],
+  apply: (imageData, params) => applyExposure(imageData, params.exposureStops)
+});
+
+registerTransformation({
+  id: 'temperature',
+  label: 'Color Temperature / Tint',
+  category: 'Color',
+  params: [
+    { name: 'temperatureValue', type: 'range', label: 'Temperature', min: -100, max: 100, step: 1, default: 0, description: 'Negative is cooler, positive is warmer' },
+    { name: 'tintValue', type: 'range', label: 'Tint', min: -100, max: 100, step: 1, default: 0, description: 'Negative is greener, positive is more magenta' }
+  ],
+  apply: (imageData, params) => applyColorTemperature(imageData, params.temperatureValue, params.tintValue)
+});
+
+// Channels with their own points in the levels step
+const LEVELS_CHANNELS = [
+  { key: 'r', id: 'red', label: 'Red' },
+  { key: 'g', id: 'green', label: 'Green' },
+  { key: 'b', id: 'blue', label: 'Blue' }
+];
+
+registerTransformation({
+  id: 'levels',
+  label: 'Levels',
+  category: 'Color',
+  params: [
+    {
+      name: 'levelsChannel',
+      type: 'select',
+      label: 'Channel',
+      options: [
+        { value: 'rgb', label: 'RGB' },
+        { value: 'r', label: 'Red' },
+        { value: 'g', label: 'Green' },
+        { value: 'b', label: 'Blue' }
+      ],
+      default: 'rgb'
+    },
+    { name: 'inputBlack', type: 'range', label: 'Input Black', min: 0, max: 254, step: 1, default: 0 },
+    { name: 'inputWhite', type: 'range', label: 'Input White', min: 1, max: 255, step: 1, default: 255 },
+    { name: 'levelsGamma', type: 'range', label: 'Midtones', min: 0.1, max: 5, step: 0.05, default: 1 },
+    { name: 'outputBlack', type: 'range', label: 'Output Black', min: 0, max: 255, step: 1, default: 0 },
+    { name: 'outputWhite', type: 'range', label: 'Output White', min: 0, max: 255, step: 1, default: 255 },
+    {
+      name: 'levelsPerChannel',
+      type: 'boolean',
+      label: 'Per-Channel Points',
+      default: false,
+      description: 'Set the red, green and blue points separately, applied before the levels above'
+    },
+    ...LEVELS_CHANNELS.flatMap(channel => [
+      {
+        name: `${channel.id}Black`,
+        type: 'range',
+        label: `${channel.label} Black`,
+        min: 0,
+        max: 254,
+        step: 1,
+        default: 0,
+        visibleWhen: (params) => params.levelsPerChannel
+      },
+      {
+        name: `${channel.id}White`,
+        type: 'range',
+        label: `${channel.label} White`,
+        min: 1,
+        max: 255,
+        step: 1,
+        default: 255,
+        visibleWhen: (params) => params.levelsPerChannel
+      },
+      {
+        name: `${channel.id}Gamma`,
+        type: 'range',
+        label: `${channel.label} Midtones`,
+        min: 0.1,
+        max: 5,
+        step: 0.05,
+        default: 1,
+        visibleWhen: (params) => params.levelsPerChannel
+      }
+    ])
+  ],
+  apply: (imageData, params) => {
+    const channels = {};
+    if (params.levelsPerChannel) {
+      LEVELS_CHANNELS.forEach(channel => {
+        channels[channel.key] = {
+          inputBlack: params[`${channel.id}Black`],
+          inputWhite: params[`${channel.id}White`],
+          gamma: params[`${channel.id}Gamma`]
+        };
+      });
+    }
+    return applyLevels(imageData, {
+      channel: params.levelsChannel,
+      inputBlack: params.inputBlack,
+      inputWhite: params.inputWhite,
+      gamma: params.levelsGamma,
+      outputBlack: params.outputBlack,
+      outputWhite: params.outputWhite,
+      channels
+    });
+  }
+});
+
+// Auto tone
+
+/**
+ * Builds the luminance/per-channel param of an auto tone transform
+ *
+ * @param {string} name - Param name, unique to the transformation
+ * @returns {Object} The param spec
+ */
+const createToneModeParam = (name) => ({
+  name,
+  type: 'select',
+  label: 'Apply To',
+  options: [
+    { value: 'luminance', label: 'Luminance Only' },
+    { value: 'channels', label: 'Each RGB Channel' }
+  ],
+  default: 'luminance',
+  description: 'Luminance keeps colors as they are; per channel also removes color casts'
+});
+
+registerTransformation({
+  id: 'autoLevels',
+  label: 'Auto Levels',
+  category: 'Auto Tone',
+  params: [
+    {
+      name: 'shadowClip',
+      type: 'range',
+      label: 'Shadow Clipping',
+      min: 0,
+      max: 10,
+      step: 0.1,
+      default: 0.5,
+      description: '% of pixels allowed to turn black'
+    },
+    {
+      name: 'highlightClip',
+      type: 'range',
+      label: 'Highlight Clipping',
+      min: 0,
+      max: 10,
+      step: 0.1,
+      default: 0.5,
+      description: '% of pixels allowed to turn white'
+    },
+    createToneModeParam('autoLevelsMode')
+  ],
+  apply: (imageData, params) => applyAutoLevels(
+    imageData,
+    params.shadowClip,
+    params.highlightClip,
+    params.autoLevelsMode
+  )
+});
+
+registerTransformation({
+  id: 'equalize',
+  label: 'Histogram Equalization',
+  category: 'Auto Tone',
+  params: [
+    createToneModeParam('equalizeMode')
+  ],
+  apply: (imageData, params) => applyHistogramEqualization(imageData, params.equalizeMode)
+});
+
+registerTransformation({
+  id: 'clahe',
+  label: 'CLAHE (Adaptive Equalization)',
+  category: 'Auto Tone',
+  params: [
+    {
+      name: 'claheTileSize',
+      type: 'range',
+      label: 'Tile Size',
+      min: 16,
+      max: 512,
+      step: 8,
+      default: 128,
+      description: 'Area equalized together, in pixels; smaller tiles bring out more local detail'
+    },
+    {
+      name: 'claheClipLimit',
+      type: 'range',
+      label: 'Clip Limit',
+      min: 1,
+      max: 10,
+      step: 0.5,
+      default: 2,
+      description: 'Limits the contrast boost; higher values enhance more but amplify noise'
+    },
+    createToneModeParam('claheMode')
+  ],
+  apply: (imageData, params) => applyClahe(
+    imageData,
+    params.claheTileSize,
+    params.claheClipLimit,
+    params.claheMode
+  )
+});
+
+// Edge detection
+registerTransformation({
+  id: 'edges',
+  label: 'Edge Detection',
+  category: 'Edge Detection',
+  params: [
+    {
+      name: 'edgeOperator',
+      type: 'select',
+      label: 'Operator',
+      options: [
+        { value: 'sobel', label: 'Sobel' },
+        { value: 'scharr', label: 'Scharr' },
+        { value: 'prewitt', label: 'Prewitt' },
+        { value: 'roberts', label: 'Roberts Cross' },
+        { value: 'laplacian', label: 'Laplacian' },
+        { value: 'log', label: 'Laplacian of Gaussian' }
+      ],
+      default: 'sobel'
+    },
+    {
+      name: 'edgeOutput',
+      type: 'select',
+      label: 'Output',
+      options: [
+        { value: 'magnitude', label: 'Magnitude' },
+        { value: 'x', label: 'Signed X Gradient' },
+        { value: 'y', label: 'Signed Y Gradient' },
+        { value: 'orientation', label: 'Orientation (Color)' }
+      ],
+      default: 'magnitude'
+    },
+    {
+      name: 'logSigma',
+      type: 'range',
+      label: 'LoG Sigma',
+      min: 0.5,
+      max: 5,
+      step: 0.1,
+      default: 1.4,
+      description: 'Only used by the Laplacian of Gaussian'
+    },
+    {
+      name: 'edgeOverlay',
+      type: 'boolean',
+      label: 'Overlay on Original',
+      default: false,
+      description: 'Paint edges over the original image instead of replacing it'
+    },
+    { name: 'overlayColor', type: 'color', label: 'Overlay Color', default: '#ff0000' },
+    { name: 'overlayThreshold', type: 'range', label: 'Overlay Threshold', min: 0, max: 255, step: 1, default: 64 }
+  ],
+  apply: (imageData, params) => applyEdgeDetection(imageData, {
+    operator: params.edgeOperator,
+    output: params.edgeOutput,
+    sigma: params.logSigma,
+    overlay: params.edgeOverlay,
+    overlayColor: params.overlayColor,
+    overlayThreshold: params.overlayThreshold
+  })
+});
+
+registerTransformation({
+  id: 'canny',
+  label: 'Edge Detection (Canny)',
+  category: 'Edge Detection',
+  params: [
+    { name: 'cannyLow', type: 'range', label: 'Low Threshold', min: 0, max: 255, step: 1, default: 50 },
+    { name: 'cannyHigh', type: 'range', label: 'High Threshold', min: 0, max: 255, step: 1, default: 150 },
+    {
+      name: 'cannySigma',
+      type: 'range',
+      label: 'Blur Sigma',
+      min: 0.5,
+      max: 5,
+      step: 0.1,
+      default: 1.4,
+      description: 'Higher values ignore fine detail and noise'
+    }
+  ],
+  apply: (imageData, params) => applyCannyEdgeDetection(
+    imageData,
+    params.cannyLow,
+    params.cannyHigh,
+    params.cannySigma
+  )
+});
+
+// Blur & denoise
+registerTransformation({
+  id: 'gaussianBlur',
+  label: 'Gaussian Blur',
+  category: 'Blur & Denoise',
+  params: [
+    { name: 'blurSigma', type: 'range', label: 'Sigma', min: 0.5, max: 50, step: 0.5, default: 2, description: 'Blur strength in pixels' }
+  ],
+  apply: (imageData, params) => applyGaussianBlur(imageData, params.blurSigma)
+});
+
+registerTransformation({
+  id: 'boxBlur',
+  label: 'Box Blur',
+  category: 'Blur & Denoise',
+  params: [
+    { name: 'boxRadius', type: 'range', label: 'Radius', min: 1, max: 50, step: 1, default: 3 }
+  ],
+  apply: (imageData, params) => applyBoxBlur(imageData, params.boxRadius)
+});
+
+registerTransformation({
+  id: 'median',
+  label: 'Median Filter',
+  category: 'Blur & Denoise',
+  params: [
+    {
+      name: 'medianRadius',
+      type: 'range',
+      label: 'Radius',
+      min: 1,
+      max: 10,
+      step: 1,
+      default: 2,
+      description: 'Removes speckle noise while keeping edges sharp'
+    }
+  ],
+  apply: (imageData, params) => applyMedianFilter(imageData, params.medianRadius)
+});
+
+registerTransformation({
+  id: 'bilateral',
+  label: 'Bilateral Filter',
+  category: 'Blur & Denoise',
+  params: [
+    { name: 'bilateralSpatial', type: 'range', label: 'Spatial Sigma', min: 1, max: 10, step: 0.5, default: 3, description: 'Size of the smoothed neighborhood' },
+    {
+      name: 'bilateralRange',
+      type: 'range',
+      label: 'Range Sigma',
+      min: 1,
+      max: 100,
+      step: 1,
+      default: 25,
+      description: 'Color differences well above this are treated as edges and kept'
+    }
+  ],
+  apply: (imageData, params) => applyBilateralFilter(imageData, params.bilateralSpatial, params.bilateralRange)
+});
+
+registerTransformation({
+  id: 'unsharpMask',
+  label: 'Unsharp Mask',
+  category: 'Blur & Denoise',
+  params: [
+    { name: 'unsharpAmount', type: 'range', label: 'Amount', min: 0, max: 500, step: 5, default: 100, description: 'Value in %' },
+    { name: 'unsharpRadius', type: 'range', label: 'Radius', min: 0.5, max: 20, step: 0.5, default: 2 },
+    {
+      name: 'unsharpThreshold',
+      type: 'range',
+      label: 'Threshold',
+      min: 0,
+      max: 255,
+      step: 1,
+      default: 0,
+      description: 'Smaller differences are left alone, which avoids sharpening noise'
+    }
+  ],
+  apply: (imageData, params) => applyUnsharpMask(
+    imageData,
+    params.unsharpAmount,
+    params.unsharpRadius,
+    params.unsharpThreshold
+  )
+});
+
+// Filters
+registerTransformation({
+  id: 'customKernel',
+  label: 'Custom Kernel',
+  category: 'Filters',
+  params: [
+    {
+      name: 'kernel',
+      type: 'kernel',
+      label: 'Kernel',
+      sizes: [3, 5, 7],
+      presets: [
+        { label: 'Identity', value: { size: 3, values: [0, 0, 0, 0, 1, 0, 0, 0, 0], divisor: 1, bias: 0 } },
+        { label: 'Emboss', value: { size: 3, values: [-2, -1, 0, -1, 0, 1, 0, 1, 2], divisor: 1, bias: 128 } },
+        { label: 'Box Blur', value: { size: 3, values: [1, 1, 1, 1, 1, 1, 1, 1, 1], divisor: 9, bias: 0 } },
+        { label: 'Gaussian Blur', value: { size: 3, values: [1, 2, 1, 2, 4, 2, 1, 2, 1], divisor: 16, bias: 0 } },
+        {
+          label: 'Motion Blur',
+          value: {
+            size: 5,
+            values: [
+              1, 0, 0, 0, 0,
+              0, 1, 0, 0, 0,
+              0, 0, 1, 0, 0,
+              0, 0, 0, 1, 0,
+              0, 0, 0, 0, 1
+            ],
+            divisor: 5,
+            bias: 0
+          }
+        },
+        { label: 'Outline', value: { size: 3, values: [-1, -1, -1, -1, 8, -1, -1, -1, -1], divisor: 1, bias: 0 } },
+        { label: 'Sharpen', value: { size: 3, values: [0, -1, 0, -1, 5, -1, 0, -1, 0], divisor: 1, bias: 0 } }
+      ],
+      default: { size: 3, values: [0, 0, 0, 0, 1, 0, 0, 0, 0], divisor: 1, bias: 0 },
+      description: 'Each pixel becomes the weighted sum of its neighbors, divided by the divisor plus the bias'
+    },
+    {
+      name: 'borderMode',
+      type: 'select',
+      label: 'Borders',
+      options: [
+        { value: 'clamp', label: 'Repeat Edge' },
+        { value: 'mirror', label: 'Mirror' },
+        { value: 'wrap', label: 'Wrap Around' },
+        { value: 'zero', label: 'Black' }
+      ],
+      default: 'clamp'
+    }
+  ],
+  apply: (imageData, params) => convolveImage(imageData, params.kernel.values, {
+    divisor: params.kernel.divisor,
+    bias: params.kernel.bias,
+    borderMode: params.borderMode
+  })
+});
+
+// Segmentation
+
+/**
+ * Maps the segmentation params to segmentImage options
+ *
+ * @param {Object} params - Params of a 'segmentation' step
+ * @returns {Object} Options for segmentImage
+ */
+const getSegmentationOptions = (params) => ({
+  method: params.segmentMethod,
+  metric: params.colorMetric,
+  tolerance: {
+    rgb: params.segmentTolerance,
+    cie76: params.cie76Tolerance,
+    ciede2000: params.ciede2000Tolerance
+  }[params.colorMetric],
+  minSize: params.segmentMinSize,
+  k: params.kmeansK,
+  seed: params.kmeansSeed,
+  regionSize: params.slicRegionSize,
+  compactness: params.slicCompactness,
+  markerLevel: params.watershedLevel
+});
+
+registerTransformation({
+  id: 'segmentation',
+  label: 'Color by Segment',
+  category: 'Segmentation',
+  params: [
+    {
+      name: 'segmentTolerance',
+      type: 'range',
+      label: 'Color Tolerance',
+      min: 1,
+      max: 50,
+      step: 1,
+      default: 20,
+      description: 'Lower values create more segments, higher values merge similar colors',
+      visibleWhen: (params) => params.segmentMethod === 'floodFill' && params.colorMetric === 'rgb'
+    },
+    {
+      name: 'segmentMinSize',
+      type: 'range',
+      label: 'Minimum Segment Size',
+      min: 10,
+      max: 500,
+      step: 1,
+      default: 100,
+      description: 'Smaller segments get merged with neighbors',
+      visibleWhen: (params) => params.segmentMethod !== 'kmeans'
+    },
+    {
+      name: 'colorScheme',
+      type: 'select',
+      label: 'Color Scheme',
+      options: [
+        { value: 'rainbow', label: 'Rainbow' },
+        { value: 'pastel', label: 'Pastel' },
+        { value: 'grayscale', label: 'Grayscale' },
+        { value: 'highContrast', label: 'High Contrast' },
+        { value: 'preserveBrightness', label: 'Preserve Brightness' },
+        { value: 'meanColor', label: 'Mean Color (Posterize)' },
+        { value: 'colorblindSafe', label: 'Colorblind-Safe' },
+        { value: 'viridis', label: 'Viridis by Size' },
+        { value: 'magma', label: 'Magma by Size' },
+        { value: 'custom', label: 'Custom Palette' }
+      ],
+      default: 'rainbow',
+      visibleWhen: (params) => params.segmentOutput !== 'outlines'
+    },
+    // Added after the original params so existing pipeline URLs stay valid
+    {
+      name: 'segmentMethod',
+      type: 'select',
+      label: 'Method',
+      options: [
+        { value: 'floodFill', label: 'Flood Fill' },
+        { value: 'kmeans', label: 'K-Means Color Clusters' },
+        { value: 'slic', label: 'SLIC Superpixels' },
+        { value: 'watershed', label: 'Watershed' }
+      ],
+      default: 'floodFill'
+    },
+    {
+      name: 'kmeansK',
+      type: 'range',
+      label: 'Clusters (k)',
+      min: 2,
+      max: 32,
+      step: 1,
+      default: 8,
+      visibleWhen: (params) => params.segmentMethod === 'kmeans'
+    },
+    {
+      name: 'kmeansSeed',
+      type: 'range',
+      label: 'Random Seed',
+      min: 1,
+      max: 100,
+      step: 1,
+      default: 1,
+      description: 'Try another seed if clusters look unbalanced',
+      visibleWhen: (params) => params.segmentMethod === 'kmeans'
+    },
+    {
+      name: 'slicRegionSize',
+      type: 'range',
+      label: 'Region Size',
+      min: 5,
+      max: 100,
+      step: 1,
+      default: 20,
+      description: 'Approximate superpixel width in pixels',
+      visibleWhen: (params) => params.segmentMethod === 'slic'
+    },
+    {
+      name: 'slicCompactness',
+      type: 'range',
+      label: 'Compactness',
+      min: 1,
+      max: 40,
+      step: 1,
+      default: 10,
+      description: 'Higher values give more regular, less color-driven shapes',
+      visibleWhen: (params) => params.segmentMethod === 'slic'
+    },
+    {
+      name: 'watershedLevel',
+      type: 'range',
+      label: 'Marker Level',
+      min: 1,
+      max: 100,
+      step: 1,
+      default: 10,
+      description: 'Areas with edge strength below this seed regions; higher values give fewer regions',
+      visibleWhen: (params) => params.segmentMethod === 'watershed'
+    },
+    {
+      name: 'segmentOutput',
+      type: 'select',
+      label: 'Output',
+      options: [
+        { value: 'fill', label: 'Colored Segments' },
+        { value: 'fillOutlines', label: 'Colored Segments with Outlines' },
+        { value: 'outlines', label: 'Outlines over Original' }
+      ],
+      default: 'fill'
+    },
+    {
+      name: 'outlineColor',
+      type: 'color',
+      label: 'Outline Color',
+      default: '#ffffff',
+      visibleWhen: (params) => params.segmentOutput !== 'fill'
+    },
+    {
+      name: 'outlineWidth',
+      type: 'range',
+      label: 'Outline Width',
+      min: 1,
+      max: 10,
+      step: 1,
+      default: 1,
+      description: 'Value in pixels',
+      visibleWhen: (params) => params.segmentOutput !== 'fill'
+    },
+    {
+      name: 'customPalette',
+      type: 'palette',
+      label: 'Palette',
+      default: generateDistinctColors(8, 0.8, 0.9, 0).map(([r, g, b]) => rgbToHex(r, g, b)),
+      description: 'Colors are repeated when there are more segments than colors',
+      visibleWhen: (params) => params.colorScheme === 'custom' && params.segmentOutput !== 'outlines'
+    },
+    {
+      name: 'colorMetric',
+      type: 'select',
+      label: 'Color Distance',
+      options: [
+        { value: 'rgb', label: 'RGB (Euclidean)' },
+        { value: 'cie76', label: 'CIE76 (ΔE*ab)' },
+        { value: 'ciede2000', label: 'CIEDE2000 (ΔE00)' }
+      ],
+      default: 'rgb',
+      description: 'The CIE metrics compare colors the way they are perceived',
+      visibleWhen: (params) => params.segmentMethod !== 'kmeans'
+    },
+    // Each metric has its own tolerance, since their scales differ
+    {
+      name: 'cie76Tolerance',
+      type: 'range',
+      label: 'Color Tolerance (ΔE76)',
+      min: 1,
+      max: 50,
+      step: 0.5,
+      default: 10,
+      description: 'A difference of about 2.3 is just noticeable',
+      visibleWhen: (params) => params.segmentMethod === 'floodFill' && params.colorMetric === 'cie76'
+    },
+    {
+      name: 'ciede2000Tolerance',
+      type: 'range',
+      label: 'Color Tolerance (ΔE00)',
+      min: 0.5,
+      max: 30,
+      step: 0.5,
+      default: 6,
+      description: 'A difference of about 1 is just noticeable',
+      visibleWhen: (params) => params.segmentMethod === 'floodFill' && params.colorMetric === 'ciede2000'
+    }
+  ],
+  apply: (imageData, params) => applySegmentation(imageData, {
+    ...getSegmentationOptions(params),
+    colorScheme: params.colorScheme,
+    palette: params.customPalette,
+    output: params.segmentOutput,
+    outlineColor: params.outlineColor,
+    outlineWidth: params.outlineWidth
+  }),
+  exports: [
+    {
+      id: 'labels',
+      label: 'Label Map (16-bit PNG)',
+      mimeType: 'image/png',
+      extension: 'png',
+      create: (imageData, params) => {
+        const { labels, count } = segmentImage(imageData, getSegmentationOptions(params));
+        if (count > 0x10000) {
+          throw new Error(`${count} segments do not fit in a 16-bit label map`);
+        }
+        return encodeGrayscale16Png(labels, imageData.width, imageData.height);
+      }
+    },
+    {
+      id: 'segments',
+      label: 'Segment Summary (JSON)',
+      mimeType: 'application/json',
+      extension: 'json',
+      create: (imageData, params) => {
+        const { labels, count } = segmentImage(imageData, getSegmentationOptions(params));
+        return JSON.stringify({
+          width: imageData.width,
+          height: imageData.height,
+          count,
+          segments: summarizeSegments(imageData, labels, count)
+        }, null, 2);
+      }
+    }
+  ]
+});
+
+// Geometry
+
+registerTransformation({
+  id: 'crop',
+  label: 'Crop',
+  category: 'Geometry',
+  previewEditor: 'crop',
+  params: [
+    {
+      name: 'cropAspect',
+      type: 'select',
+      label: 'Aspect Ratio',
+      options: [
+        { value: 'free', label: 'Free' },
+        { value: '1:1', label: 'Square (1:1)' },
+        { value: '4:3', label: '4:3' },
+        { value: '3:4', label: '3:4' },
+        { value: '3:2', label: '3:2' },
+        { value: '2:3', label: '2:3' },
+        { value: '16:9', label: '16:9' },
+        { value: '9:16', label: '9:16' }
+      ],
+      default: 'free',
+      description: 'Drag the frame on the image, or use the sliders below'
+    },
+    { name: 'cropX', type: 'range', label: 'Left (%)', min: 0, max: 100, step: 0.1, default: 0 },
+    { name: 'cropY', type: 'range', label: 'Top (%)', min: 0, max: 100, step: 0.1, default: 0 },
+    { name: 'cropWidth', type: 'range', label: 'Width (%)', min: 1, max: 100, step: 0.1, default: 100 },
+    { name: 'cropHeight', type: 'range', label: 'Height (%)', min: 1, max: 100, step: 0.1, default: 100 }
+  ],
+  apply: (imageData, params) => applyCrop(imageData, getCropRect(imageData.width, imageData.height, {
+    x: params.cropX,
+    y: params.cropY,
+    width: params.cropWidth,
+    height: params.cropHeight,
+    aspect: params.cropAspect
+  }))
+});
+
+registerTransformation({
+  id: 'rotate90',
+  label: 'Rotate 90°',
+  category: 'Geometry',
+  params: [
+    {
+      name: 'quarterTurns',
+      type: 'select',
+      label: 'Rotation',
+      options: [
+        { value: '1', label: '90° Clockwise' },
+        { value: '2', label: '180°' },
+        { value: '3', label: '90° Counterclockwise' }
+      ],
+      default: '1'
+    }
+  ],
+  apply: (imageData, params) => applyRotate90(imageData, Number(params.quarterTurns))
+});
+
+registerTransformation({
+  id: 'rotate',
+  label: 'Rotate',
+  category: 'Geometry',
+  params: [
+    { name: 'rotateAngle', type: 'range', label: 'Angle (° clockwise)', min: -180, max: 180, step: 0.1, default: 0 },
+    {
+      name: 'rotateExpand',
+      type: 'boolean',
+      label: 'Enlarge to Fit',
+      default: true,
+      description: 'Grow the image so no corner is cut off'
+    },
+    {
+      name: 'rotateFill',
+      type: 'select',
+      label: 'Background',
+      options: [
+        { value: 'transparent', label: 'Transparent' },
+        { value: 'color', label: 'Color' }
+      ],
+      default: 'transparent'
+    },
+    {
+      name: 'rotateFillColor',
+      type: 'color',
+      label: 'Background Color',
+      default: '#ffffff',
+      visibleWhen: (params) => params.rotateFill === 'color'
+    }
+  ],
+  apply: (imageData, params) => applyRotation(imageData, params.rotateAngle, {
+    expand: params.rotateExpand,
+    fill: params.rotateFill === 'color' ? [...hexToRgb(params.rotateFillColor), 255] : [0, 0, 0, 0]
+  })
+});
+
+registerTransformation({
+  id: 'flip',
+  label: 'Flip',
+  category: 'Geometry',
+  params: [
+    { name: 'flipHorizontal', type: 'boolean', label: 'Horizontal (Mirror)', default: true },
+    { name: 'flipVertical', type: 'boolean', label: 'Vertical', default: false }
+  ],
+  apply: (imageData, params) => applyFlip(imageData, params.flipHorizontal, params.flipVertical)
+});
+
+/**
+ * Computes the size a 'resize' step scales its input to
+ *
+ * @param {ImageData} imageData - The step's input
+ * @param {Object} params - Params of a 'resize' step
+ * @returns {Object} Size as { width, height }
+ */
+const getResizeDimensions = (imageData, params) => {
+  const { width, height } = imageData;
+  if (params.resizeMode === 'percent') {
+    return {
+      width: Math.max(1, Math.round((width * params.resizeScale) / 100)),
+      height: Math.max(1, Math.round((height * params.resizeScale) / 100))
+    };
+  }
+  return {
+    width: params.resizeWidth,
+    height: params.resizeKeepAspect
+      ? Math.max(1, Math.round((params.resizeWidth * height) / width))
+      : params.resizeHeight
+  };
+};
+
+registerTransformation({
+  id: 'resize',
+  label: 'Resize',
+  category: 'Geometry',
+  params: [
+    {
+      name: 'resizeMode',
+      type: 'select',
+      label: 'Size',
+      options: [
+        { value: 'percent', label: 'Percentage' },
+        { value: 'pixels', label: 'Pixels' }
+      ],
+      default: 'percent'
+    },
+    {
+      name: 'resizeScale',
+      type: 'range',
+      label: 'Scale (%)',
+      min: 1,
+      max: 400,
+      step: 1,
+      default: 50,
+      visibleWhen: (params) => params.resizeMode === 'percent'
+    },
+    {
+      name: 'resizeWidth',
+      type: 'range',
+      label: 'Width (px)',
+      min: 1,
+      max: 8000,
+      step: 1,
+      default: 1024,
+      visibleWhen: (params) => params.resizeMode === 'pixels'
+    },
+    {
+      name: 'resizeKeepAspect',
+      type: 'boolean',
+      label: 'Keep Aspect Ratio',
+      default: true,
+      visibleWhen: (params) => params.resizeMode === 'pixels'
+    },
+    {
+      name: 'resizeHeight',
+      type: 'range',
+      label: 'Height (px)',
+      min: 1,
+      max: 8000,
+      step: 1,
+      default: 768,
+      visibleWhen: (params) => params.resizeMode === 'pixels' && !params.resizeKeepAspect
+    },
+    {
+      name: 'resizeMethod',
+      type: 'select',
+      label: 'Resampling',
+      options: [
+        { value: 'nearest', label: 'Nearest Neighbor (Pixel Art)' },
+        { value: 'bilinear', label: 'Bilinear' },
+        { value: 'lanczos', label: 'Lanczos (Sharpest)' }
+      ],
+      default: 'lanczos'
+    }
+  ],
+  apply: (imageData, params) => {
+    const { width, height } = getResizeDimensions(imageData, params);
+    return applyResize(imageData, width, height, params.resizeMethod);
+  }
+});
+
+// Corners of a 'perspective' step, in the order the warp expects them
+const WARP_CORNERS = [
+  { name: 'TopLeft', label: 'Top Left', x: 10, y: 10 },
+  { name: 'TopRight', label: 'Top Right', x: 90, y: 10 },
+  { name: 'BottomRight', label: 'Bottom Right', x: 90, y: 90 },
+  { name: 'BottomLeft', label: 'Bottom Left', x: 10, y: 90 }
+];
+
+/**
+ * Reads the corners of a 'perspective' step in pixels of its input
+ *
+ * @param {ImageData} imageData - The step's input
+ * @param {Object} params - Params of a 'perspective' step
+ * @returns {Array} Four [x, y] corners
+ */
+const getWarpCorners = (imageData, params) => WARP_CORNERS.map(corner => [
+  (params[`warp${corner.name}X`] / 100) * imageData.width,
+  (params[`warp${corner.name}Y`] / 100) * imageData.height
+]);
+
+registerTransformation({
+  id: 'perspective',
+  label: 'Perspective Correction',
+  category: 'Geometry',
+  previewEditor: 'perspective',
+  params: [
+    {
+      name: 'warpAspect',
+      type: 'select',
+      label: 'Aspect Ratio',
+      options: [
+        { value: 'free', label: 'Auto (from the corners)' },
+        { value: '210:297', label: 'A4 Portrait' },
+        { value: '297:210', label: 'A4 Landscape' },
+        { value: '8.5:11', label: 'US Letter Portrait' },
+        { value: '11:8.5', label: 'US Letter Landscape' },
+        { value: '1:1', label: 'Square (1:1)' },
+        { value: '4:3', label: '4:3' },
+        { value: '3:4', label: '3:4' },
+        { value: '16:9', label: '16:9' }
+      ],
+      default: 'free',
+      description: 'Drag the corner handles on the image, or use the sliders below'
+    },
+    ...WARP_CORNERS.flatMap(corner => [
+      {
+        name: `warp${corner.name}X`,
+        type: 'range',
+        label: `${corner.label} X (%)`,
+        min: 0,
+        max: 100,
+        step: 0.1,
+        default: corner.x
+      },
+      {
+        name: `warp${corner.name}Y`,
+        type: 'range',
+        label: `${corner.label} Y (%)`,
+        min: 0,
+        max: 100,
+        step: 0.1,
+        default: corner.y
+      }
+    ])
+  ],
+  apply: (imageData, params) => applyPerspectiveWarp(
+    imageData,
+    getWarpCorners(imageData, params),
+    parseAspectRatio(params.warpAspect)
+  ),
+  analyze: (imageData) => {
+    const detected = findDocumentCorners(imageData);
+    if (!detected) {
+      return [{ label: 'Detected corners', value: 'none found' }];
+    }
+    const params = {};
+    WARP_CORNERS.forEach((corner, i) => {
+      const [x, y] = detected.corners[i];
+      params[`warp${corner.name}X`] = Math.round((x / imageData.width) * 1000) / 10;
+      params[`warp${corner.name}Y`] = Math.round((y / imageData.height) * 1000) / 10;
+    });
+    return [{
+      label: 'Detected corners',
+      value: `${Math.round(detected.coverage * 100)}% of the image`,
+      params
+    }];
+  }
+});
+
+// Morphology
+
+registerTransformation({
+  id: 'morphology',
+  label: 'Morphology',
+  category: 'Morphology',
+  params: [
+    {
+      name: 'morphOperation',
+      type: 'select',
+      label: 'Operation',
+      options: [
+        { value: 'erode', label: 'Erode' },
+        { value: 'dilate', label: 'Dilate' },
+        { value: 'open', label: 'Open (Remove Specks)' },
+        { value: 'close', label: 'Close (Fill Gaps)' },
+        { value: 'gradient', label: 'Gradient (Outlines)' },
+        { value: 'tophat', label: 'Top-Hat (Small Bright Details)' },
+        { value: 'blackhat', label: 'Black-Hat (Small Dark Details)' }
+      ],
+      default: 'open',
+      description: 'Works on black and white masks as well as grayscale and color images'
+    },
+    {
+      name: 'morphShape',
+      type: 'select',
+      label: 'Structuring Element',
+      options: [
+        { value: 'square', label: 'Square' },
+        { value: 'cross', label: 'Cross' },
+        { value: 'disk', label: 'Disk' }
+      ],
+      default: 'square'
+    },
+    {
+      name: 'morphRadius',
+      type: 'range',
+      label: 'Radius (px)',
+      min: 1,
+      max: 50,
+      step: 1,
+      default: 1,
+      description: 'The element spans twice the radius plus one pixel'
+    }
+  ],
+  apply: (imageData, params) => applyMorphology(
+    imageData,
+    params.morphOperation,
+    params.morphShape,
+    params.morphRadius
+  )
+});
@@ -0,0 +1,226 @@
+import {
+  rgbToHsv,
+  hsvToRgb,
+  srgbToLinear,
+  linearToSrgb
+} from '../utils/colorUtils';
+
+/**
+ * Color adjustments: hue, saturation/vibrance, gamma, exposure,
+ * white balance and per-channel levels.
+ * All of them leave the alpha channel untouched.
+ */
+
+/**
+ * Utility function to clamp a value between 0 and 255
+ *
+ * @param {number} value - The value to clamp
+ * @returns {number} The clamped value (0-255)
+ */
+const clamp = (value) => Math.min(255, Math.max(0, value));
+
+/**
+ * Builds a 256-entry lookup table from a per-value mapping function
+ *
+ * @param {Function} mapValue - Maps a channel value (0-255) to a new value
+ * @returns {Uint8ClampedArray} The lookup table
+ */
+const buildLut = (mapValue) => {
+  const lut = new Uint8ClampedArray(256);
+  for (let v = 0; v < 256; v++) {
+    lut[v] = Math.round(mapValue(v));
+  }
+  return lut;
+};
+
+/**
+ * Applies a lookup table to each RGB channel
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Uint8ClampedArray} lutR - Lookup table for the red channel
+ * @param {Uint8ClampedArray} lutG - Lookup table for the green channel
+ * @param {Uint8ClampedArray} lutB - Lookup table for the blue channel
+ * @returns {ImageData} The processed image data
+ */
+const applyChannelLuts = (imageData, lutR, lutG, lutB) => {
+  const data = new Uint8ClampedArray(imageData.data);
+
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lutR[data[i]];
+    data[i + 1] = lutG[data[i + 1]];
+    data[i + 2] = lutB[data[i + 2]];
+    // Alpha channel remains unchanged
+  }
+
+  return new ImageData(data, imageData.width, imageData.height);
+};
+
+// Number of entries in the color cache of applyHsvMapping
+const HSV_CACHE_SIZE = 1 << 16;
+
+/**
+ * Applies a per-pixel HSV mapping. Results are kept in a fixed-size,
+ * direct-mapped cache since photos typically reuse many colors; a color
+ * that collides with another just replaces it, so memory use doesn't grow
+ * with the number of distinct colors.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Function} mapHsv - Maps [h, s, v] to a new [h, s, v]
+ * @returns {ImageData} The processed image data
+ */
+const applyHsvMapping = (imageData, mapHsv) => {
+  const data = new Uint8ClampedArray(imageData.data);
+  const cachedKeys = new Int32Array(HSV_CACHE_SIZE).fill(-1);
+  const cachedColors = new Uint8Array(HSV_CACHE_SIZE * 3);
+
+  for (let i = 0; i < data.length; i += 4) {
+    const key = (data[i] << 16) | (data[i + 1] << 8) | data[i + 2];
+    const slot = (key ^ (key >>> 8) ^ (key >>> 16)) & (HSV_CACHE_SIZE - 1);
+    const cacheIndex = slot * 3;
+
+    if (cachedKeys[slot] !== key) {
+      const [h, s, v] = mapHsv(rgbToHsv(data[i], data[i + 1], data[i + 2]));
+      const rgb = hsvToRgb(h, s, v);
+      cachedKeys[slot] = key;
+      cachedColors[cacheIndex] = rgb[0];
+      cachedColors[cacheIndex + 1] = rgb[1];
+      cachedColors[cacheIndex + 2] = rgb[2];
+    }
+
+    data[i] = cachedColors[cacheIndex];
+    data[i + 1] = cachedColors[cacheIndex + 1];
+    data[i + 2] = cachedColors[cacheIndex + 2];
+    // Alpha channel remains unchanged
+  }
+
+  return new ImageData(data, imageData.width, imageData.height);
+};
+
+/**
+ * Rotates the hue of every pixel around the color wheel
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} degrees - Hue rotation (-180 to 180)
+ * @returns {ImageData} The processed image data
+ */
+export const applyHueRotation = (imageData, degrees) => {
+  if (degrees === 0) return imageData;
+  return applyHsvMapping(imageData, ([h, s, v]) => [h + degrees, s, v]);
+};
+
+/**
+ * Adjusts saturation and vibrance. Saturation scales all colors equally;
+ * vibrance boosts muted colors more than already saturated ones.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} saturation - Saturation (0-200), where 100 is unchanged
+ * @param {number} vibrance - Vibrance (-100 to 100), where 0 is unchanged
+ * @returns {ImageData} The processed image data
+ */
+export const applySaturation = (imageData, saturation, vibrance) => {
+  if (saturation === 100 && vibrance === 0) return imageData;
+
+  const saturationFactor = saturation / 100;
+  const vibranceFactor = vibrance / 100;
+
+  return applyHsvMapping(imageData, ([h, s, v]) => {
+    const vibrant = s * (1 + vibranceFactor * (1 - s));
+    return [h, Math.min(1, Math.max(0, vibrant * saturationFactor)), v];
+  });
+};
+
+/**
+ * Applies gamma correction
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} gamma - Gamma value (0.1-5), where 1 is unchanged and
+ *                         higher values brighten midtones
+ * @returns {ImageData} The processed image data
+ */
+export const applyGamma = (imageData, gamma) => {
+  const lut = buildLut(v => 255 * Math.pow(v / 255, 1 / gamma));
+  return applyChannelLuts(imageData, lut, lut, lut);
+};
+
+/**
+ * Adjusts exposure in photographic stops, working in linear light so
+ * highlights roll off like a camera exposure change
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} stops - Exposure change in stops (-3 to 3)
+ * @returns {ImageData} The processed image data
+ */
+export const applyExposure = (imageData, stops) => {
+  const factor = Math.pow(2, stops);
+  const lut = buildLut(v => linearToSrgb(srgbToLinear(v) * factor));
+  return applyChannelLuts(imageData, lut, lut, lut);
+};
+
+/**
+ * Shifts white balance. Temperature trades blue for red (warmer) and
+ * tint trades green for magenta, both applied as linear-light channel gains.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} temperature - Temperature (-100 cool to 100 warm)
+ * @param {number} tint - Tint (-100 green to 100 magenta)
+ * @returns {ImageData} The processed image data
+ */
+export const applyColorTemperature = (imageData, temperature, tint) => {
+  const t = temperature / 100;
+  const m = tint / 100;
+
+  const gainR = 1 + 0.3 * t + 0.15 * m;
+  const gainG = 1 - 0.3 * m;
+  const gainB = 1 - 0.3 * t + 0.15 * m;
+
+  const lutFor = (gain) => buildLut(v => linearToSrgb(srgbToLinear(v) * gain));
+  return applyChannelLuts(imageData, lutFor(gainR), lutFor(gainG), lutFor(gainB));
+};
+
+/**
+ * Builds the lookup table of a levels curve
+ *
+ * @param {Object} curve - Curve as { inputBlack, inputWhite, gamma, outputBlack, outputWhite }
+ * @returns {Uint8ClampedArray} Lookup table
+ */
+const buildLevelsLut = ({ inputBlack, inputWhite, gamma, outputBlack = 0, outputWhite = 255 }) => {
+  const inputRange = Math.max(1, inputWhite - inputBlack);
+  return buildLut(v => {
+    const normalized = Math.min(1, Math.max(0, (v - inputBlack) / inputRange));
+    return clamp(outputBlack + Math.pow(normalized, 1 / gamma) * (outputWhite - outputBlack));
+  });
+};
+
+/**
+ * Applies a levels adjustment to one or all RGB channels.
+ * Input black/white points are stretched to the output range, with a
+ * midtone gamma in between. Optional per-channel curves are applied first,
+ * so red, green and blue can be balanced in the same step.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Object} levels - Levels settings
+ * @param {string} levels.channel - 'rgb', 'r', 'g' or 'b'
+ * @param {number} levels.inputBlack - Input black point (0-255)
+ * @param {number} levels.inputWhite - Input white point (0-255)
+ * @param {number} levels.gamma - Midtone gamma (0.1-5), 1 is unchanged
+ * @param {number} levels.outputBlack - Output black point (0-255)
+ * @param {number} levels.outputWhite - Output white point (0-255)
+ * @param {Object} [levels.channels] - Curves keyed by 'r', 'g' and 'b', each
+ *                                     as { inputBlack, inputWhite, gamma }
+ * @returns {ImageData} The processed image data
+ */
+export const applyLevels = (imageData, levels) => {
+  const { channel, channels = {} } = levels;
+  const lut = buildLevelsLut(levels);
+
+  const [lutR, lutG, lutB] = ['r', 'g', 'b'].map(name => {
+    const master = channel === 'rgb' || channel === name ? lut : null;
+    const own = channels[name] ? buildLevelsLut(channels[name]) : null;
+    if (master && own) {
+      return own.map(v => master[v]);
+    }
+    return master || own || buildLut(v => v);
+  });
+
+  return applyChannelLuts(imageData, lutR, lutG, lutB);
+};
@@ -0,0 +1,120 @@
+import {
+  applyHueRotation,
+  applySaturation,
+  applyGamma,
+  applyExposure,
+  applyColorTemperature,
+  applyLevels
+} from './colorAdjustments';
+import { rgbToHsv, hsvToRgb } from '../utils/colorUtils';
+import { createImage } from '../testing/images';
+
+/**
+ * Builds a one-row test image from a list of [r, g, b] colors
+ */
+const createRow = (colors, alpha) => createImage(colors.length, 1, x => colors[x], alpha);
+
+const colorsOf = (imageData) => {
+  const colors = [];
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    colors.push(Array.from(imageData.data.slice(i, i + 3)));
+  }
+  return colors;
+};
+
+const pseudoRandomColors = (count) => Array.from({ length: count }, (_, i) => {
+  const hash = (i * 2654435761) >>> 0;
+  return [hash & 255, (hash >>> 8) & 255, (hash >>> 16) & 255];
+});
+
+test('hue rotation moves colors around the wheel without banding', () => {
+  expect(colorsOf(applyHueRotation(createRow([[255, 0, 0], [0, 0, 255]]), 120)))
+    .toEqual([[0, 255, 0], [255, 0, 0]]);
+
+  // Hue is not rounded to whole degrees, so a full turn changes nothing
+  const gradient = Array.from({ length: 256 }, (_, i) => [255, i, 3]);
+  expect(colorsOf(applyHueRotation(createRow(gradient), 360))).toEqual(gradient);
+});
+
+test('HSV adjustments match a per-pixel computation across many colors', () => {
+  // More distinct colors than the cache has entries, in scattered order
+  const colors = pseudoRandomColors(100000);
+  const result = colorsOf(applySaturation(createRow(colors), 150, 0));
+
+  colors.forEach((color, i) => {
+    const [h, s, v] = rgbToHsv(...color);
+    expect(result[i]).toEqual(hsvToRgb(h, Math.min(1, s * 1.5), v));
+  });
+});
+
+test('saturation and vibrance scale colorfulness', () => {
+  const [gray] = colorsOf(applySaturation(createRow([[200, 100, 50]]), 0, 0));
+  expect(gray).toEqual([200, 200, 200]);
+
+  // Vibrance boosts the muted color more than the saturated one
+  const muted = [150, 130, 120];
+  const saturated = [200, 40, 20];
+  const [mutedResult, saturatedResult] = colorsOf(applySaturation(createRow([muted, saturated]), 100, 100));
+  const saturationOf = (color) => rgbToHsv(...color)[1];
+  expect(saturationOf(mutedResult) / saturationOf(muted))
+    .toBeGreaterThan(saturationOf(saturatedResult) / saturationOf(saturated));
+});
+
+test('gamma and exposure brighten midtones and keep the end points', () => {
+  const image = createRow([[0, 0, 0], [128, 128, 128], [255, 255, 255]]);
+
+  const gamma = colorsOf(applyGamma(image, 2));
+  expect(gamma[0]).toEqual([0, 0, 0]);
+  expect(gamma[1][0]).toBe(Math.round(255 * Math.sqrt(128 / 255)));
+  expect(gamma[2]).toEqual([255, 255, 255]);
+
+  // One stop doubles the light: sRGB 128 is linear 0.216, and 0.432 is sRGB 176
+  const exposure = colorsOf(applyExposure(image, 1));
+  expect(exposure[0]).toEqual([0, 0, 0]);
+  expect(exposure[1][0]).toBe(176);
+  expect(exposure[2]).toEqual([255, 255, 255]);
+});
+
+test('white balance shifts gray towards the chosen temperature and tint', () => {
+  const gray = createRow([[128, 128, 128]]);
+
+  const [[warmR, warmG, warmB]] = colorsOf(applyColorTemperature(gray, 100, 0));
+  expect(warmR).toBeGreaterThan(128);
+  expect(warmG).toBe(128);
+  expect(warmB).toBeLessThan(128);
+
+  const [[magentaR, magentaG, magentaB]] = colorsOf(applyColorTemperature(gray, 0, 100));
+  expect(magentaG).toBeLessThan(128);
+  expect(magentaR).toBe(magentaB);
+  expect(magentaR).toBeGreaterThan(128);
+});
+
+test('levels stretch the input range of the chosen channel only', () => {
+  const image = createRow([[50, 50, 50], [100, 100, 100], [150, 150, 150]], 90);
+  const levels = { inputBlack: 50, inputWhite: 150, gamma: 1, outputBlack: 0, outputWhite: 255 };
+
+  const red = applyLevels(image, { ...levels, channel: 'r' });
+  expect(colorsOf(red)).toEqual([[0, 50, 50], [128, 100, 100], [255, 150, 150]]);
+  expect(red.data[3]).toBe(90);
+
+  expect(colorsOf(applyLevels(image, { ...levels, channel: 'rgb' })))
+    .toEqual([[0, 0, 0], [128, 128, 128], [255, 255, 255]]);
+});
+
+test('per-channel levels balance each channel before the shared levels', () => {
+  const image = createRow([[50, 100, 150]]);
+  const identity = { inputBlack: 0, inputWhite: 255, gamma: 1, outputBlack: 0, outputWhite: 255 };
+  const channels = {
+    r: { inputBlack: 50, inputWhite: 255, gamma: 1 },
+    g: { inputBlack: 0, inputWhite: 200, gamma: 1 },
+    b: { inputBlack: 0, inputWhite: 255, gamma: 1 }
+  };
+
+  expect(colorsOf(applyLevels(image, { ...identity, channel: 'rgb', channels })))
+    .toEqual([[0, 128, 150]]);
+
+  // The shared curve then applies to the balanced values
+  const inverted = { ...identity, outputBlack: 255, outputWhite: 0 };
+  expect(colorsOf(applyLevels(image, { ...inverted, channel: 'g', channels })))
+    .toEqual([[0, 127, 150]]);
+});
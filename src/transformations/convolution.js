@@ -0,0 +1,275 @@
+/**
+ * Convolution engine shared by the neighborhood filters.
+ *
+ * Sources are flat arrays of interleaved channels: a single-channel plane
+ * uses stride 1, RGBA image data uses stride 4 with 3 channels so the
+ * alpha channel is left alone. Results are Float32Arrays with the same
+ * layout, so filters can chain passes without rounding in between.
+ *
+ * Border modes decide what lies beyond the image edge:
+ *  - 'clamp':  repeat the nearest edge pixel
+ *  - 'mirror': reflect the image at the edge pixel
+ *  - 'wrap':   continue from the opposite edge
+ *  - 'zero':   treat outside pixels as 0
+ */
+
+export const BORDER_MODES = ['clamp', 'mirror', 'wrap', 'zero'];
+
+/**
+ * Maps a possibly out-of-range coordinate to a source coordinate
+ *
+ * @param {number} index - Coordinate along one axis
+ * @param {number} size - Image size along that axis
+ * @param {string} borderMode - One of BORDER_MODES
+ * @returns {number} The source coordinate, or -1 for a zero pixel
+ */
+const resolveIndex = (index, size, borderMode) => {
+  if (index >= 0 && index < size) {
+    return index;
+  }
+
+  switch (borderMode) {
+    case 'zero':
+      return -1;
+    case 'wrap':
+      return ((index % size) + size) % size;
+    case 'mirror': {
+      if (size === 1) return 0;
+      const period = 2 * (size - 1);
+      const wrapped = ((index % period) + period) % period;
+      return wrapped < size ? wrapped : period - wrapped;
+    }
+    default:
+      return Math.min(size - 1, Math.max(0, index));
+  }
+};
+
+/**
+ * Precomputes source coordinates for an axis padded by radius on each side,
+ * keeping border handling out of the inner loops
+ *
+ * @param {number} size - Image size along the axis
+ * @param {number} radius - Kernel radius
+ * @param {string} borderMode - One of BORDER_MODES
+ * @returns {Int32Array} Source coordinate for each padded position
+ */
+const buildIndexTable = (size, radius, borderMode) => {
+  if (!BORDER_MODES.includes(borderMode)) {
+    throw new Error(`Unknown border mode "${borderMode}"`);
+  }
+
+  const table = new Int32Array(size + 2 * radius);
+  for (let i = 0; i < table.length; i++) {
+    table[i] = resolveIndex(i - radius, size, borderMode);
+  }
+  return table;
+};
+
+/**
+ * Convolves a source with a square kernel
+ *
+ * @param {ArrayLike<number>} source - Interleaved channel values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {ArrayLike<number>} kernel - Square kernel of odd size, in row order
+ * @param {Object} [options] - Layout and border settings
+ * @param {number} [options.stride] - Values per pixel in the source
+ * @param {number} [options.channels] - Leading channels to convolve
+ * @param {string} [options.borderMode] - One of BORDER_MODES
+ * @returns {Float32Array} The filter response, laid out like the source
+ */
+export const convolve = (source, width, height, kernel, options = {}) => {
+  const { stride = 1, channels = stride, borderMode = 'clamp' } = options;
+  const size = Math.round(Math.sqrt(kernel.length));
+  if (size * size !== kernel.length || size % 2 === 0) {
+    throw new Error('Convolution kernels must be square with an odd size');
+  }
+
+  const radius = (size - 1) / 2;
+  const xTable = buildIndexTable(width, radius, borderMode);
+  const yTable = buildIndexTable(height, radius, borderMode);
+  const result = new Float32Array(width * height * stride);
+  const sums = new Float64Array(channels);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      sums.fill(0);
+
+      for (let ky = 0; ky < size; ky++) {
+        const sy = yTable[y + ky];
+        if (sy < 0) continue;
+
+        for (let kx = 0; kx < size; kx++) {
+          const weight = kernel[ky * size + kx];
+          const sx = xTable[x + kx];
+          if (weight === 0 || sx < 0) continue;
+
+          const sourceIndex = (sy * width + sx) * stride;
+          for (let c = 0; c < channels; c++) {
+            sums[c] += source[sourceIndex + c] * weight;
+          }
+        }
+      }
+
+      const resultIndex = (y * width + x) * stride;
+      for (let c = 0; c < channels; c++) {
+        result[resultIndex + c] = sums[c];
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Runs one 1D pass of a separable convolution
+ *
+ * @param {ArrayLike<number>} source - Interleaved channel values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {ArrayLike<number>} kernel - 1D kernel of odd length
+ * @param {boolean} vertical - Whether to run along columns instead of rows
+ * @param {number} stride - Values per pixel in the source
+ * @param {number} channels - Leading channels to convolve
+ * @param {string} borderMode - One of BORDER_MODES
+ * @returns {Float32Array} The filter response, laid out like the source
+ */
+const convolvePass = (source, width, height, kernel, vertical, stride, channels, borderMode) => {
+  const radius = (kernel.length - 1) / 2;
+  const length = vertical ? height : width;
+  const lines = vertical ? width : height;
+  const step = vertical ? width * stride : stride;
+  const table = buildIndexTable(length, radius, borderMode);
+  const result = new Float32Array(width * height * stride);
+
+  for (let line = 0; line < lines; line++) {
+    const base = vertical ? line * stride : line * width * stride;
+
+    for (let i = 0; i < length; i++) {
+      const resultIndex = base + i * step;
+
+      for (let c = 0; c < channels; c++) {
+        const offset = base + c;
+        let sum = 0;
+        for (let k = 0; k < kernel.length; k++) {
+          const s = table[i + k];
+          if (s >= 0) {
+            sum += source[offset + s * step] * kernel[k];
+          }
+        }
+        result[resultIndex + c] = sum;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Convolves a source with a separable kernel, given as its horizontal and
+ * vertical factors. Costs 2N instead of N*N multiplications per pixel.
+ *
+ * @param {ArrayLike<number>} source - Interleaved channel values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {ArrayLike<number>} kernelX - Horizontal 1D kernel of odd length
+ * @param {ArrayLike<number>} kernelY - Vertical 1D kernel of odd length
+ * @param {Object} [options] - Same as for convolve
+ * @returns {Float32Array} The filter response, laid out like the source
+ */
+export const convolveSeparable = (source, width, height, kernelX, kernelY, options = {}) => {
+  const { stride = 1, channels = stride, borderMode = 'clamp' } = options;
+  if (kernelX.length % 2 === 0 || kernelY.length % 2 === 0) {
+    throw new Error('Convolution kernels must have an odd size');
+  }
+
+  const horizontal = convolvePass(source, width, height, kernelX, false, stride, channels, borderMode);
+  return convolvePass(horizontal, width, height, kernelY, true, stride, channels, borderMode);
+};
+
+/**
+ * Writes filtered RGB values into a copy of an image, keeping its alpha
+ *
+ * @param {ImageData} imageData - The source image
+ * @param {Float32Array} values - Filtered values with stride 4
+ * @param {number} [divisor] - Divides each value
+ * @param {number} [bias] - Added after dividing
+ * @returns {ImageData} The resulting image
+ */
+export const toImageData = (imageData, values, divisor = 1, bias = 0) => {
+  const resultData = new Uint8ClampedArray(imageData.data);
+
+  for (let i = 0; i < resultData.length; i += 4) {
+    resultData[i] = values[i] / divisor + bias;
+    resultData[i + 1] = values[i + 1] / divisor + bias;
+    resultData[i + 2] = values[i + 2] / divisor + bias;
+    // Alpha channel remains unchanged
+  }
+
+  return new ImageData(resultData, imageData.width, imageData.height);
+};
+
+/**
+ * Convolves the RGB channels of an image with a square kernel
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {ArrayLike<number>} kernel - Square kernel of odd size, in row order
+ * @param {Object} [options] - Filter settings
+ * @param {number} [options.divisor] - Divides the weighted sum (must not be 0)
+ * @param {number} [options.bias] - Added to the result, e.g. 128 for emboss
+ * @param {string} [options.borderMode] - One of BORDER_MODES
+ * @returns {ImageData} The processed image data
+ */
+export const convolveImage = (imageData, kernel, options = {}) => {
+  const { divisor = 1, bias = 0, borderMode = 'clamp' } = options;
+  const values = convolve(imageData.data, imageData.width, imageData.height, kernel, {
+    stride: 4,
+    channels: 3,
+    borderMode
+  });
+  return toImageData(imageData, values, divisor || 1, bias);
+};
+
+/**
+ * Convolves the RGB channels of an image with a separable kernel
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {ArrayLike<number>} kernelX - Horizontal 1D kernel of odd length
+ * @param {ArrayLike<number>} kernelY - Vertical 1D kernel of odd length
+ * @param {Object} [options] - Filter settings
+ * @param {string} [options.borderMode] - One of BORDER_MODES
+ * @returns {ImageData} The processed image data
+ */
+export const convolveImageSeparable = (imageData, kernelX, kernelY, options = {}) => {
+  const { borderMode = 'clamp' } = options;
+  const values = convolveSeparable(imageData.data, imageData.width, imageData.height, kernelX, kernelY, {
+    stride: 4,
+    channels: 3,
+    borderMode
+  });
+  return toImageData(imageData, values);
+};
+
+/**
+ * Builds a normalized 1D Gaussian kernel covering three standard deviations
+ *
+ * @param {number} sigma - Standard deviation in pixels
+ * @returns {Float32Array} The kernel, of odd length
+ */
+export const createGaussianKernel = (sigma) => {
+  const radius = Math.max(1, Math.ceil(sigma * 3));
+  const kernel = new Float32Array(radius * 2 + 1);
+  let sum = 0;
+
+  for (let k = -radius; k <= radius; k++) {
+    const weight = Math.exp(-(k * k) / (2 * sigma * sigma));
+    kernel[k + radius] = weight;
+    sum += weight;
+  }
+
+  for (let k = 0; k < kernel.length; k++) {
+    kernel[k] /= sum;
+  }
+
+  return kernel;
+};
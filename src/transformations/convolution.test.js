@@ -0,0 +1,39 @@
+import { convolve, convolveSeparable, createGaussianKernel } from './convolution';
+
+// 3x1 plane: 10 20 30
+const row = Float32Array.from([10, 20, 30]);
+const shiftRight = [0, 0, 0, 1, 0, 0, 0, 0, 0];
+
+test('border modes decide what lies beyond the edge', () => {
+  expect(Array.from(convolve(row, 3, 1, shiftRight, { borderMode: 'clamp' }))).toEqual([10, 10, 20]);
+  expect(Array.from(convolve(row, 3, 1, shiftRight, { borderMode: 'mirror' }))).toEqual([20, 10, 20]);
+  expect(Array.from(convolve(row, 3, 1, shiftRight, { borderMode: 'wrap' }))).toEqual([30, 10, 20]);
+  expect(Array.from(convolve(row, 3, 1, shiftRight, { borderMode: 'zero' }))).toEqual([0, 10, 20]);
+});
+
+test('separable kernels match the equivalent 2D kernel', () => {
+  const plane = Float32Array.from({ length: 25 }, (_, i) => (i * 37) % 11);
+  const factor = [1, 2, 1];
+  const full = [1, 2, 1, 2, 4, 2, 1, 2, 1];
+
+  const separable = convolveSeparable(plane, 5, 5, factor, factor, { borderMode: 'mirror' });
+  const direct = convolve(plane, 5, 5, full, { borderMode: 'mirror' });
+  direct.forEach((value, i) => expect(separable[i]).toBeCloseTo(value, 4));
+});
+
+test('only the requested channels of interleaved data are convolved', () => {
+  const rgba = Uint8ClampedArray.from([10, 20, 30, 255, 40, 50, 60, 255]);
+  const result = convolve(rgba, 2, 1, [0, 0, 0, 0, 2, 0, 0, 0, 0], { stride: 4, channels: 3 });
+  expect(Array.from(result)).toEqual([20, 40, 60, 0, 80, 100, 120, 0]);
+});
+
+test('invalid kernels and border modes are rejected', () => {
+  expect(() => convolve(row, 3, 1, [1, 1, 1, 1])).toThrow(/odd size/);
+  expect(() => convolve(row, 3, 1, shiftRight, { borderMode: 'bounce' })).toThrow(/Unknown border mode/);
+});
+
+test('Gaussian kernels are normalized', () => {
+  const kernel = createGaussianKernel(1.5);
+  expect(kernel.length).toBe(11);
+  expect(kernel.reduce((sum, v) => sum + v, 0)).toBeCloseTo(1, 5);
+});
@@ -1,79 +1,154 @@
 import { applyGrayscale } from './basicTransforms';
+import { hsvToRgb, hexToRgb } from '../utils/colorUtils';
+import { convolve } from './convolution';
+import { applyGaussianBlur } from './blurFilters';
 
 /**
- * Applies Sobel edge detection algorithm to an image
- * Uses horizontal and vertical gradient kernels to detect edges
+ * 3x3 gradient kernel pairs for the first-derivative operators.
+ * Scale brings each operator's response to the range of Sobel, so the
+ * same thresholds and display mapping work for all of them.
+ * Roberts cross is a 2x2 operator, padded into the 3x3 grid.
+ */
+const GRADIENT_OPERATORS = {
+  sobel: {
+    x: [-1, 0, 1, -2, 0, 2, -1, 0, 1],
+    y: [-1, -2, -1, 0, 0, 0, 1, 2, 1],
+    scale: 1
+  },
+  scharr: {
+    x: [-3, 0, 3, -10, 0, 10, -3, 0, 3],
+    y: [-3, -10, -3, 0, 0, 0, 3, 10, 3],
+    scale: 4 / 16
+  },
+  prewitt: {
+    x: [-1, 0, 1, -1, 0, 1, -1, 0, 1],
+    y: [-1, -1, -1, 0, 0, 0, 1, 1, 1],
+    scale: 4 / 3
+  },
+  roberts: {
+    x: [0, 0, 0, 0, 1, 0, 0, 0, -1],
+    y: [0, 0, 0, 0, 0, 1, 0, -1, 0],
+    scale: 4
+  }
+};
+
+// Second-derivative kernel used by the Laplacian operators
+const LAPLACIAN_KERNEL = [0, 1, 0, 1, -4, 1, 0, 1, 0];
+
+/**
+ * Applies an edge or gradient operator to an image
+ * 
+ * Output modes:
+ *  - 'magnitude': edge strength as grayscale
+ *  - 'x' / 'y': signed horizontal or vertical gradient, with mid-gray as zero
+ *  - 'orientation': hue shows the gradient direction, brightness its strength
+ * The Laplacian operators have no direction; for them the signed modes show
+ * the signed response and the orientation mode colors it by sign.
+ * 
+ * With overlay enabled, pixels whose edge strength exceeds the overlay
+ * threshold are painted in the overlay color on top of the original image.
  * 
  * @param {ImageData} imageData - The image data to process
- * @returns {ImageData} The processed image data with edges highlighted
+ * @param {Object} [options] - Operator settings
+ * @param {string} [options.operator] - 'sobel', 'scharr', 'prewitt', 'roberts', 'laplacian' or 'log'
+ * @param {string} [options.output] - 'magnitude', 'x', 'y' or 'orientation'
+ * @param {number} [options.sigma] - Gaussian sigma for the Laplacian of Gaussian
+ * @param {boolean} [options.overlay] - Draw edges over the original image
+ * @param {string} [options.overlayColor] - Overlay color as '#rrggbb'
+ * @param {number} [options.overlayThreshold] - Minimum strength drawn in the overlay (0-255)
+ * @returns {ImageData} The processed image data
  */
-export const applySobelEdgeDetection = (imageData) => {
-  // First convert to grayscale
-  const grayscaleData = applyGrayscale(imageData);
-  const data = grayscaleData.data;
+export const applyEdgeDetection = (imageData, options = {}) => {
+  const {
+    operator = 'sobel',
+    output = 'magnitude',
+    sigma = 1.4,
+    overlay = false,
+    overlayColor = '#ff0000',
+    overlayThreshold = 64
+  } = options;
   const width = imageData.width;
   const height = imageData.height;
+  const pixelCount = width * height;
   
-  // Create a new array for the result
-  const resultData = new Uint8ClampedArray(data.length);
-  
-  // Sobel kernels
-  const kernelX = [
-    -1, 0, 1,
-    -2, 0, 2,
-    -1, 0, 1
-  ];
-  
-  const kernelY = [
-    -1, -2, -1,
-     0,  0,  0,
-     1,  2,  1
-  ];
+  // Work on intensity only, smoothing first for the Laplacian of Gaussian
+  const source = operator === 'log' ? applyGaussianBlur(imageData, sigma) : imageData;
+  const grayscale = applyGrayscale(source).data;
+  const intensity = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    intensity[i] = grayscale[i * 4];
+  }
   
-  // Apply convolution
-  for (let y = 1; y < height - 1; y++) {
-    for (let x = 1; x < width - 1; x++) {
-      const pixelIndex = (y * width + x) * 4;
-      
-      let sumX = 0;
-      let sumY = 0;
-      
-      // Apply kernel to neighboring pixels
-      for (let ky = -1; ky <= 1; ky++) {
-        for (let kx = -1; kx <= 1; kx++) {
-          const kernelIndex = (ky + 1) * 3 + (kx + 1);
-          const dataIndex = ((y + ky) * width + (x + kx)) * 4;
-          
-          sumX += data[dataIndex] * kernelX[kernelIndex];
-          sumY += data[dataIndex] * kernelY[kernelIndex];
-        }
+  // Signed responses; the Laplacian operators only produce one
+  let gradientX;
+  let gradientY = null;
+  if (operator === 'laplacian' || operator === 'log') {
+    gradientX = convolve(intensity, width, height, LAPLACIAN_KERNEL);
+    if (operator === 'log') {
+      // Scale-normalize so the response does not fade as sigma grows
+      const normalization = sigma * sigma;
+      for (let i = 0; i < pixelCount; i++) {
+        gradientX[i] *= normalization;
       }
-      
-      // Calculate gradient magnitude
-      const magnitude = Math.sqrt(sumX * sumX + sumY * sumY);
-      
-      // Set the result pixel
-      resultData[pixelIndex] = magnitude;
-      resultData[pixelIndex + 1] = magnitude;
-      resultData[pixelIndex + 2] = magnitude;
-      resultData[pixelIndex + 3] = 255; // Full opacity
+    }
+  } else {
+    const kernels = GRADIENT_OPERATORS[operator];
+    if (!kernels) {
+      throw new Error(`Unknown edge operator "${operator}"`);
+    }
+    gradientX = convolve(intensity, width, height, kernels.x);
+    gradientY = convolve(intensity, width, height, kernels.y);
+    for (let i = 0; i < pixelCount; i++) {
+      gradientX[i] *= kernels.scale;
+      gradientY[i] *= kernels.scale;
     }
   }
   
-  // Handle border pixels (leave them as black)
-  for (let y = 0; y < height; y++) {
-    for (let x = 0; x < width; x++) {
-      // Skip non-border pixels
-      if (x !== 0 && x !== width - 1 && y !== 0 && y !== height - 1) {
-        continue;
+  const resultData = overlay
+    ? new Uint8ClampedArray(imageData.data)
+    : new Uint8ClampedArray(pixelCount * 4);
+  const [overlayR, overlayG, overlayB] = hexToRgb(overlayColor);
+  
+  for (let i = 0; i < pixelCount; i++) {
+    const gx = gradientX[i];
+    const gy = gradientY ? gradientY[i] : 0;
+    const magnitude = Math.sqrt(gx * gx + gy * gy);
+    const pixelIndex = i * 4;
+    
+    if (overlay) {
+      if (magnitude > overlayThreshold) {
+        resultData[pixelIndex] = overlayR;
+        resultData[pixelIndex + 1] = overlayG;
+        resultData[pixelIndex + 2] = overlayB;
       }
-      
-      const pixelIndex = (y * width + x) * 4;
-      resultData[pixelIndex] = 0;
-      resultData[pixelIndex + 1] = 0;
-      resultData[pixelIndex + 2] = 0;
-      resultData[pixelIndex + 3] = 255;
+      // Alpha channel remains unchanged
+      continue;
     }
+    
+    let r, g, b;
+    switch (output) {
+      case 'x':
+        r = g = b = 128 + gx / 2;
+        break;
+      case 'y':
+        r = g = b = 128 + (gradientY ? gy : gx) / 2;
+        break;
+      case 'orientation': {
+        const hue = gradientY
+          ? Math.atan2(gy, gx) * (180 / Math.PI)
+          : (gx >= 0 ? 0 : 240);
+        [r, g, b] = hsvToRgb(hue, 1, Math.min(1, magnitude / 255));
+        break;
+      }
+      default:
+        r = g = b = magnitude;
+        break;
+    }
+    
+    resultData[pixelIndex] = r;
+    resultData[pixelIndex + 1] = g;
+    resultData[pixelIndex + 2] = b;
+    resultData[pixelIndex + 3] = 255; // Full opacity
   }
   
   return new ImageData(resultData, width, height);
@@ -86,140 +161,90 @@ export const applySobelEdgeDetection = (imageData) => {
  * @param {ImageData} imageData - The image data to process
  * @param {number} lowThreshold - Lower threshold for edge detection
  * @param {number} highThreshold - Higher threshold for edge detection
+ * @param {number} [sigma] - Standard deviation of the Gaussian pre-blur
  * @returns {ImageData} The processed image data with edges highlighted
  */
-export const applyCannyEdgeDetection = (imageData, lowThreshold, highThreshold) => {
-  // Step 1: Apply Gaussian blur (simplified - using a negative sharpening as blur)
-  const blurredData = applyGaussianBlur(imageData);
-  
-  // Step 2: Apply Sobel operators
-  const sobelData = applySobelEdgeDetection(blurredData);
-  
-  // Step 3: Non-maximum suppression and edge tracking
+export const applyCannyEdgeDetection = (imageData, lowThreshold, highThreshold, sigma = 1.4) => {
   const width = imageData.width;
   const height = imageData.height;
-  const data = sobelData.data;
-  const resultData = new Uint8ClampedArray(data.length);
+  const pixelCount = width * height;
   
-  // Apply double threshold
-  for (let i = 0; i < data.length; i += 4) {
-    const magnitude = data[i];
-    
-    if (magnitude > highThreshold) {
-      // Strong edge
-      resultData[i] = 255;
-      resultData[i + 1] = 255;
-      resultData[i + 2] = 255;
-    } else if (magnitude > lowThreshold) {
-      // Weak edge
-      resultData[i] = 128;
-      resultData[i + 1] = 128;
-      resultData[i + 2] = 128;
-    } else {
-      // Not an edge
-      resultData[i] = 0;
-      resultData[i + 1] = 0;
-      resultData[i + 2] = 0;
-    }
-    
-    resultData[i + 3] = 255; // Full opacity
+  // Step 1: Smooth the image to suppress noise, then work on intensity only
+  const data = applyGrayscale(applyGaussianBlur(imageData, sigma)).data;
+  
+  // Step 2: Sobel gradients, keeping the direction of each pixel
+  const intensity = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    intensity[i] = data[i * 4];
+  }
+  const gradientX = convolve(intensity, width, height, GRADIENT_OPERATORS.sobel.x);
+  const gradientY = convolve(intensity, width, height, GRADIENT_OPERATORS.sobel.y);
+  
+  const magnitude = new Float32Array(pixelCount);
+  const direction = new Uint8Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    const gx = gradientX[i];
+    const gy = gradientY[i];
+    magnitude[i] = Math.sqrt(gx * gx + gy * gy);
+    direction[i] = getGradientDirection(gx, gy) / 45;
   }
   
-  // Apply hysteresis (connecting weak edges to strong ones)
+  // Step 3: Non-maximum suppression - keep only pixels that are the
+  // local maximum along their gradient direction, thinning edges to 1px.
+  // Neighbor offsets per quantized direction (0, 45, 90, 135 degrees)
+  const neighborOffsets = [1, width + 1, width, width - 1];
+  const EDGE_WEAK = 1;
+  const EDGE_STRONG = 2;
+  const edges = new Uint8Array(pixelCount);
+  const stack = new Int32Array(pixelCount);
+  let stackSize = 0;
+  
   for (let y = 1; y < height - 1; y++) {
     for (let x = 1; x < width - 1; x++) {
-      const pixelIndex = (y * width + x) * 4;
+      const i = y * width + x;
+      const value = magnitude[i];
+      if (value <= lowThreshold) continue;
       
-      // Only process weak edges
-      if (resultData[pixelIndex] === 128) {
-        let hasStrongNeighbor = false;
-        
-        // Check 8-connected neighborhood
-        for (let ky = -1; ky <= 1; ky++) {
-          for (let kx = -1; kx <= 1; kx++) {
-            if (ky === 0 && kx === 0) continue; // Skip center pixel
-            
-            const neighborIndex = ((y + ky) * width + (x + kx)) * 4;
-            if (resultData[neighborIndex] === 255) {
-              hasStrongNeighbor = true;
-              break;
-            }
-          }
-          if (hasStrongNeighbor) break;
-        }
-        
-        // If connected to a strong edge, make this a strong edge
-        // Otherwise, remove this weak edge
-        if (hasStrongNeighbor) {
-          resultData[pixelIndex] = 255;
-          resultData[pixelIndex + 1] = 255;
-          resultData[pixelIndex + 2] = 255;
-        } else {
-          resultData[pixelIndex] = 0;
-          resultData[pixelIndex + 1] = 0;
-          resultData[pixelIndex + 2] = 0;
-        }
+      const offset = neighborOffsets[direction[i]];
+      // Ties with the following neighbor are dropped so plateaus stay 1px wide
+      if (value < magnitude[i - offset] || value <= magnitude[i + offset]) continue;
+      
+      // Step 4: Double threshold
+      if (value > highThreshold) {
+        edges[i] = EDGE_STRONG;
+        stack[stackSize++] = i;
+      } else {
+        edges[i] = EDGE_WEAK;
       }
     }
   }
   
-  return new ImageData(resultData, width, height);
-};
-
-/**
- * Applies a simple Gaussian blur to an image
- * Used as a preprocessing step for Canny edge detection
- * 
- * @param {ImageData} imageData - The image data to process
- * @returns {ImageData} The blurred image data
- */
-const applyGaussianBlur = (imageData) => {
-  const data = new Uint8ClampedArray(imageData.data);
-  const width = imageData.width;
-  const height = imageData.height;
-  const resultData = new Uint8ClampedArray(data);
-  
-  // Gaussian kernel (5x5)
-  const kernel = [
-    2, 4, 5, 4, 2,
-    4, 9, 12, 9, 4,
-    5, 12, 15, 12, 5,
-    4, 9, 12, 9, 4,
-    2, 4, 5, 4, 2
-  ];
-  
-  // Normalize the kernel
-  const kernelSum = kernel.reduce((sum, val) => sum + val, 0);
-  const normalizedKernel = kernel.map(val => val / kernelSum);
-  
-  // Apply convolution with Gaussian kernel
-  for (let y = 2; y < height - 2; y++) {
-    for (let x = 2; x < width - 2; x++) {
-      const pixelIndex = (y * width + x) * 4;
-      
-      let sumR = 0;
-      let sumG = 0;
-      let sumB = 0;
-      
-      // Apply kernel to neighborhood
-      for (let ky = -2; ky <= 2; ky++) {
-        for (let kx = -2; kx <= 2; kx++) {
-          const kernelIndex = (ky + 2) * 5 + (kx + 2);
-          const dataIndex = ((y + ky) * width + (x + kx)) * 4;
-          
-          sumR += data[dataIndex] * normalizedKernel[kernelIndex];
-          sumG += data[dataIndex + 1] * normalizedKernel[kernelIndex];
-          sumB += data[dataIndex + 2] * normalizedKernel[kernelIndex];
+  // Step 5: Hysteresis - grow strong edges through connected weak pixels
+  // until no more weak pixels can be reached
+  while (stackSize > 0) {
+    const i = stack[--stackSize];
+    
+    for (let ky = -1; ky <= 1; ky++) {
+      for (let kx = -1; kx <= 1; kx++) {
+        const neighbor = i + ky * width + kx;
+        if (edges[neighbor] === EDGE_WEAK) {
+          edges[neighbor] = EDGE_STRONG;
+          stack[stackSize++] = neighbor;
         }
       }
-      
-      // Set the blurred pixel
-      resultData[pixelIndex] = Math.round(sumR);
-      resultData[pixelIndex + 1] = Math.round(sumG);
-      resultData[pixelIndex + 2] = Math.round(sumB);
     }
   }
   
+  // Weak pixels never reached from a strong edge are discarded
+  const resultData = new Uint8ClampedArray(pixelCount * 4);
+  for (let i = 0; i < pixelCount; i++) {
+    const value = edges[i] === EDGE_STRONG ? 255 : 0;
+    resultData[i * 4] = value;
+    resultData[i * 4 + 1] = value;
+    resultData[i * 4 + 2] = value;
+    resultData[i * 4 + 3] = 255; // Full opacity
+  }
+  
   return new ImageData(resultData, width, height);
 };
 
@@ -0,0 +1,133 @@
+import { applyEdgeDetection, applyCannyEdgeDetection } from './edgeDetection';
+import { createImage } from '../testing/images';
+
+/**
+ * Returns the RGB values of one pixel
+ */
+const pixelAt = (imageData, x, y) => {
+  const i = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(i, i + 3));
+};
+
+// Sharp steps from 100 to 140, between x = 4 and 5 or between y = 4 and 5
+const verticalEdge = createImage(10, 10, x => (x < 5 ? 100 : 140));
+const horizontalEdge = createImage(10, 10, (x, y) => (y < 5 ? 100 : 140));
+
+/**
+ * Lists the x positions of edge pixels in one row of a Canny result
+ */
+const edgeColumns = (imageData, y) => {
+  const columns = [];
+  for (let x = 0; x < imageData.width; x++) {
+    if (imageData.data[(y * imageData.width + x) * 4] === 255) columns.push(x);
+  }
+  return columns;
+};
+
+test('Canny thins a blurred step edge to a single pixel per row', () => {
+  // Dark to light over six pixels around x = 15
+  const ramp = createImage(30, 12, x => Math.min(220, Math.max(40, 40 + (x - 12) * 30)));
+  const edges = applyCannyEdgeDetection(ramp, 20, 60);
+
+  for (let y = 1; y < 11; y++) {
+    const columns = edgeColumns(edges, y);
+    expect(columns).toHaveLength(1);
+    expect(Math.abs(columns[0] - 15)).toBeLessThanOrEqual(1);
+  }
+});
+
+test('hysteresis keeps weak edges linked to strong ones and drops isolated ones', () => {
+  // A step that is strong in the top rows and fades to weak further down
+  const contrastAt = y => Math.min(150, Math.max(30, 150 - 3 * (y - 5)));
+  const linked = createImage(30, 50, (x, y) => (x < 15 ? 50 : 50 + contrastAt(y)));
+  const linkedEdges = applyCannyEdgeDetection(linked, 30, 150);
+  for (let y = 1; y < 49; y++) {
+    expect(edgeColumns(linkedEdges, y)).toHaveLength(1);
+  }
+
+  // The same weak step on its own is dropped...
+  const isolated = createImage(30, 30, x => (x < 15 ? 50 : 80));
+  const isolatedEdges = applyCannyEdgeDetection(isolated, 30, 150);
+  expect(isolatedEdges.data.some((value, i) => i % 4 === 0 && value === 255)).toBe(false);
+
+  // ...although it passes the low threshold
+  const lowered = applyCannyEdgeDetection(isolated, 30, 40);
+  expect(edgeColumns(lowered, 15)).toHaveLength(1);
+});
+
+test('first-derivative operators respond equally to vertical and horizontal edges', () => {
+  ['sobel', 'scharr', 'prewitt'].forEach(operator => {
+    const vertical = applyEdgeDetection(verticalEdge, { operator });
+    expect(pixelAt(vertical, 4, 5)).toEqual([160, 160, 160]);
+    expect(pixelAt(vertical, 5, 5)).toEqual([160, 160, 160]);
+    expect(pixelAt(vertical, 1, 5)).toEqual([0, 0, 0]);
+    expect(pixelAt(vertical, 8, 5)).toEqual([0, 0, 0]);
+
+    const horizontal = applyEdgeDetection(horizontalEdge, { operator });
+    expect(pixelAt(horizontal, 5, 4)).toEqual([160, 160, 160]);
+    expect(pixelAt(horizontal, 5, 1)).toEqual([0, 0, 0]);
+  });
+
+  // Roberts cross takes diagonal differences on a 2x2 grid
+  const roberts = applyEdgeDetection(verticalEdge, { operator: 'roberts' });
+  expect(pixelAt(roberts, 4, 5)).toEqual([226, 226, 226]);
+  expect(pixelAt(roberts, 5, 5)).toEqual([0, 0, 0]);
+});
+
+test('signed outputs show one gradient component around mid-gray', () => {
+  const x = applyEdgeDetection(verticalEdge, { output: 'x' });
+  const y = applyEdgeDetection(verticalEdge, { output: 'y' });
+  expect(pixelAt(x, 4, 5)).toEqual([208, 208, 208]);
+  expect(pixelAt(x, 1, 5)).toEqual([128, 128, 128]);
+  expect(pixelAt(y, 4, 5)).toEqual([128, 128, 128]);
+
+  expect(pixelAt(applyEdgeDetection(horizontalEdge, { output: 'y' }), 5, 4)).toEqual([208, 208, 208]);
+
+  // Light on the left gives a negative gradient
+  const reversed = createImage(10, 10, x => (x < 5 ? 140 : 100));
+  expect(pixelAt(applyEdgeDetection(reversed, { output: 'x' }), 4, 5)).toEqual([48, 48, 48]);
+});
+
+test('orientation output colors the gradient direction by hue', () => {
+  // Rightwards is red and downwards yellow-green, at the edge strength
+  expect(pixelAt(applyEdgeDetection(verticalEdge, { output: 'orientation' }), 4, 5)).toEqual([160, 0, 0]);
+  expect(pixelAt(applyEdgeDetection(horizontalEdge, { output: 'orientation' }), 5, 4)).toEqual([80, 160, 0]);
+});
+
+test('the Laplacian responds with opposite signs on either side of an edge', () => {
+  const magnitude = applyEdgeDetection(verticalEdge, { operator: 'laplacian' });
+  expect(pixelAt(magnitude, 4, 5)).toEqual([40, 40, 40]);
+  expect(pixelAt(magnitude, 5, 5)).toEqual([40, 40, 40]);
+  expect(pixelAt(magnitude, 1, 5)).toEqual([0, 0, 0]);
+
+  // The orientation output has no direction to show, so it colors by sign
+  const orientation = applyEdgeDetection(verticalEdge, { operator: 'laplacian', output: 'orientation' });
+  expect(pixelAt(orientation, 4, 5)).toEqual([40, 0, 0]);
+  expect(pixelAt(orientation, 5, 5)).toEqual([0, 0, 40]);
+
+  // The Laplacian of Gaussian spreads the response over a wider band
+  const log = applyEdgeDetection(verticalEdge, { operator: 'log', sigma: 2 });
+  expect(pixelAt(log, 2, 5)[0]).toBeGreaterThan(0);
+  expect(pixelAt(magnitude, 2, 5)[0]).toBe(0);
+});
+
+test('overlay paints strong edges over the source image', () => {
+  const data = new Uint8ClampedArray(10 * 10 * 4);
+  for (let i = 0; i < 100; i++) {
+    data.set(i % 10 < 5 ? [100, 90, 80, 200] : [140, 130, 120, 200], i * 4);
+  }
+  const source = new ImageData(data, 10, 10);
+
+  const result = applyEdgeDetection(source, { overlay: true, overlayColor: '#00ff00', overlayThreshold: 100 });
+  expect(Array.from(result.data.slice((5 * 10 + 4) * 4, (5 * 10 + 5) * 4))).toEqual([0, 255, 0, 200]);
+  expect(Array.from(result.data.slice((5 * 10 + 1) * 4, (5 * 10 + 2) * 4))).toEqual([100, 90, 80, 200]);
+  expect(Array.from(result.data.slice((5 * 10 + 8) * 4, (5 * 10 + 9) * 4))).toEqual([140, 130, 120, 200]);
+
+  // Edges at or below the threshold leave the source visible
+  const faint = applyEdgeDetection(source, { overlay: true, overlayThreshold: 200 });
+  expect(Array.from(faint.data)).toEqual(Array.from(data));
+});
+
+test('unknown edge operators are rejected', () => {
+  expect(() => applyEdgeDetection(verticalEdge, { operator: 'kirsch' })).toThrow('Unknown edge operator');
+});
@@ -0,0 +1,420 @@
+/**
+ * Geometric transforms: crop, flip, rotation and resizing. Unlike the other
+ * transforms these can return an image of a different size than their input.
+ *
+ * Interpolating transforms work on premultiplied alpha, so transparent
+ * pixels (e.g. the corners uncovered by a rotation) don't darken the
+ * colors next to them.
+ */
+
+export const RESIZE_METHODS = ['nearest', 'bilinear', 'lanczos'];
+
+/**
+ * Parses an aspect ratio such as '16:9'
+ *
+ * @param {string} aspect - 'w:h', or 'free' for no constraint
+ * @returns {number|null} Width divided by height, or null when free
+ */
+export const parseAspectRatio = (aspect) => {
+  if (aspect === 'free') return null;
+  const [width, height] = aspect.split(':').map(Number);
+  if (!(width > 0 && height > 0)) {
+    throw new Error(`Invalid aspect ratio "${aspect}"`);
+  }
+  return width / height;
+};
+
+/**
+ * Converts a crop selection into a pixel rectangle inside the image. With
+ * an aspect ratio, the selection is narrowed around its center until it
+ * matches.
+ *
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} crop - Selection as { x, y, width, height } in % of the
+ *                        image size, plus an aspect ('free' or 'w:h')
+ * @returns {Object} Rectangle as { x, y, width, height } in whole pixels,
+ *                   at least 1x1
+ */
+export const getCropRect = (width, height, crop) => {
+  const left = Math.min(width - 1, Math.max(0, Math.round((crop.x / 100) * width)));
+  const top = Math.min(height - 1, Math.max(0, Math.round((crop.y / 100) * height)));
+  let rectWidth = Math.min(width - left, Math.max(1, Math.round((crop.width / 100) * width)));
+  let rectHeight = Math.min(height - top, Math.max(1, Math.round((crop.height / 100) * height)));
+
+  const ratio = parseAspectRatio(crop.aspect || 'free');
+  let x = left;
+  let y = top;
+  if (ratio !== null) {
+    if (rectWidth / rectHeight > ratio) {
+      const fitted = Math.max(1, Math.round(rectHeight * ratio));
+      x += Math.floor((rectWidth - fitted) / 2);
+      rectWidth = fitted;
+    } else {
+      const fitted = Math.max(1, Math.round(rectWidth / ratio));
+      y += Math.floor((rectHeight - fitted) / 2);
+      rectHeight = fitted;
+    }
+  }
+
+  return { x, y, width: rectWidth, height: rectHeight };
+};
+
+/**
+ * Cuts a rectangle out of an image
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Object} rect - Rectangle as { x, y, width, height }, inside the image
+ * @returns {ImageData} The cropped image data
+ */
+export const applyCrop = (imageData, rect) => {
+  const { x, y, width, height } = rect;
+  const resultData = new Uint8ClampedArray(width * height * 4);
+
+  for (let row = 0; row < height; row++) {
+    const start = ((y + row) * imageData.width + x) * 4;
+    resultData.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+  }
+
+  return new ImageData(resultData, width, height);
+};
+
+/**
+ * Mirrors an image
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {boolean} horizontal - Swap left and right
+ * @param {boolean} vertical - Swap top and bottom
+ * @returns {ImageData} The flipped image data
+ */
+export const applyFlip = (imageData, horizontal, vertical) => {
+  const { width, height, data } = imageData;
+  const resultData = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < height; y++) {
+    const sourceY = vertical ? height - 1 - y : y;
+    for (let x = 0; x < width; x++) {
+      const sourceX = horizontal ? width - 1 - x : x;
+      const source = (sourceY * width + sourceX) * 4;
+      const target = (y * width + x) * 4;
+      resultData[target] = data[source];
+      resultData[target + 1] = data[source + 1];
+      resultData[target + 2] = data[source + 2];
+      resultData[target + 3] = data[source + 3];
+    }
+  }
+
+  return new ImageData(resultData, width, height);
+};
+
+/**
+ * Rotates an image by a multiple of 90 degrees, without resampling
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} quarterTurns - Clockwise quarter turns (any integer)
+ * @returns {ImageData} The rotated image data
+ */
+export const applyRotate90 = (imageData, quarterTurns) => {
+  const turns = ((quarterTurns % 4) + 4) % 4;
+  if (turns === 0) return imageData;
+  if (turns === 2) return applyFlip(imageData, true, true);
+
+  // A quarter turn swaps the dimensions
+  const { width, height, data } = imageData;
+  const resultData = new Uint8ClampedArray(data.length);
+
+  for (let y = 0; y < width; y++) {
+    for (let x = 0; x < height; x++) {
+      const sourceX = turns === 1 ? y : width - 1 - y;
+      const sourceY = turns === 1 ? height - 1 - x : x;
+      const source = (sourceY * width + sourceX) * 4;
+      const target = (y * height + x) * 4;
+      resultData[target] = data[source];
+      resultData[target + 1] = data[source + 1];
+      resultData[target + 2] = data[source + 2];
+      resultData[target + 3] = data[source + 3];
+    }
+  }
+
+  return new ImageData(resultData, height, width);
+};
+
+/**
+ * Builds an image by looking up where each of its pixels comes from in a
+ * source image, sampling the source bilinearly
+ *
+ * @param {ImageData} imageData - The source image
+ * @param {number} resultWidth - Width of the new image
+ * @param {number} resultHeight - Height of the new image
+ * @param {Function} mapPoint - Called as (x, y, out) with a position in the
+ *                              new image; writes the source position to
+ *                              out[0] and out[1]. Positions are in pixel
+ *                              units, with pixel centers at +0.5.
+ * @param {Array} [fill] - [r, g, b, a] of areas outside the source;
+ *                         transparent by default
+ * @returns {ImageData} The new image data
+ */
+export const warpImage = (imageData, resultWidth, resultHeight, mapPoint, fill = [0, 0, 0, 0]) => {
+  const { width, height, data } = imageData;
+  const resultData = new Uint8ClampedArray(resultWidth * resultHeight * 4);
+  const position = new Float64Array(2);
+
+  // Premultiplied fill, used for samples that fall outside the image
+  const fillAlpha = fill[3] / 255;
+  const fillR = fill[0] * fillAlpha;
+  const fillG = fill[1] * fillAlpha;
+  const fillB = fill[2] * fillAlpha;
+
+  for (let y = 0; y < resultHeight; y++) {
+    for (let x = 0; x < resultWidth; x++) {
+      mapPoint(x + 0.5, y + 0.5, position);
+      const u = position[0] - 0.5;
+      const v = position[1] - 0.5;
+      const x0 = Math.floor(u);
+      const y0 = Math.floor(v);
+      const fx = u - x0;
+      const fy = v - y0;
+
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let tap = 0; tap < 4; tap++) {
+        const sx = x0 + (tap & 1);
+        const sy = y0 + (tap >> 1);
+        const weight = (tap & 1 ? fx : 1 - fx) * (tap >> 1 ? fy : 1 - fy);
+        if (weight === 0) continue;
+
+        if (sx < 0 || sy < 0 || sx >= width || sy >= height) {
+          r += fillR * weight;
+          g += fillG * weight;
+          b += fillB * weight;
+          a += fillAlpha * weight;
+        } else {
+          const i = (sy * width + sx) * 4;
+          const alpha = (data[i + 3] / 255) * weight;
+          r += data[i] * alpha;
+          g += data[i + 1] * alpha;
+          b += data[i + 2] * alpha;
+          a += alpha;
+        }
+      }
+
+      const target = (y * resultWidth + x) * 4;
+      if (a > 0) {
+        resultData[target] = r / a;
+        resultData[target + 1] = g / a;
+        resultData[target + 2] = b / a;
+        resultData[target + 3] = a * 255;
+      }
+    }
+  }
+
+  return new ImageData(resultData, resultWidth, resultHeight);
+};
+
+/**
+ * Rotates an image by any angle with bilinear sampling
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} degrees - Clockwise angle
+ * @param {Object} [options] - Rotation settings
+ * @param {boolean} [options.expand] - Enlarge the image so no corner is cut
+ *                                     off, instead of keeping its size
+ * @param {Array} [options.fill] - [r, g, b, a] of the uncovered areas;
+ *                                 transparent by default
+ * @returns {ImageData} The rotated image data
+ */
+export const applyRotation = (imageData, degrees, options = {}) => {
+  const { expand = true, fill } = options;
+  const { width, height } = imageData;
+  const radians = (degrees * Math.PI) / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+
+  const resultWidth = expand
+    ? Math.max(1, Math.round(Math.abs(width * cos) + Math.abs(height * sin)))
+    : width;
+  const resultHeight = expand
+    ? Math.max(1, Math.round(Math.abs(width * sin) + Math.abs(height * cos)))
+    : height;
+
+  // Rotate back around the centers of both images
+  return warpImage(imageData, resultWidth, resultHeight, (x, y, out) => {
+    const dx = x - resultWidth / 2;
+    const dy = y - resultHeight / 2;
+    out[0] = dx * cos + dy * sin + width / 2;
+    out[1] = -dx * sin + dy * cos + height / 2;
+  }, fill);
+};
+
+// Resampling filters as { support: radius in source pixels, weight(x) }
+const RESAMPLING_FILTERS = {
+  bilinear: {
+    support: 1,
+    weight: (x) => Math.max(0, 1 - Math.abs(x))
+  },
+  lanczos: {
+    support: 3,
+    weight: (x) => {
+      if (x === 0) return 1;
+      if (Math.abs(x) >= 3) return 0;
+      const px = Math.PI * x;
+      return (3 * Math.sin(px) * Math.sin(px / 3)) / (px * px);
+    }
+  }
+};
+
+/**
+ * Computes which source pixels contribute to each output pixel along one
+ * axis, and how much. When shrinking, the filter is stretched so every
+ * source pixel is taken into account, which avoids aliasing.
+ *
+ * @param {number} sourceSize - Size along the axis before resizing
+ * @param {number} targetSize - Size along the axis after resizing
+ * @param {Object} filter - Entry of RESAMPLING_FILTERS
+ * @returns {Object} Per output pixel, as { start: Int32Array first tap,
+ *                   taps: number of taps each, weights: Float32Array }
+ */
+const getResamplingWeights = (sourceSize, targetSize, filter) => {
+  const scale = sourceSize / targetSize;
+  const filterScale = Math.max(1, scale);
+  const radius = filter.support * filterScale;
+  const taps = Math.ceil(radius) * 2 + 1;
+  const start = new Int32Array(targetSize);
+  const weights = new Float32Array(targetSize * taps);
+
+  for (let i = 0; i < targetSize; i++) {
+    const center = (i + 0.5) * scale - 0.5;
+    const first = Math.ceil(center - radius);
+    start[i] = first;
+
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      const weight = filter.weight((first + k - center) / filterScale);
+      weights[i * taps + k] = weight;
+      sum += weight;
+    }
+    for (let k = 0; k < taps; k++) {
+      weights[i * taps + k] /= sum;
+    }
+  }
+
+  return { start, taps, weights };
+};
+
+/**
+ * Resamples premultiplied RGBA values along the rows or columns
+ *
+ * @param {Float32Array} source - Premultiplied RGBA values
+ * @param {number} width - Source width
+ * @param {number} height - Source height
+ * @param {Object} axis - Weights from getResamplingWeights
+ * @param {boolean} vertical - Whether to resample the columns instead of rows
+ * @returns {Float32Array} The resampled values
+ */
+const resamplePass = (source, width, height, axis, vertical) => {
+  const { start, taps, weights } = axis;
+  const targetLength = start.length;
+  const sourceLength = vertical ? height : width;
+  const lines = vertical ? width : height;
+  const resultWidth = vertical ? width : targetLength;
+  const result = new Float32Array(resultWidth * (vertical ? targetLength : height) * 4);
+  const sourceStep = vertical ? width * 4 : 4;
+  const targetStep = vertical ? resultWidth * 4 : 4;
+
+  for (let line = 0; line < lines; line++) {
+    const sourceBase = vertical ? line * 4 : line * width * 4;
+    const targetBase = vertical ? line * 4 : line * resultWidth * 4;
+
+    for (let i = 0; i < targetLength; i++) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      let a = 0;
+      for (let k = 0; k < taps; k++) {
+        const weight = weights[i * taps + k];
+        if (weight === 0) continue;
+        // Taps beyond the border repeat the edge pixel
+        const position = Math.min(sourceLength - 1, Math.max(0, start[i] + k));
+        const s = sourceBase + position * sourceStep;
+        r += source[s] * weight;
+        g += source[s + 1] * weight;
+        b += source[s + 2] * weight;
+        a += source[s + 3] * weight;
+      }
+      const t = targetBase + i * targetStep;
+      result[t] = r;
+      result[t + 1] = g;
+      result[t + 2] = b;
+      result[t + 3] = a;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Scales an image to new dimensions
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {number} width - New width in pixels
+ * @param {number} height - New height in pixels
+ * @param {string} method - One of RESIZE_METHODS
+ * @returns {ImageData} The resized image data
+ */
+export const applyResize = (imageData, width, height, method) => {
+  if (!(Number.isInteger(width) && Number.isInteger(height) && width > 0 && height > 0)) {
+    throw new Error(`Cannot resize to ${width}x${height}`);
+  }
+  const { width: sourceWidth, height: sourceHeight, data } = imageData;
+
+  if (method === 'nearest') {
+    const resultData = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      const sourceY = Math.min(sourceHeight - 1, Math.floor(((y + 0.5) * sourceHeight) / height));
+      for (let x = 0; x < width; x++) {
+        const sourceX = Math.min(sourceWidth - 1, Math.floor(((x + 0.5) * sourceWidth) / width));
+        const source = (sourceY * sourceWidth + sourceX) * 4;
+        resultData.set(data.subarray(source, source + 4), (y * width + x) * 4);
+      }
+    }
+    return new ImageData(resultData, width, height);
+  }
+
+  const filter = RESAMPLING_FILTERS[method];
+  if (!filter) {
+    throw new Error(`Unknown resize method "${method}"`);
+  }
+
+  const premultiplied = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i += 4) {
+    const alpha = data[i + 3] / 255;
+    premultiplied[i] = data[i] * alpha;
+    premultiplied[i + 1] = data[i + 1] * alpha;
+    premultiplied[i + 2] = data[i + 2] * alpha;
+    premultiplied[i + 3] = data[i + 3];
+  }
+
+  const horizontal = resamplePass(
+    premultiplied, sourceWidth, sourceHeight,
+    getResamplingWeights(sourceWidth, width, filter), false
+  );
+  const resized = resamplePass(
+    horizontal, width, sourceHeight,
+    getResamplingWeights(sourceHeight, height, filter), true
+  );
+
+  const resultData = new Uint8ClampedArray(resized.length);
+  for (let i = 0; i < resized.length; i += 4) {
+    // Lanczos can overshoot, so alpha is clamped before dividing by it
+    const alpha = Math.min(255, resized[i + 3]);
+    if (alpha <= 0) continue;
+    resultData[i] = (resized[i] * 255) / alpha;
+    resultData[i + 1] = (resized[i + 1] * 255) / alpha;
+    resultData[i + 2] = (resized[i + 2] * 255) / alpha;
+    resultData[i + 3] = alpha;
+  }
+
+  return new ImageData(resultData, width, height);
+};
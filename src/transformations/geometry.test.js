@@ -0,0 +1,86 @@
+import {
+  getCropRect,
+  applyCrop,
+  applyFlip,
+  applyRotate90,
+  applyRotation,
+  applyResize
+} from './geometry';
+import { createImage } from '../testing/images';
+
+/**
+ * Builds a test image whose red channel numbers the pixels in row order
+ */
+const createNumberedImage = (width, height) => createImage(width, height, (x, y) => [y * width + x, 0, 0]);
+
+const redValues = (imageData) => Array.from(imageData.data.filter((value, i) => i % 4 === 0));
+
+test('getCropRect converts the selection to pixels and fits the aspect ratio', () => {
+  expect(getCropRect(200, 100, { x: 10, y: 20, width: 50, height: 50 }))
+    .toEqual({ x: 20, y: 20, width: 100, height: 50 });
+  // 100x50 narrowed around its center to 1:1
+  expect(getCropRect(200, 100, { x: 10, y: 20, width: 50, height: 50, aspect: '1:1' }))
+    .toEqual({ x: 45, y: 20, width: 50, height: 50 });
+  // Selections past the edge are cut off, and never empty
+  expect(getCropRect(200, 100, { x: 90, y: 100, width: 50, height: 0 }))
+    .toEqual({ x: 180, y: 99, width: 20, height: 1 });
+});
+
+test('applyCrop, applyFlip and applyRotate90 move pixels without resampling', () => {
+  // 0 1 2
+  // 3 4 5
+  const image = createNumberedImage(3, 2);
+
+  const cropped = applyCrop(image, { x: 1, y: 0, width: 2, height: 2 });
+  expect([cropped.width, cropped.height]).toEqual([2, 2]);
+  expect(redValues(cropped)).toEqual([1, 2, 4, 5]);
+
+  expect(redValues(applyFlip(image, true, false))).toEqual([2, 1, 0, 5, 4, 3]);
+  expect(redValues(applyFlip(image, false, true))).toEqual([3, 4, 5, 0, 1, 2]);
+
+  const clockwise = applyRotate90(image, 1);
+  expect([clockwise.width, clockwise.height]).toEqual([2, 3]);
+  expect(redValues(clockwise)).toEqual([3, 0, 4, 1, 5, 2]);
+  expect(redValues(applyRotate90(image, 3))).toEqual([2, 5, 1, 4, 0, 3]);
+  expect(redValues(applyRotate90(image, 2))).toEqual([5, 4, 3, 2, 1, 0]);
+  expect(applyRotate90(image, 4)).toBe(image);
+});
+
+test('applyRotation matches a quarter turn and fills uncovered corners', () => {
+  const image = createNumberedImage(3, 2);
+  const rotated = applyRotation(image, 90);
+  expect([rotated.width, rotated.height]).toEqual([2, 3]);
+  expect(redValues(rotated)).toEqual(redValues(applyRotate90(image, 1)));
+
+  const square = new ImageData(new Uint8ClampedArray(10 * 10 * 4).fill(255), 10, 10);
+  const expanded = applyRotation(square, 45, { fill: [0, 0, 255, 255] });
+  expect([expanded.width, expanded.height]).toEqual([14, 14]);
+  expect(Array.from(expanded.data.slice(0, 4))).toEqual([0, 0, 255, 255]);
+  // The center stays white
+  const center = (7 * 14 + 7) * 4;
+  expect(Array.from(expanded.data.slice(center, center + 4))).toEqual([255, 255, 255, 255]);
+
+  const kept = applyRotation(square, 45, { expand: false });
+  expect([kept.width, kept.height]).toEqual([10, 10]);
+  expect(kept.data[3]).toBe(0);
+});
+
+test('applyResize scales with each method and keeps flat colors exact', () => {
+  const image = createNumberedImage(4, 2);
+  const nearest = applyResize(image, 2, 1, 'nearest');
+  expect(redValues(nearest)).toEqual([5, 7]);
+
+  // Enlarging interpolates between pixel centers
+  const ramp = new ImageData(new Uint8ClampedArray([0, 0, 0, 255, 100, 0, 0, 255]), 2, 1);
+  expect(redValues(applyResize(ramp, 4, 1, 'bilinear'))).toEqual([0, 25, 75, 100]);
+
+  const flat = new ImageData(new Uint8ClampedArray(6 * 4 * 4).fill(120), 6, 4);
+  ['nearest', 'bilinear', 'lanczos'].forEach(method => {
+    const resized = applyResize(flat, 13, 9, method);
+    expect([resized.width, resized.height]).toEqual([13, 9]);
+    expect(resized.data.every(value => value === 120)).toBe(true);
+  });
+
+  expect(() => applyResize(image, 0, 1, 'nearest')).toThrow('Cannot resize');
+  expect(() => applyResize(image, 2, 2, 'cubic')).toThrow('Unknown resize method');
+});
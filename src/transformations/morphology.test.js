@@ -0,0 +1,96 @@
+import { applyMorphology, STRUCTURING_ELEMENTS } from './morphology';
+import { createImage } from '../testing/images';
+
+const grayValues = (imageData) => Array.from(imageData.data.filter((value, i) => i % 4 === 0));
+
+const isInElement = (shape, radius, dx, dy) => {
+  if (shape === 'cross') return dx === 0 || dy === 0;
+  if (shape === 'disk') return dx * dx + dy * dy <= radius * radius;
+  return true;
+};
+
+/**
+ * Straightforward erosion or dilation to compare the fast one against
+ */
+const referenceFilter = (values, width, height, shape, radius, pick) => values.map((value, i) => {
+  const x = i % width;
+  const y = (i - x) / width;
+  let result = value;
+  for (let dy = -radius; dy <= radius; dy++) {
+    for (let dx = -radius; dx <= radius; dx++) {
+      const nx = x + dx;
+      const ny = y + dy;
+      if (nx < 0 || ny < 0 || nx >= width || ny >= height || !isInElement(shape, radius, dx, dy)) continue;
+      result = pick(result, values[ny * width + nx]);
+    }
+  }
+  return result;
+});
+
+test('erosion and dilation match a direct computation for every element', () => {
+  const image = createImage(23, 17, (x, y) => ((x * 7919 + y * 104729) * 2654435761 >>> 24) & 255);
+  const values = grayValues(image);
+
+  STRUCTURING_ELEMENTS.forEach(shape => {
+    [1, 2, 5, 12].forEach(radius => {
+      expect(grayValues(applyMorphology(image, 'erode', shape, radius)))
+        .toEqual(referenceFilter(values, 23, 17, shape, radius, Math.min));
+      expect(grayValues(applyMorphology(image, 'dilate', shape, radius)))
+        .toEqual(referenceFilter(values, 23, 17, shape, radius, Math.max));
+    });
+  });
+});
+
+test('opening removes specks and closing fills gaps in a mask', () => {
+  // A white bar with a one-pixel gap, and a lone white speck
+  const mask = createImage(12, 7, (x, y) => {
+    if (y >= 2 && y <= 4 && x >= 1 && x <= 10 && x !== 5) return 255;
+    return x === 10 && y === 6 ? 255 : 0;
+  });
+
+  const opened = grayValues(applyMorphology(mask, 'open', 'square', 1));
+  expect(opened[6 * 12 + 10]).toBe(0);
+  expect(opened[3 * 12 + 2]).toBe(255);
+
+  const closed = grayValues(applyMorphology(mask, 'close', 'square', 1));
+  expect(closed[3 * 12 + 5]).toBe(255);
+  expect(closed[0]).toBe(0);
+});
+
+test('gradient, top-hat and black-hat pick out edges and small details', () => {
+  // Mid-gray with a bright dot at (3, 3) and a dark dot at (7, 3)
+  const image = createImage(11, 7, (x, y) => {
+    if (x === 3 && y === 3) return 200;
+    return x === 7 && y === 3 ? 20 : 100;
+  });
+
+  const gradient = grayValues(applyMorphology(image, 'gradient', 'square', 1));
+  expect(gradient[3 * 11 + 2]).toBe(100);
+  expect(gradient[0]).toBe(0);
+
+  const topHat = grayValues(applyMorphology(image, 'tophat', 'disk', 2));
+  expect(topHat[3 * 11 + 3]).toBe(100);
+  expect(topHat[3 * 11 + 7]).toBe(0);
+
+  const blackHat = grayValues(applyMorphology(image, 'blackhat', 'disk', 2));
+  expect(blackHat[3 * 11 + 7]).toBe(80);
+  expect(blackHat[3 * 11 + 3]).toBe(0);
+});
+
+test('applyMorphology filters color channels separately and keeps alpha', () => {
+  const data = new Uint8ClampedArray([
+    255, 0, 0, 10,
+    0, 255, 0, 20,
+    0, 0, 255, 30
+  ]);
+  const result = applyMorphology(new ImageData(data, 3, 1), 'dilate', 'square', 1);
+  expect(Array.from(result.data)).toEqual([
+    255, 255, 0, 10,
+    255, 255, 255, 20,
+    0, 255, 255, 30
+  ]);
+
+  expect(() => applyMorphology(result, 'erode', 'square', 0)).toThrow('radius');
+  expect(() => applyMorphology(result, 'erode', 'diamond', 1)).toThrow('Unknown structuring element');
+  expect(() => applyMorphology(result, 'skeleton', 'square', 1)).toThrow('Unknown morphological operation');
+});
@@ -0,0 +1,375 @@
+import { warpImage, applyResize } from './geometry';
+import { applyCannyEdgeDetection } from './edgeDetection';
+
+/**
+ * Perspective correction: a quadrilateral in the image, such as a document
+ * or whiteboard photographed at an angle, is warped to a rectangle.
+ *
+ * Corners are given as [x, y] pixel positions in the order top-left,
+ * top-right, bottom-right, bottom-left.
+ */
+
+// Longest side of the copy that corner detection runs on
+const DETECTION_SIZE = 512;
+
+// Canny thresholds used to find the outline of the quadrilateral
+const DETECTION_LOW_THRESHOLD = 40;
+const DETECTION_HIGH_THRESHOLD = 120;
+
+// Edge pixels up to this far apart count as one outline, bridging small gaps
+const DETECTION_GAP = 2;
+
+// Smallest fraction of the image a detected quadrilateral may cover
+const MIN_QUAD_AREA = 0.1;
+
+// Smallest fraction of a detected quadrilateral's outline that must lie on edges
+const MIN_OUTLINE_COVERAGE = 0.6;
+
+// Hull points used when searching the largest quadrilateral
+const MAX_HULL_POINTS = 120;
+
+/**
+ * Computes the homography (projective transform) that maps four points onto
+ * four others
+ *
+ * @param {Array} from - Four [x, y] source points
+ * @param {Array} to - Four [x, y] target points
+ * @returns {Float64Array} Row-major 3x3 matrix, with the last entry 1
+ */
+export const computeHomography = (from, to) => {
+  // Eight equations in the eight unknown entries, as an augmented matrix
+  const rows = [];
+  for (let i = 0; i < 4; i++) {
+    const [x, y] = from[i];
+    const [u, v] = to[i];
+    rows.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+    rows.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+  }
+
+  // Gaussian elimination with partial pivoting
+  for (let column = 0; column < 8; column++) {
+    let pivot = column;
+    for (let row = column + 1; row < 8; row++) {
+      if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][column]) < 1e-10) {
+      throw new Error('The corners must form a quadrilateral, with no three on one line');
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+    for (let row = 0; row < 8; row++) {
+      if (row === column) continue;
+      const factor = rows[row][column] / rows[column][column];
+      for (let k = column; k < 9; k++) {
+        rows[row][k] -= factor * rows[column][k];
+      }
+    }
+  }
+
+  const matrix = new Float64Array(9);
+  for (let i = 0; i < 8; i++) {
+    matrix[i] = rows[i][8] / rows[i][i];
+  }
+  matrix[8] = 1;
+  return matrix;
+};
+
+const distance = ([x1, y1], [x2, y2]) => Math.hypot(x2 - x1, y2 - y1);
+
+/**
+ * Chooses the size of the rectangle a quadrilateral is warped to
+ *
+ * @param {Array} corners - Four [x, y] corners
+ * @param {number|null} ratio - Width / height of the result, or null to
+ *                              follow the lengths of the quadrilateral's sides
+ * @returns {Object} Size as { width, height }, at least 1x1
+ */
+export const getWarpSize = (corners, ratio) => {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  let width = (distance(topLeft, topRight) + distance(bottomLeft, bottomRight)) / 2;
+  let height = (distance(topLeft, bottomLeft) + distance(topRight, bottomRight)) / 2;
+
+  // Keep the longer side and fit the other one to the ratio
+  if (ratio !== null) {
+    if (width / height >= ratio) {
+      height = width / ratio;
+    } else {
+      width = height * ratio;
+    }
+  }
+
+  return {
+    width: Math.max(1, Math.round(width)),
+    height: Math.max(1, Math.round(height))
+  };
+};
+
+/**
+ * Warps a quadrilateral of an image to a rectangle, undoing the perspective
+ * it was photographed with
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Array} corners - Four [x, y] corners of the region
+ * @param {number|null} ratio - Width / height of the result, or null to
+ *                              estimate it from the region
+ * @returns {ImageData} The straightened region
+ */
+export const applyPerspectiveWarp = (imageData, corners, ratio) => {
+  const { width, height } = getWarpSize(corners, ratio);
+  const rectangle = [[0, 0], [width, 0], [width, height], [0, height]];
+  // Maps positions in the result back into the source
+  const h = computeHomography(rectangle, corners);
+
+  return warpImage(imageData, width, height, (x, y, out) => {
+    const w = h[6] * x + h[7] * y + h[8];
+    out[0] = (h[0] * x + h[1] * y + h[2]) / w;
+    out[1] = (h[3] * x + h[4] * y + h[5]) / w;
+  });
+};
+
+/**
+ * Computes the convex hull of a set of points (Andrew's monotone chain)
+ *
+ * @param {Array} points - [x, y] points
+ * @returns {Array} Hull points in order around the hull
+ */
+const getConvexHull = (points) => {
+  const sorted = [...points].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  if (sorted.length < 3) return sorted;
+
+  const cross = (o, a, b) => (a[0] - o[0]) * (b[1] - o[1]) - (a[1] - o[1]) * (b[0] - o[0]);
+  const build = (list) => {
+    const chain = [];
+    list.forEach(point => {
+      while (chain.length >= 2 && cross(chain[chain.length - 2], chain[chain.length - 1], point) <= 0) {
+        chain.pop();
+      }
+      chain.push(point);
+    });
+    chain.pop();
+    return chain;
+  };
+
+  return [...build(sorted), ...build([...sorted].reverse())];
+};
+
+/**
+ * Area of a polygon (shoelace formula)
+ *
+ * @param {Array} points - [x, y] vertices in order
+ * @returns {number} The area
+ */
+const getPolygonArea = (points) => {
+  let twiceArea = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    twiceArea += x1 * y2 - x2 * y1;
+  }
+  return Math.abs(twiceArea) / 2;
+};
+
+/**
+ * Finds the four hull points that span the largest quadrilateral
+ *
+ * @param {Array} hull - Convex hull points, in order
+ * @returns {Array} Four [x, y] points in hull order
+ */
+const getLargestInscribedQuad = (hull) => {
+  const triangle = (a, b, c) => Math.abs(
+    (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0])
+  );
+  const n = hull.length;
+  let best = null;
+  let bestArea = -1;
+
+  // Each diagonal (i, k) splits the quad into two triangles, maximized separately
+  for (let i = 0; i < n; i++) {
+    for (let k = i + 2; k < n; k++) {
+      let j = -1;
+      let left = -1;
+      for (let m = i + 1; m < k; m++) {
+        const area = triangle(hull[i], hull[m], hull[k]);
+        if (area > left) {
+          left = area;
+          j = m;
+        }
+      }
+      let l = -1;
+      let right = -1;
+      for (let m = k + 1; m < i + n; m++) {
+        const area = triangle(hull[i], hull[k], hull[m % n]);
+        if (area > right) {
+          right = area;
+          l = m % n;
+        }
+      }
+      if (j !== -1 && l !== -1 && left + right > bestArea) {
+        bestArea = left + right;
+        best = [hull[i], hull[j], hull[k], hull[l]];
+      }
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Checks whether there is an edge pixel within DETECTION_GAP of a position
+ *
+ * @param {Uint8Array} edges - 1 for edge pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} x - Column
+ * @param {number} y - Row
+ * @returns {boolean} True if an edge pixel is close
+ */
+const isNearEdge = (edges, width, height, x, y) => {
+  for (let ny = Math.max(0, y - DETECTION_GAP); ny <= Math.min(height - 1, y + DETECTION_GAP); ny++) {
+    for (let nx = Math.max(0, x - DETECTION_GAP); nx <= Math.min(width - 1, x + DETECTION_GAP); nx++) {
+      if (edges[ny * width + nx]) return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Measures how much of a quadrilateral's outline runs along edge pixels
+ *
+ * @param {Array} quad - Four [x, y] corners
+ * @param {Uint8Array} edges - 1 for edge pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {number} Fraction (0-1) of outline samples near an edge
+ */
+const getOutlineCoverage = (quad, edges, width, height) => {
+  let samples = 0;
+  let covered = 0;
+
+  for (let side = 0; side < 4; side++) {
+    const [x1, y1] = quad[side];
+    const [x2, y2] = quad[(side + 1) % 4];
+    const steps = Math.max(1, Math.round(Math.hypot(x2 - x1, y2 - y1)));
+
+    for (let s = 0; s < steps; s++) {
+      const x = Math.round(x1 + ((x2 - x1) * s) / steps);
+      const y = Math.round(y1 + ((y2 - y1) * s) / steps);
+      samples++;
+      if (isNearEdge(edges, width, height, x, y)) covered++;
+    }
+  }
+
+  return covered / samples;
+};
+
+/**
+ * Puts four corners in the order top-left, top-right, bottom-right,
+ * bottom-left
+ *
+ * @param {Array} corners - Four [x, y] points of a convex quadrilateral
+ * @returns {Array} The same points, reordered
+ */
+const orderCorners = (corners) => {
+  const centerX = corners.reduce((sum, [x]) => sum + x, 0) / 4;
+  const centerY = corners.reduce((sum, [, y]) => sum + y, 0) / 4;
+  // Increasing angle runs clockwise on screen, where y points down
+  const sorted = [...corners].sort((a, b) => (
+    Math.atan2(a[1] - centerY, a[0] - centerX) - Math.atan2(b[1] - centerY, b[0] - centerX)
+  ));
+  // Start from the corner closest to the top-left
+  let first = 0;
+  sorted.forEach(([x, y], i) => {
+    if (x + y < sorted[first][0] + sorted[first][1]) first = i;
+  });
+  return [...sorted.slice(first), ...sorted.slice(0, first)];
+};
+
+/**
+ * Suggests the corners of a document or whiteboard: the largest
+ * quadrilateral whose outline follows the Canny edges of the image
+ *
+ * @param {ImageData} imageData - The image to search
+ * @returns {Object|null} Result as { corners, coverage }, with the corners in
+ *                        pixels of the image and coverage the fraction (0-1)
+ *                        of the image inside them; null if none was found
+ */
+export const findDocumentCorners = (imageData) => {
+  // Detection runs on a small copy, which is faster and ignores fine texture
+  const scale = Math.min(1, DETECTION_SIZE / Math.max(imageData.width, imageData.height));
+  const width = Math.max(1, Math.round(imageData.width * scale));
+  const height = Math.max(1, Math.round(imageData.height * scale));
+  let small = imageData;
+  if (scale < 1) {
+    // Picking pixels down to twice the size first keeps large photos cheap
+    if (scale < 0.5) {
+      small = applyResize(small, width * 2, height * 2, 'nearest');
+    }
+    small = applyResize(small, width, height, 'bilinear');
+  }
+
+  const edgeData = applyCannyEdgeDetection(small, DETECTION_LOW_THRESHOLD, DETECTION_HIGH_THRESHOLD).data;
+  const edges = new Uint8Array(width * height);
+  for (let i = 0; i < edges.length; i++) {
+    edges[i] = edgeData[i * 4] > 0 ? 1 : 0;
+  }
+
+  // Group edge pixels into outlines and keep the best quadrilateral
+  const visited = new Uint8Array(width * height);
+  const stack = [];
+  let best = null;
+
+  for (let start = 0; start < edges.length; start++) {
+    if (!edges[start] || visited[start]) continue;
+
+    const points = [];
+    visited[start] = 1;
+    stack.push(start);
+    while (stack.length > 0) {
+      const i = stack.pop();
+      const x = i % width;
+      const y = (i - x) / width;
+      points.push([x, y]);
+
+      for (let dy = -DETECTION_GAP; dy <= DETECTION_GAP; dy++) {
+        for (let dx = -DETECTION_GAP; dx <= DETECTION_GAP; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue;
+          const neighbor = ny * width + nx;
+          if (edges[neighbor] && !visited[neighbor]) {
+            visited[neighbor] = 1;
+            stack.push(neighbor);
+          }
+        }
+      }
+    }
+
+    let hull = getConvexHull(points);
+    if (hull.length < 4 || getPolygonArea(hull) < MIN_QUAD_AREA * width * height) continue;
+    if (hull.length > MAX_HULL_POINTS) {
+      const step = hull.length / MAX_HULL_POINTS;
+      hull = Array.from({ length: MAX_HULL_POINTS }, (_, i) => hull[Math.floor(i * step)]);
+    }
+
+    const quad = getLargestInscribedQuad(hull);
+    const area = getPolygonArea(quad);
+    if (area >= MIN_QUAD_AREA * width * height &&
+      (!best || area > best.area) &&
+      getOutlineCoverage(quad, edges, width, height) >= MIN_OUTLINE_COVERAGE) {
+      best = { quad, area };
+    }
+  }
+
+  if (!best) return null;
+
+  return {
+    corners: orderCorners(best.quad).map(([x, y]) => [
+      // Pixel centers of the small copy, in pixels of the image
+      ((x + 0.5) / width) * imageData.width,
+      ((y + 0.5) / height) * imageData.height
+    ]),
+    coverage: best.area / (width * height)
+  };
+};
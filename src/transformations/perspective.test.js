@@ -0,0 +1,74 @@
+import {
+  computeHomography,
+  getWarpSize,
+  applyPerspectiveWarp,
+  findDocumentCorners
+} from './perspective';
+import { createImage } from '../testing/images';
+
+const project = (h, [x, y]) => {
+  const w = h[6] * x + h[7] * y + h[8];
+  return [(h[0] * x + h[1] * y + h[2]) / w, (h[3] * x + h[4] * y + h[5]) / w];
+};
+
+/**
+ * Draws a light quadrilateral on a dark background
+ */
+const drawQuad = (width, height, corners) => {
+  const inside = (x, y) => corners.every(([x1, y1], i) => {
+    const [x2, y2] = corners[(i + 1) % 4];
+    return (x2 - x1) * (y - y1) - (y2 - y1) * (x - x1) >= 0;
+  });
+  return createImage(width, height, (x, y) => (inside(x + 0.5, y + 0.5) ? 230 : 30));
+};
+
+// A skewed page, clockwise from the top left
+const PAGE = [[30, 20], [160, 35], [150, 130], [20, 110]];
+
+test('computeHomography maps each point onto its target', () => {
+  const square = [[0, 0], [1, 0], [1, 1], [0, 1]];
+  const h = computeHomography(square, PAGE);
+  square.forEach((point, i) => {
+    const [x, y] = project(h, point);
+    expect(x).toBeCloseTo(PAGE[i][0], 6);
+    expect(y).toBeCloseTo(PAGE[i][1], 6);
+  });
+
+  expect(() => computeHomography([[0, 0], [1, 1], [2, 2], [0, 1]], square))
+    .toThrow('The corners must form a quadrilateral');
+});
+
+test('getWarpSize follows the sides or fits the aspect ratio', () => {
+  const corners = [[0, 0], [100, 0], [100, 50], [0, 50]];
+  expect(getWarpSize(corners, null)).toEqual({ width: 100, height: 50 });
+  expect(getWarpSize(corners, 1)).toEqual({ width: 100, height: 100 });
+  expect(getWarpSize(corners, 4)).toEqual({ width: 200, height: 50 });
+});
+
+test('applyPerspectiveWarp straightens the region to fill the result', () => {
+  const image = drawQuad(180, 150, PAGE);
+  const result = applyPerspectiveWarp(image, PAGE, 4 / 3);
+  expect(result.width / result.height).toBeCloseTo(4 / 3, 1);
+
+  // Away from the outline, every pixel comes from inside the page
+  const outside = [];
+  for (let y = 2; y < result.height - 2; y++) {
+    for (let x = 2; x < result.width - 2; x++) {
+      if (result.data[(y * result.width + x) * 4] !== 230) outside.push([x, y]);
+    }
+  }
+  expect(outside).toEqual([]);
+});
+
+test('findDocumentCorners finds the outline of a page', () => {
+  const found = findDocumentCorners(drawQuad(180, 150, PAGE));
+  expect(found).not.toBeNull();
+  found.corners.forEach(([x, y], i) => {
+    expect(Math.abs(x - PAGE[i][0])).toBeLessThan(4);
+    expect(Math.abs(y - PAGE[i][1])).toBeLessThan(4);
+  });
+  expect(found.coverage).toBeGreaterThan(0.4);
+
+  const flat = new ImageData(new Uint8ClampedArray(60 * 40 * 4).fill(128), 60, 40);
+  expect(findDocumentCorners(flat)).toBeNull();
+});
@@ -0,0 +1,192 @@
+import { getTransformation, getDefaultParams } from './registry';
+import './builtins';
+
+/**
+ * Applies a single transformation based on its type and parameters.
+ * The transformation is looked up in the registry; missing parameters
+ * fall back to the defaults declared in its schema.
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Object} transform - Transformation with a type and params
+ * @returns {ImageData} The processed image data
+ */
+export const applyTransformation = (imageData, transform) => {
+  const definition = getTransformation(transform.type);
+  if (!definition) {
+    return imageData; // Return original if transform type not recognized
+  }
+
+  const params = { ...getDefaultParams(transform.type), ...transform.params };
+  return definition.apply(imageData, params);
+};
+
+// Counter used to give every pipeline step a stable, unique id
+let nextStepId = 1;
+
+/**
+ * Creates a pipeline step from a transformation configuration.
+ * Each step gets a stable id so it can be tracked while the stack is
+ * reordered or edited.
+ *
+ * @param {Object} transform - Transformation with a type and params
+ * @returns {Object} Step as { id, type, params, enabled }
+ */
+export const createStep = (transform) => {
+  return {
+    id: `step-${nextStepId++}`,
+    type: transform.type,
+    params: { ...transform.params },
+    enabled: transform.enabled !== false
+  };
+};
+
+/**
+ * Returns the app state with a newly loaded image. The transformation stack
+ * is kept, so a pipeline opened from a shared link or a preset is applied to
+ * the user's own image.
+ *
+ * @param {Object} state - State as { image, imageName, transformations }
+ * @param {HTMLImageElement} image - The loaded image
+ * @param {string} imageName - File name of the image
+ * @returns {Object} The new state
+ */
+export const withLoadedImage = (state, image, imageName) => ({
+  ...state,
+  image,
+  imageName
+});
+
+/**
+ * Returns the steps that should actually run, skipping disabled ones
+ *
+ * @param {Array} steps - Pipeline steps
+ * @returns {Array} Enabled steps, in order
+ */
+export const getEnabledSteps = (steps) => {
+  return steps.filter(step => step.enabled !== false);
+};
+
+/**
+ * Moves a step from one position in the stack to another
+ *
+ * @param {Array} steps - Pipeline steps
+ * @param {number} fromIndex - Current position of the step
+ * @param {number} toIndex - Position to move it to
+ * @returns {Array} The reordered steps, or the same array if toIndex is out of range
+ */
+export const moveStep = (steps, fromIndex, toIndex) => {
+  if (toIndex < 0 || toIndex >= steps.length) {
+    return steps;
+  }
+  const next = [...steps];
+  const [step] = next.splice(fromIndex, 1);
+  next.splice(toIndex, 0, step);
+  return next;
+};
+
+/**
+ * Enables or disables a step without removing it
+ *
+ * @param {Array} steps - Pipeline steps
+ * @param {string} id - Id of the step to toggle
+ * @returns {Array} The updated steps
+ */
+export const toggleStep = (steps, id) => {
+  return steps.map(step => (
+    step.id === id ? { ...step, enabled: step.enabled === false } : step
+  ));
+};
+
+/**
+ * Inserts a copy of a step, with a new id, right after it
+ *
+ * @param {Array} steps - Pipeline steps
+ * @param {string} id - Id of the step to copy
+ * @returns {Array} The updated steps, or the same array if the id is unknown
+ */
+export const duplicateStep = (steps, id) => {
+  const index = steps.findIndex(step => step.id === id);
+  if (index === -1) {
+    return steps;
+  }
+  const next = [...steps];
+  next.splice(index + 1, 0, createStep(steps[index]));
+  return next;
+};
+
+/**
+ * Applies a list of transformations in sequence
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Array} transformations - Transformations to apply, in order
+ * @param {Function} [onProgress] - Called before each step with (stepIndex, total, transform)
+ * @returns {ImageData} The result of the last transformation
+ */
+export const runPipeline = (imageData, transformations, onProgress) => {
+  let currentImageData = imageData;
+
+  transformations.forEach((transform, index) => {
+    if (onProgress) {
+      onProgress(index, transformations.length, transform);
+    }
+    currentImageData = applyTransformation(currentImageData, transform);
+  });
+
+  return currentImageData;
+};
+
+/**
+ * Computes the read-outs a transformation offers for its input image, such
+ * as the Otsu threshold or detected document corners
+ *
+ * @param {ImageData} imageData - Input image of the step
+ * @param {string} type - Transformation type of the step
+ * @returns {Array|null} Read-outs as [{ label, value, params? }], or null if
+ *                       the transformation has none
+ */
+export const analyzeStepInput = (imageData, type) => {
+  const definition = getTransformation(type);
+  return definition && definition.analyze ? definition.analyze(imageData) : null;
+};
+
+/**
+ * Creates an independent copy of an ImageData object
+ *
+ * @param {ImageData} imageData - The image data to copy
+ * @returns {ImageData} A copy backed by its own buffer
+ */
+export const cloneImageData = (imageData) => {
+  return new ImageData(
+    new Uint8ClampedArray(imageData.data),
+    imageData.width,
+    imageData.height
+  );
+};
+
+/**
+ * Checks whether two transformation steps produce the same output
+ *
+ * @param {Object} a - First transformation
+ * @param {Object} b - Second transformation
+ * @returns {boolean} True if both steps have the same type and parameters
+ */
+export const isSameStep = (a, b) => {
+  return a.type === b.type && JSON.stringify(a.params) === JSON.stringify(b.params);
+};
+
+/**
+ * Counts how many leading steps two transformation lists have in common.
+ * Used to reuse a cached result and only recompute the steps after it.
+ *
+ * @param {Array} a - First transformation list
+ * @param {Array} b - Second transformation list
+ * @returns {number} Length of the shared prefix
+ */
+export const getCommonPrefixLength = (a, b) => {
+  const length = Math.min(a.length, b.length);
+  let i = 0;
+  while (i < length && isSameStep(a[i], b[i])) {
+    i++;
+  }
+  return i;
+};
@@ -0,0 +1,61 @@
+import {
+  createStep,
+  moveStep,
+  toggleStep,
+  duplicateStep,
+  getEnabledSteps
+} from './pipeline';
+
+const createSteps = () => [
+  createStep({ type: 'grayscale', params: {} }),
+  createStep({ type: 'blur', params: { radius: 2 } }),
+  createStep({ type: 'invert', params: {} })
+];
+
+const idsOf = (steps) => steps.map(step => step.id);
+
+test('every created step gets its own id', () => {
+  const steps = createSteps();
+  expect(new Set(idsOf(steps)).size).toBe(3);
+});
+
+test('moving a step reorders the stack and keeps every id', () => {
+  const steps = createSteps();
+  const [a, b, c] = idsOf(steps);
+
+  const moved = moveStep(steps, 0, 2);
+  expect(idsOf(moved)).toEqual([b, c, a]);
+  expect(moved[2]).toBe(steps[0]);
+  expect(idsOf(steps)).toEqual([a, b, c]);
+
+  // Moving past either end leaves the stack alone
+  expect(moveStep(steps, 0, -1)).toBe(steps);
+  expect(moveStep(steps, 2, 3)).toBe(steps);
+});
+
+test('toggling a step disables and re-enables it under the same id', () => {
+  const steps = createSteps();
+  const id = steps[1].id;
+
+  const disabled = toggleStep(steps, id);
+  expect(idsOf(disabled)).toEqual(idsOf(steps));
+  expect(disabled[1].enabled).toBe(false);
+  expect(disabled[0]).toBe(steps[0]);
+  expect(idsOf(getEnabledSteps(disabled))).toEqual([steps[0].id, steps[2].id]);
+
+  expect(toggleStep(disabled, id)[1].enabled).toBe(true);
+});
+
+test('duplicating a step inserts a copy with a new id after it', () => {
+  const steps = createSteps();
+  const [a, b, c] = idsOf(steps);
+
+  const duplicated = duplicateStep(steps, b);
+  expect(duplicated).toHaveLength(4);
+  expect(idsOf(duplicated)).toEqual([a, b, duplicated[2].id, c]);
+  expect([a, b, c]).not.toContain(duplicated[2].id);
+  expect(duplicated[2].params).toEqual({ radius: 2 });
+  expect(duplicated[2].params).not.toBe(steps[1].params);
+
+  expect(duplicateStep(steps, 'missing')).toBe(steps);
+});
@@ -0,0 +1,183 @@
+import { getTransformation } from './registry';
+import { validatePipelineSteps } from './presets';
+
+/**
+ * Compact encoding of a transformation pipeline for the URL hash.
+ *
+ * The hash looks like:
+ *   #pipeline=v1;contrast:150;!canny:20,90;segmentation:20,100,pastel
+ * Each step is its transformation id followed by its parameter values in
+ * schema order. Trailing values equal to their defaults are omitted and a
+ * leading "!" marks a disabled step. Kernel values are written as
+ * divisor_bias_v1_v2_..., with the size implied by the number of values,
+ * and palettes as their colors without "#", e.g. ff0000_00ff00.
+ */
+
+const HASH_KEY = 'pipeline';
+const HASH_VERSION = 'v1';
+
+/**
+ * Formats a parameter value for the hash
+ *
+ * @param {Object} spec - Parameter spec from the registry
+ * @param {*} value - Parameter value
+ * @returns {string} Encoded value
+ */
+const encodeValue = (spec, value) => {
+  if (spec.type === 'boolean') {
+    return value ? '1' : '0';
+  }
+  if (spec.type === 'kernel') {
+    return [value.divisor, value.bias, ...value.values].join('_');
+  }
+  if (spec.type === 'palette') {
+    return value.map(color => color.slice(1)).join('_');
+  }
+  return encodeURIComponent(String(value));
+};
+
+/**
+ * Parses a parameter value from the hash
+ *
+ * @param {Object} spec - Parameter spec from the registry
+ * @param {string} text - Encoded value
+ * @returns {*} Decoded value (validated later against the schema)
+ */
+const decodeValue = (spec, text) => {
+  const raw = decodeURIComponent(text);
+  switch (spec.type) {
+    case 'range':
+      return raw.trim() === '' ? NaN : Number(raw);
+    case 'boolean':
+      return raw === '1';
+    case 'kernel': {
+      const [divisor, bias, ...values] = raw.split('_').map(Number);
+      return { size: Math.sqrt(values.length), values, divisor, bias };
+    }
+    case 'palette':
+      return raw.split('_').map(color => `#${color}`);
+    default:
+      return raw;
+  }
+};
+
+/**
+ * Encodes pipeline steps as a URL hash (without the leading "#")
+ *
+ * @param {Array} steps - Pipeline steps
+ * @returns {string} Hash text, or an empty string for an empty pipeline
+ */
+export const encodePipelineHash = (steps) => {
+  if (steps.length === 0) {
+    return '';
+  }
+
+  const encodedSteps = steps.map(step => {
+    const definition = getTransformation(step.type);
+    const specs = definition ? definition.params : [];
+    const values = specs.map(spec => {
+      const value = step.params[spec.name];
+      return value === undefined ? spec.default : value;
+    });
+
+    // Drop trailing values that match their defaults
+    let length = values.length;
+    while (length > 0 && values[length - 1] === specs[length - 1].default) {
+      length--;
+    }
+
+    const prefix = step.enabled === false ? '!' : '';
+    const type = encodeURIComponent(step.type);
+    if (length === 0) {
+      return `${prefix}${type}`;
+    }
+    const encodedValues = values
+      .slice(0, length)
+      .map((value, i) => encodeValue(specs[i], value))
+      .join(',');
+    return `${prefix}${type}:${encodedValues}`;
+  });
+
+  return `${HASH_KEY}=${[HASH_VERSION, ...encodedSteps].join(';')}`;
+};
+
+/**
+ * Decodes pipeline steps from a URL hash and validates them against the
+ * registered transformation types
+ *
+ * @param {string} hash - Hash text, with or without the leading "#"
+ * @returns {Array} Validated steps as { type, params, enabled }
+ * @throws {Error} If the hash is malformed or describes an invalid pipeline
+ */
+export const decodePipelineHash = (hash) => {
+  const text = hash.replace(/^#/, '');
+  if (text === '') {
+    return [];
+  }
+
+  const prefix = `${HASH_KEY}=`;
+  if (!text.startsWith(prefix)) {
+    throw new Error('URL hash does not describe a pipeline');
+  }
+
+  const [version, ...encodedSteps] = text.slice(prefix.length).split(';');
+  if (version !== HASH_VERSION) {
+    throw new Error(`Unsupported pipeline URL version "${version}"`);
+  }
+
+  const steps = encodedSteps.filter(Boolean).map(encodedStep => {
+    const enabled = !encodedStep.startsWith('!');
+    const body = enabled ? encodedStep : encodedStep.slice(1);
+    const separator = body.indexOf(':');
+    const type = decodeURIComponent(separator === -1 ? body : body.slice(0, separator));
+    const encodedValues = separator === -1 ? [] : body.slice(separator + 1).split(',');
+
+    const definition = getTransformation(type);
+    const params = {};
+    if (definition) {
+      encodedValues.forEach((encodedValue, i) => {
+        const spec = definition.params[i];
+        if (spec) {
+          params[spec.name] = decodeValue(spec, encodedValue);
+        }
+      });
+    }
+    return { type, params, enabled };
+  });
+
+  const { steps: validSteps, errors } = validatePipelineSteps(steps);
+  if (errors.length > 0) {
+    throw new Error(`Invalid pipeline in URL:\n${errors.join('\n')}`);
+  }
+  return validSteps;
+};
+
+/**
+ * Reads the pipeline from the current page URL
+ *
+ * @returns {Object} Result as { steps, error }: the validated steps, or null
+ *                   steps and the Error explaining why the hash is invalid
+ */
+export const readPipelineFromLocation = () => {
+  try {
+    return { steps: decodePipelineHash(window.location.hash), error: null };
+  } catch (error) {
+    return { steps: null, error };
+  }
+};
+
+/**
+ * Adds a browser history entry for the given pipeline, unless the URL
+ * already describes it
+ *
+ * @param {Array} steps - Pipeline steps
+ */
+export const writePipelineToLocation = (steps) => {
+  const hash = encodePipelineHash(steps);
+  if (window.location.hash.replace(/^#/, '') === hash) {
+    return;
+  }
+
+  const { pathname, search } = window.location;
+  window.history.pushState(null, '', hash ? `${pathname}${search}#${hash}` : `${pathname}${search}`);
+};
@@ -0,0 +1,107 @@
+import './builtins';
+import { getDefaultParams } from './registry';
+import { encodePipelineHash, decodePipelineHash, readPipelineFromLocation } from './pipelineUrl';
+import { createStep, withLoadedImage } from './pipeline';
+import { createHistory, pushHistory } from '../utils/history';
+
+test('pipelines round-trip through the URL hash', () => {
+  const steps = [
+    { type: 'contrast', params: { contrastValue: 150 }, enabled: true },
+    { type: 'grayscale', params: {}, enabled: false },
+    { type: 'segmentation', params: { ...getDefaultParams('segmentation'), colorScheme: 'pastel' }, enabled: true }
+  ];
+
+  const hash = encodePipelineHash(steps);
+  expect(hash).toBe('pipeline=v1;contrast:150;!grayscale;segmentation:20,100,pastel');
+  expect(decodePipelineHash(`#${hash}`)).toEqual(steps);
+});
+
+test('trailing default values are omitted and restored', () => {
+  const steps = [{ type: 'canny', params: { cannyLow: 20, cannyHigh: 150, cannySigma: 1.4 }, enabled: true }];
+
+  expect(encodePipelineHash(steps)).toBe('pipeline=v1;canny:20');
+  expect(decodePipelineHash('pipeline=v1;canny:20')).toEqual(steps);
+});
+
+test('an empty hash is an empty pipeline', () => {
+  expect(encodePipelineHash([])).toBe('');
+  expect(decodePipelineHash('')).toEqual([]);
+});
+
+test('unknown transformation types are rejected', () => {
+  expect(() => decodePipelineHash('#pipeline=v1;swirl:3')).toThrow(/unknown transformation type "swirl"/);
+  expect(() => decodePipelineHash('#pipeline=v1;threshold:abc')).toThrow(/must be a number/);
+});
+
+test('color values are escaped in the hash', () => {
+  const steps = [{
+    type: 'edges',
+    params: {
+      edgeOperator: 'scharr',
+      edgeOutput: 'magnitude',
+      logSigma: 1.4,
+      edgeOverlay: true,
+      overlayColor: '#00ff80',
+      overlayThreshold: 64
+    },
+    enabled: true
+  }];
+
+  const hash = encodePipelineHash(steps);
+  expect(hash).toBe('pipeline=v1;edges:scharr,magnitude,1.4,1,%2300ff80');
+  expect(decodePipelineHash(hash)).toEqual(steps);
+  expect(() => decodePipelineHash('pipeline=v1;edges:sobel,magnitude,1.4,1,red')).toThrow(/#rrggbb/);
+});
+
+test('kernel values round-trip through the hash', () => {
+  const kernel = { size: 3, values: [-1, -1, 0, -1, 0, 1, 0, 1, 1.5], divisor: 2, bias: 128 };
+  const steps = [{ type: 'customKernel', params: { kernel, borderMode: 'wrap' }, enabled: true }];
+
+  const hash = encodePipelineHash(steps);
+  expect(hash).toBe('pipeline=v1;customKernel:2_128_-1_-1_0_-1_0_1_0_1_1.5,wrap');
+  expect(decodePipelineHash(hash)).toEqual(steps);
+  expect(() => decodePipelineHash('pipeline=v1;customKernel:0_0_1_1_1_1')).toThrow(/size of 3, 5, 7/);
+});
+
+test('palette values round-trip through the hash', () => {
+  const params = {
+    ...getDefaultParams('segmentation'),
+    colorScheme: 'custom',
+    customPalette: ['#112233', '#abcdef']
+  };
+  const steps = [{ type: 'segmentation', params, enabled: true }];
+
+  const hash = encodePipelineHash(steps);
+  expect(hash).toMatch(/,112233_abcdef$/);
+  expect(decodePipelineHash(hash)).toEqual(steps);
+  expect(() => decodePipelineHash(hash.replace('abcdef', 'xyz'))).toThrow(/#rrggbb/);
+});
+
+test('a pipeline opened from the URL is kept when an image is loaded', () => {
+  window.location.hash = '#pipeline=v1;contrast:150;!grayscale';
+  let history = createHistory({
+    image: null,
+    imageName: null,
+    transformations: readPipelineFromLocation().steps.map(createStep)
+  });
+
+  const image = { width: 4, height: 3 };
+  history = pushHistory(history, withLoadedImage(history.present, image, 'photo.png'));
+
+  expect(history.present.image).toBe(image);
+  expect(history.present.imageName).toBe('photo.png');
+  expect(history.present.transformations.map(({ type, params, enabled }) => ({ type, params, enabled })))
+    .toEqual([
+      { type: 'contrast', params: { contrastValue: 150 }, enabled: true },
+      { type: 'grayscale', params: {}, enabled: false }
+    ]);
+});
+
+test('an invalid pipeline in the URL is returned as an error', () => {
+  window.location.hash = '#pipeline=v1;vignette';
+  const { steps, error } = readPipelineFromLocation();
+
+  expect(steps).toBeNull();
+  expect(error.message).toMatch(/unknown transformation type "vignette"/);
+  window.location.hash = '';
+});
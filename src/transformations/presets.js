@@ -0,0 +1,306 @@
+import {
+  getTransformation,
+  getKernelValueError,
+  getPaletteValueError,
+  HEX_COLOR_PATTERN
+} from './registry';
+
+/**
+ * Serialization of transformation pipelines as versioned JSON documents,
+ * plus storage of named presets in localStorage.
+ *
+ * A pipeline document looks like:
+ *   {
+ *     "format": "image-transform-pipeline",
+ *     "version": 1,
+ *     "name": "Document cleanup",
+ *     "steps": [
+ *       { "type": "contrast", "params": { "contrastValue": 120 }, "enabled": true }
+ *     ]
+ *   }
+ * where each step's type is a transformation id from the registry.
+ */
+
+export const PIPELINE_FORMAT = 'image-transform-pipeline';
+export const PIPELINE_VERSION = 1;
+
+// localStorage key holding named presets
+const STORAGE_KEY = 'imageTransformApp.presets';
+
+/**
+ * Migrations that upgrade a document from the version they are keyed by to
+ * the next one. Add an entry here whenever PIPELINE_VERSION is bumped.
+ */
+const migrations = {
+  // Version 0: a bare array of steps that each carried the shared params bag
+  0: (steps) => ({
+    format: PIPELINE_FORMAT,
+    version: 1,
+    steps: steps.map(step => {
+      const definition = getTransformation(step.type);
+      const params = {};
+      if (definition && step.params) {
+        definition.params.forEach(spec => {
+          if (step.params[spec.name] !== undefined) {
+            params[spec.name] = step.params[spec.name];
+          }
+        });
+      }
+      return { type: step.type, params, enabled: step.enabled !== false };
+    })
+  })
+};
+
+/**
+ * Brings a parsed document up to the current version
+ *
+ * @param {Object|Array} pipelineDoc - Parsed pipeline document
+ * @returns {Object} Document at PIPELINE_VERSION
+ */
+export const migratePipelineDocument = (pipelineDoc) => {
+  let current = pipelineDoc;
+  let version = Array.isArray(current) ? 0 : current.version;
+
+  if (!Number.isInteger(version)) {
+    throw new Error('Pipeline file has no valid schema version');
+  }
+  if (version > PIPELINE_VERSION) {
+    throw new Error(
+      `Pipeline file uses schema version ${version}, but this app only supports up to version ${PIPELINE_VERSION}`
+    );
+  }
+
+  while (version < PIPELINE_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      throw new Error(`No migration available from schema version ${version}`);
+    }
+    current = migrate(current);
+    version = current.version;
+  }
+
+  return current;
+};
+
+/**
+ * Checks a single parameter value against its schema entry
+ *
+ * @param {Object} spec - Parameter spec from the registry
+ * @param {*} value - Value to check
+ * @returns {string|null} Problem description, or null if the value is valid
+ */
+const validateParamValue = (spec, value) => {
+  switch (spec.type) {
+    case 'range':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return `must be a number (got ${JSON.stringify(value)})`;
+      }
+      if (value < spec.min || value > spec.max) {
+        return `must be between ${spec.min} and ${spec.max} (got ${value})`;
+      }
+      // Sliders only produce values on the step grid, counted from min
+      if (spec.step) {
+        const stepCount = (value - spec.min) / spec.step;
+        if (Math.abs(stepCount - Math.round(stepCount)) > 1e-6) {
+          return `must be ${spec.min} plus a multiple of ${spec.step} (got ${value})`;
+        }
+      }
+      return null;
+    case 'select':
+      if (!spec.options.some(option => option.value === value)) {
+        const allowed = spec.options.map(option => option.value).join(', ');
+        return `must be one of ${allowed} (got ${JSON.stringify(value)})`;
+      }
+      return null;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `must be true or false (got ${JSON.stringify(value)})`;
+    case 'color':
+      return HEX_COLOR_PATTERN.test(value) ? null : `must be a #rrggbb color (got ${JSON.stringify(value)})`;
+    case 'kernel':
+      return getKernelValueError(spec, value);
+    case 'palette':
+      return getPaletteValueError(value);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validates the steps of a pipeline document against the registry.
+ * Missing parameters fall back to their defaults and unknown ones are dropped.
+ *
+ * @param {Array} steps - Steps from a pipeline document
+ * @returns {Object} Result as { steps, errors } where steps are normalized
+ */
+export const validatePipelineSteps = (steps) => {
+  const errors = [];
+  const normalized = [];
+
+  if (!Array.isArray(steps)) {
+    return { steps: [], errors: ['Pipeline "steps" must be a list'] };
+  }
+
+  steps.forEach((step, index) => {
+    const position = `Step ${index + 1}`;
+
+    if (!step || typeof step.type !== 'string') {
+      errors.push(`${position}: missing transformation type`);
+      return;
+    }
+
+    const definition = getTransformation(step.type);
+    if (!definition) {
+      errors.push(`${position}: unknown transformation type "${step.type}"`);
+      return;
+    }
+
+    const sourceParams = step.params || {};
+    const params = {};
+    definition.params.forEach(spec => {
+      const value = sourceParams[spec.name];
+      if (value === undefined) {
+        params[spec.name] = spec.default;
+        return;
+      }
+      const problem = validateParamValue(spec, value);
+      if (problem) {
+        errors.push(`${position} (${definition.label}): parameter "${spec.name}" ${problem}`);
+      } else {
+        params[spec.name] = value;
+      }
+    });
+
+    normalized.push({ type: step.type, params, enabled: step.enabled !== false });
+  });
+
+  return { steps: normalized, errors };
+};
+
+/**
+ * Creates a pipeline document for the given steps
+ *
+ * @param {Array} steps - Pipeline steps
+ * @param {string} [name] - Optional preset name
+ * @returns {Object} Pipeline document
+ */
+export const serializePipeline = (steps, name) => {
+  const pipelineDoc = {
+    format: PIPELINE_FORMAT,
+    version: PIPELINE_VERSION,
+    steps: steps.map(step => ({
+      type: step.type,
+      params: step.params,
+      enabled: step.enabled !== false
+    }))
+  };
+  if (name) {
+    pipelineDoc.name = name;
+  }
+  return pipelineDoc;
+};
+
+/**
+ * Parses, migrates and validates a pipeline document
+ *
+ * @param {string|Object} input - JSON text or an already parsed document
+ * @returns {Object} Result as { name, steps } with validated steps
+ * @throws {Error} With a message listing every problem found
+ */
+export const parsePipeline = (input) => {
+  let pipelineDoc = input;
+  if (typeof input === 'string') {
+    try {
+      pipelineDoc = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Pipeline file is not valid JSON: ${error.message}`);
+    }
+  }
+
+  if (!pipelineDoc || typeof pipelineDoc !== 'object') {
+    throw new Error('Pipeline file does not contain a pipeline');
+  }
+  if (!Array.isArray(pipelineDoc) && pipelineDoc.format !== PIPELINE_FORMAT) {
+    throw new Error(`Pipeline file has an unexpected format (expected "${PIPELINE_FORMAT}")`);
+  }
+
+  const migrated = migratePipelineDocument(pipelineDoc);
+  const { steps, errors } = validatePipelineSteps(migrated.steps);
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid pipeline:\n${errors.join('\n')}`);
+  }
+
+  return { name: migrated.name || null, steps };
+};
+
+/**
+ * Reads all named presets from localStorage
+ *
+ * @returns {Object} Map of preset names to pipeline documents
+ * @throws {Error} If localStorage is unavailable or holds unreadable presets
+ */
+const readPresetStore = () => {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    throw new Error(`Could not read saved presets: ${error.message}`);
+  }
+};
+
+/**
+ * Writes all named presets to localStorage
+ *
+ * @param {Object} store - Map of preset names to pipeline documents
+ */
+const writePresetStore = (store) => {
+  window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+};
+
+/**
+ * Lists the names of the presets saved in localStorage
+ *
+ * @returns {Array} Preset names, sorted alphabetically
+ * @throws {Error} If the saved presets can't be read
+ */
+export const listSavedPresets = () => {
+  return Object.keys(readPresetStore()).sort((a, b) => a.localeCompare(b));
+};
+
+/**
+ * Saves the steps as a named preset, replacing any preset with that name
+ *
+ * @param {string} name - Preset name
+ * @param {Array} steps - Pipeline steps
+ */
+export const savePreset = (name, steps) => {
+  const store = readPresetStore();
+  store[name] = serializePipeline(steps, name);
+  writePresetStore(store);
+};
+
+/**
+ * Loads a named preset from localStorage
+ *
+ * @param {string} name - Preset name
+ * @returns {Array} Validated steps
+ * @throws {Error} If the preset is missing or no longer valid
+ */
+export const loadPreset = (name) => {
+  const store = readPresetStore();
+  if (!store[name]) {
+    throw new Error(`Preset "${name}" was not found`);
+  }
+  return parsePipeline(store[name]).steps;
+};
+
+/**
+ * Deletes a named preset from localStorage
+ *
+ * @param {string} name - Preset name
+ */
+export const deletePreset = (name) => {
+  const store = readPresetStore();
+  delete store[name];
+  writePresetStore(store);
+};
@@ -0,0 +1,89 @@
+import './builtins';
+import {
+  serializePipeline,
+  parsePipeline,
+  PIPELINE_VERSION,
+  savePreset,
+  loadPreset,
+  listSavedPresets,
+  deletePreset
+} from './presets';
+
+const steps = [
+  { id: 'step-1', type: 'contrast', params: { contrastValue: 150 }, enabled: true },
+  { id: 'step-2', type: 'canny', params: { cannyLow: 20, cannyHigh: 90 }, enabled: false }
+];
+
+test('exported pipelines round-trip through JSON', () => {
+  const json = JSON.stringify(serializePipeline(steps, 'Edges'));
+  const parsed = parsePipeline(json);
+
+  expect(parsed.name).toBe('Edges');
+  expect(parsed.steps).toEqual([
+    { type: 'contrast', params: { contrastValue: 150 }, enabled: true },
+    { type: 'canny', params: { cannyLow: 20, cannyHigh: 90, cannySigma: 1.4 }, enabled: false }
+  ]);
+});
+
+test('unknown types and out-of-range values are reported', () => {
+  const pipeline = {
+    format: 'image-transform-pipeline',
+    version: PIPELINE_VERSION,
+    steps: [
+      { type: 'vignette', params: {} },
+      { type: 'threshold', params: { thresholdValue: 300 } }
+    ]
+  };
+
+  expect(() => parsePipeline(pipeline)).toThrow(/Step 1: unknown transformation type "vignette"/);
+  expect(() => parsePipeline(pipeline)).toThrow(/"thresholdValue" must be between 0 and 255 \(got 300\)/);
+});
+
+test('range values off the step grid are reported', () => {
+  const pipeline = {
+    format: 'image-transform-pipeline',
+    version: PIPELINE_VERSION,
+    steps: [
+      { type: 'threshold', params: { thresholdMode: 'mean', thresholdBlockSize: 32 } },
+      { type: 'morphology', params: { morphRadius: 2.5 } }
+    ]
+  };
+
+  expect(() => parsePipeline(pipeline)).toThrow(/"thresholdBlockSize" must be 3 plus a multiple of 2 \(got 32\)/);
+  expect(() => parsePipeline(pipeline)).toThrow(/"morphRadius" must be 1 plus a multiple of 1 \(got 2.5\)/);
+
+  // Decimal steps tolerate floating point error
+  const onGrid = { ...pipeline, steps: [{ type: 'gamma', params: { gammaValue: 0.3 } }] };
+  expect(parsePipeline(onGrid).steps[0].params.gammaValue).toBe(0.3);
+});
+
+test('documents from newer versions are rejected', () => {
+  const pipeline = { format: 'image-transform-pipeline', version: PIPELINE_VERSION + 1, steps: [] };
+  expect(() => parsePipeline(pipeline)).toThrow(/schema version/);
+});
+
+test('legacy arrays with a shared params bag are migrated', () => {
+  const legacy = [
+    { type: 'brightness', params: { contrastValue: 100, brightnessValue: 120, cannyLow: 50 } }
+  ];
+
+  expect(parsePipeline(legacy).steps).toEqual([
+    { type: 'brightness', params: { brightnessValue: 120 }, enabled: true }
+  ]);
+});
+
+test('named presets are stored in localStorage', () => {
+  savePreset('Edges', steps);
+  expect(listSavedPresets()).toContain('Edges');
+  expect(loadPreset('Edges')[0].params.contrastValue).toBe(150);
+
+  deletePreset('Edges');
+  expect(listSavedPresets()).not.toContain('Edges');
+});
+
+test('unreadable saved presets are reported instead of dropped', () => {
+  window.localStorage.setItem('imageTransformApp.presets', '{"Edges":');
+  expect(() => listSavedPresets()).toThrow(/Could not read saved presets/);
+  expect(() => loadPreset('Edges')).toThrow(/Could not read saved presets/);
+  window.localStorage.removeItem('imageTransformApp.presets');
+});
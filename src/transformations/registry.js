@@ -0,0 +1,255 @@
+/**
+ * Registry of available transformations.
+ *
+ * Each transformation is described by a definition:
+ *   {
+ *     id: 'contrast',                 // Unique id stored in pipeline steps
+ *     label: 'Contrast',              // Name shown in the UI
+ *     category: 'Adjustments',        // Group in the transformation dropdown
+ *     params: [                       // Parameter schema, in display order
+ *       {
+ *         name: 'contrastValue',
+ *         type: 'range',              // 'range' | 'select' | 'boolean' | 'color' |
+ *                                     //   'kernel' | 'palette'
+ *         label: 'Contrast',
+ *         min: 0, max: 200, step: 1,  // For 'range' params
+ *         options: [...],             // For 'select' params: [{ value, label }]
+ *                                     // 'color' params hold '#rrggbb' strings,
+ *                                     // 'palette' params arrays of them
+ *         sizes: [3, 5, 7],           // For 'kernel' params, which hold
+ *         presets: [...],             //   { size, values, divisor, bias };
+ *                                     //   presets are [{ label, value }]
+ *         default: 100,
+ *         description: '...',         // Optional help text
+ *         visibleWhen: (params) => bool // Optional, hides the control
+ *                                     //   when it doesn't apply
+ *       }
+ *     ],
+ *     apply: (imageData, params) => ImageData,
+ *     exports: [                      // Optional data a step can export
+ *       {                             //   besides its image, built from
+ *         id: 'labels',               //   the step's input image
+ *         label: 'Label Map',
+ *         mimeType: 'image/png',
+ *         extension: 'png',
+ *         create: (imageData, params) => Uint8Array | string
+ *       }
+ *     ],
+ *     previewEditor: 'crop',          // Optional on-image editor the preview
+ *                                     //   shows over the step's input while
+ *                                     //   the step is edited ('crop' or
+ *                                     //   'perspective')
+ *     analyze: (imageData) => [       // Optional read-outs shown with the
+ *       {                             //   step's controls, computed from
+ *         label: 'Otsu threshold',    //   its input image
+ *         value: 117,
+ *         params: { ... }             // Optional params a button copies
+ *       }                             //   into the step
+ *     ]
+ *   }
+ *
+ * The dropdown, the parameter controls and the pipeline executor are all
+ * generated from these definitions.
+ */
+
+const PARAM_TYPES = ['range', 'select', 'boolean', 'color', 'kernel', 'palette'];
+
+// On-image editors the preview provides, for the previewEditor option
+const PREVIEW_EDITORS = ['crop', 'perspective'];
+
+// Format of 'color' param values
+export const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Registered definitions, keyed by id (Map keeps registration order)
+const transformations = new Map();
+
+/**
+ * Checks a 'kernel' param value against its spec
+ *
+ * @param {Object} spec - The parameter spec
+ * @param {*} value - The value to check
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+export const getKernelValueError = (spec, value) => {
+  if (!value || typeof value !== 'object') {
+    return 'must be a kernel object';
+  }
+  const { size, values, divisor, bias } = value;
+  if (!spec.sizes.includes(size)) {
+    return `must have a size of ${spec.sizes.join(', ')} (got ${JSON.stringify(size)})`;
+  }
+  if (!Array.isArray(values) || values.length !== size * size || !values.every(Number.isFinite)) {
+    return `must have ${size * size} numeric values`;
+  }
+  if (!Number.isFinite(divisor) || divisor === 0) {
+    return `must have a non-zero divisor (got ${JSON.stringify(divisor)})`;
+  }
+  if (!Number.isFinite(bias)) {
+    return `must have a numeric bias (got ${JSON.stringify(bias)})`;
+  }
+  return null;
+};
+
+/**
+ * Checks a 'palette' param value
+ *
+ * @param {*} value - The value to check
+ * @returns {string|null} What is wrong with the value, or null if it is valid
+ */
+export const getPaletteValueError = (value) => {
+  if (!Array.isArray(value) || value.length === 0) {
+    return 'must be a non-empty list of colors';
+  }
+  const invalid = value.find(color => !HEX_COLOR_PATTERN.test(color));
+  if (invalid !== undefined) {
+    return `must only hold #rrggbb colors (got ${JSON.stringify(invalid)})`;
+  }
+  return null;
+};
+
+/**
+ * Checks that a parameter spec is complete and internally consistent
+ *
+ * @param {string} id - Id of the transformation the param belongs to
+ * @param {Object} param - The parameter spec
+ */
+const validateParamSpec = (id, param) => {
+  if (!param.name) {
+    throw new Error(`Transformation "${id}" has a parameter without a name`);
+  }
+  if (!PARAM_TYPES.includes(param.type)) {
+    throw new Error(`Parameter "${param.name}" of "${id}" has unknown type "${param.type}"`);
+  }
+  if (param.default === undefined) {
+    throw new Error(`Parameter "${param.name}" of "${id}" has no default value`);
+  }
+  if (param.type === 'range' && !(param.min <= param.default && param.default <= param.max)) {
+    throw new Error(`Default of parameter "${param.name}" of "${id}" is outside its range`);
+  }
+  if (param.type === 'select' && !param.options.some(option => option.value === param.default)) {
+    throw new Error(`Default of parameter "${param.name}" of "${id}" is not one of its options`);
+  }
+  if (param.type === 'color' && !HEX_COLOR_PATTERN.test(param.default)) {
+    throw new Error(`Default of parameter "${param.name}" of "${id}" is not a #rrggbb color`);
+  }
+  if (param.type === 'palette' && getPaletteValueError(param.default)) {
+    throw new Error(`Default of parameter "${param.name}" of "${id}" ${getPaletteValueError(param.default)}`);
+  }
+  if (param.type === 'kernel') {
+    const presets = param.presets || [];
+    [param.default, ...presets.map(preset => preset.value)].forEach(value => {
+      const error = getKernelValueError(param, value);
+      if (error) {
+        throw new Error(`Kernel of parameter "${param.name}" of "${id}" ${error}`);
+      }
+    });
+  }
+};
+
+/**
+ * Adds a transformation to the registry
+ *
+ * @param {Object} definition - The transformation definition (see top of file)
+ * @returns {Object} The registered definition
+ */
+export const registerTransformation = (definition) => {
+  const {
+    id,
+    label,
+    category,
+    params = [],
+    exports = [],
+    apply,
+    analyze,
+    previewEditor
+  } = definition;
+
+  if (!id || !label || !category) {
+    throw new Error('Transformation definitions need an id, label and category');
+  }
+  if (transformations.has(id)) {
+    throw new Error(`Transformation "${id}" is already registered`);
+  }
+  if (typeof apply !== 'function') {
+    throw new Error(`Transformation "${id}" needs an apply function`);
+  }
+  if (analyze !== undefined && typeof analyze !== 'function') {
+    throw new Error(`Transformation "${id}" has an analyze option that is not a function`);
+  }
+  if (previewEditor !== undefined && !PREVIEW_EDITORS.includes(previewEditor)) {
+    throw new Error(`Transformation "${id}" has unknown preview editor "${previewEditor}"`);
+  }
+  params.forEach(param => validateParamSpec(id, param));
+  exports.forEach(exporter => {
+    if (!exporter.id || !exporter.label || !exporter.mimeType || !exporter.extension) {
+      throw new Error(`Exports of "${id}" need an id, label, mimeType and extension`);
+    }
+    if (typeof exporter.create !== 'function') {
+      throw new Error(`Export "${exporter.id}" of "${id}" needs a create function`);
+    }
+  });
+
+  const registered = { ...definition, params, exports };
+  transformations.set(id, registered);
+  return registered;
+};
+
+/**
+ * Looks up a transformation definition
+ *
+ * @param {string} id - Transformation id
+ * @returns {Object|undefined} The definition, if registered
+ */
+export const getTransformation = (id) => transformations.get(id);
+
+/**
+ * Lists all registered transformations in registration order
+ *
+ * @returns {Array} Transformation definitions
+ */
+export const listTransformations = () => Array.from(transformations.values());
+
+/**
+ * Groups the registered transformations by category, keeping the order in
+ * which categories first appear
+ *
+ * @returns {Array} Groups as [{ category, transformations }]
+ */
+export const listTransformationsByCategory = () => {
+  const groups = new Map();
+  transformations.forEach(definition => {
+    if (!groups.has(definition.category)) {
+      groups.set(definition.category, []);
+    }
+    groups.get(definition.category).push(definition);
+  });
+  return Array.from(groups, ([category, items]) => ({ category, transformations: items }));
+};
+
+/**
+ * Builds the default parameter values for a transformation
+ *
+ * @param {string} id - Transformation id
+ * @returns {Object} Map of parameter names to default values
+ */
+export const getDefaultParams = (id) => {
+  const definition = getTransformation(id);
+  const params = {};
+  if (definition) {
+    definition.params.forEach(param => {
+      params[param.name] = param.default;
+    });
+  }
+  return params;
+};
+
+/**
+ * Creates a transformation configuration with default parameters
+ *
+ * @param {string} id - Transformation id
+ * @returns {Object} Configuration as { type, params }
+ */
+export const createDefaultTransform = (id) => ({
+  type: id,
+  params: getDefaultParams(id)
+});
@@ -1,253 +1,1027 @@
-import { hsvToRgb } from '../utils/colorUtils';
+import {
+  hsvToRgb,
+  hexToRgb,
+  sampleColormap,
+  rgbToLab,
+  getColorDistance,
+  getDeltaE76,
+  getDeltaE2000
+} from '../utils/colorUtils';
+import { applyGrayscale } from './basicTransforms';
+import { applyGaussianBlur } from './blurFilters';
+import { convolve } from './convolution';
+
+// Color distances between merge candidates are bucketed at this resolution
+// so candidate edges can be ordered with a counting sort
+const DISTANCE_BUCKETS_PER_UNIT = 4;
+
+// How colors are compared: Euclidean distance in RGB, or the CIE76 and
+// CIEDE2000 differences in CIELAB, which follow perceived differences
+export const COLOR_METRICS = ['rgb', 'cie76', 'ciede2000'];
 
 /**
- * Performs color-based image segmentation
- * Identifies regions of similar color and applies distinct colors to each segment
+ * Converts RGB colors to the color space a metric works in
  * 
- * @param {ImageData} imageData - The image data to process
- * @param {number} tolerance - Color similarity tolerance (1-50)
- * @param {number} minSize - Minimum segment size in pixels
- * @param {string} colorScheme - Coloring method to use for segments
- * @returns {ImageData} The processed image data with colored segments
+ * @param {ArrayLike<number>} rgb - Colors as r, g, b triples
+ * @param {number} stride - Values per color in rgb (4 for RGBA pixel data)
+ * @param {number} count - Number of colors
+ * @param {string} metric - One of COLOR_METRICS
+ * @returns {Float32Array} Colors as triples (RGB, or LAB for the CIE metrics)
  */
-export const applySegmentation = (imageData, tolerance, minSize, colorScheme) => {
-  const width = imageData.width;
-  const height = imageData.height;
-  const data = new Uint8ClampedArray(imageData.data);
-  const resultData = new Uint8ClampedArray(data);
+const toMetricSpace = (rgb, stride, count, metric) => {
+  const values = new Float32Array(count * 3);
+  const isLab = metric !== 'rgb';
   
-  // Create a map to track which segment each pixel belongs to
-  const segmentMap = new Array(width * height).fill(-1);
-  
-  // A map to track segment size
-  const segmentSizes = {};
+  for (let i = 0; i < count; i++) {
+    const r = rgb[i * stride];
+    const g = rgb[i * stride + 1];
+    const b = rgb[i * stride + 2];
+    const color = isLab ? rgbToLab(r, g, b) : [r, g, b];
+    
+    values[i * 3] = color[0];
+    values[i * 3 + 1] = color[1];
+    values[i * 3 + 2] = color[2];
+  }
   
-  // A map to track segment average color
-  const segmentColors = {};
+  return values;
+};
+
+/**
+ * Returns the distance function of a metric for colors from toMetricSpace
+ * 
+ * @param {string} metric - One of COLOR_METRICS
+ * @returns {Function} Called as (values, i, j) with color indices
+ */
+const getMetricDistance = (metric) => {
+  const distance = {
+    rgb: getColorDistance,
+    cie76: getDeltaE76,
+    ciede2000: getDeltaE2000
+  }[metric];
+  if (!distance) {
+    throw new Error(`Unknown color metric "${metric}"`);
+  }
   
-  // Stack for flood fill algorithm
-  const stack = [];
+  return (values, i, j) => distance(
+    values[i * 3], values[i * 3 + 1], values[i * 3 + 2],
+    values[j * 3], values[j * 3 + 1], values[j * 3 + 2]
+  );
+};
+
+// Okabe-Ito palette, distinguishable with the common color vision deficiencies
+const COLORBLIND_SAFE_PALETTE = [
+  '#e69f00', '#56b4e9', '#009e73', '#f0e442',
+  '#0072b2', '#d55e00', '#cc79a7', '#000000'
+];
+
+/**
+ * Labels 4-connected regions. A region grows from its first pixel in scan
+ * order and takes in every neighbor that belongs with that first pixel.
+ * 
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Function} belongs - Called as (pixel, start) with pixel indices;
+ *                             returns whether pixel joins start's region
+ * @returns {Object} Region label per pixel and number of regions, as { labels, count }
+ */
+const labelConnectedRegions = (width, height, belongs) => {
+  const pixelCount = width * height;
+  const labels = new Int32Array(pixelCount).fill(-1);
+  const stack = new Int32Array(pixelCount);
+  let stackSize = 0;
+  let count = 0;
+  let start = 0;
   
-  // Current segment ID
-  let currentSegment = 0;
+  // Adds an unlabeled neighbor to the current region if it belongs there
+  const visit = (index) => {
+    if (labels[index] === -1 && belongs(index, start)) {
+      labels[index] = count;
+      stack[stackSize++] = index;
+    }
+  };
   
-  // Flood fill function
-  const floodFill = (x, y, baseR, baseG, baseB) => {
-    stack.push([x, y]);
-    segmentMap[y * width + x] = currentSegment;
+  for (start = 0; start < pixelCount; start++) {
+    if (labels[start] !== -1) continue;
     
-    // Initialize segment color and size tracking
-    segmentSizes[currentSegment] = 1;
-    segmentColors[currentSegment] = {
-      r: baseR,
-      g: baseG,
-      b: baseB,
-      count: 1
-    };
+    labels[start] = count;
+    stack[stackSize++] = start;
     
-    while (stack.length > 0) {
-      const pos = stack.pop();
-      const cx = pos[0];
-      const cy = pos[1];
-      const pixelIndex = (cy * width + cx) * 4;
-      
-      // Check neighboring pixels (4-connected)
-      const directions = [
-        [-1, 0], [1, 0], [0, -1], [0, 1]
-      ];
+    // Flood fill, each pixel enters the stack once
+    while (stackSize > 0) {
+      const index = stack[--stackSize];
+      const x = index % width;
       
-      for (let i = 0; i < directions.length; i++) {
-        const nx = cx + directions[i][0];
-        const ny = cy + directions[i][1];
-        
-        // Skip if out of bounds
-        if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
-          continue;
-        }
-        
-        // Skip if already assigned to a segment
-        const neighborIndex = ny * width + nx;
-        if (segmentMap[neighborIndex] !== -1) {
-          continue;
-        }
-        
-        // Get neighbor color
-        const nIndex = neighborIndex * 4;
-        const nr = data[nIndex];
-        const ng = data[nIndex + 1];
-        const nb = data[nIndex + 2];
-        
-        // Calculate color difference
-        const colorDiff = Math.sqrt(
-          Math.pow(baseR - nr, 2) +
-          Math.pow(baseG - ng, 2) +
-          Math.pow(baseB - nb, 2)
-        );
-        
-        // If color is similar enough, add to segment
-        if (colorDiff <= tolerance) {
-          stack.push([nx, ny]);
-          segmentMap[neighborIndex] = currentSegment;
-          segmentSizes[currentSegment]++;
-          
-          // Update average color
-          segmentColors[currentSegment].r += nr;
-          segmentColors[currentSegment].g += ng;
-          segmentColors[currentSegment].b += nb;
-          segmentColors[currentSegment].count++;
-        }
-      }
+      if (x > 0) visit(index - 1);
+      if (x < width - 1) visit(index + 1);
+      if (index >= width) visit(index - width);
+      if (index < pixelCount - width) visit(index + width);
     }
     
-    // Calculate average color for segment
-    const segColor = segmentColors[currentSegment];
-    segColor.r = Math.round(segColor.r / segColor.count);
-    segColor.g = Math.round(segColor.g / segColor.count);
-    segColor.b = Math.round(segColor.b / segColor.count);
+    count++;
+  }
+  
+  return { labels, count };
+};
+
+/**
+ * Labels regions whose colors lie within tolerance of the region's first pixel
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} tolerance - Maximum distance to the region's first pixel
+ * @param {string} metric - One of COLOR_METRICS
+ * @returns {Object} Labels and number of regions, as { labels, count }
+ */
+const labelColorRegions = (data, width, height, tolerance, metric) => {
+  if (metric === 'rgb') {
+    // Squared distances avoid a square root per comparison, here and for CIE76
+    const toleranceSquared = tolerance * tolerance;
+    return labelConnectedRegions(width, height, (index, start) => {
+      const dr = data[index * 4] - data[start * 4];
+      const dg = data[index * 4 + 1] - data[start * 4 + 1];
+      const db = data[index * 4 + 2] - data[start * 4 + 2];
+      return dr * dr + dg * dg + db * db <= toleranceSquared;
+    });
+  }
+  
+  const values = toMetricSpace(data, 4, width * height, metric);
+  if (metric === 'cie76') {
+    const toleranceSquared = tolerance * tolerance;
+    return labelConnectedRegions(width, height, (index, start) => {
+      const dl = values[index * 3] - values[start * 3];
+      const da = values[index * 3 + 1] - values[start * 3 + 1];
+      const db = values[index * 3 + 2] - values[start * 3 + 2];
+      return dl * dl + da * da + db * db <= toleranceSquared;
+    });
+  }
+  
+  // CIEDE2000 is costly, so pixels already rejected by the current region
+  // are not compared again, and pixels whose lightness alone is too far off
+  // are rejected early: the difference is at least |dL| / S_L, and S_L
+  // never exceeds 1.75
+  const distance = getMetricDistance(metric);
+  const rejectedBy = new Int32Array(width * height).fill(-1);
+  const maxLightnessDifference = tolerance * 1.75;
+  
+  return labelConnectedRegions(width, height, (index, start) => {
+    if (rejectedBy[index] === start) return false;
     
-    // Move to next segment
-    currentSegment++;
+    if (Math.abs(values[index * 3] - values[start * 3]) > maxLightnessDifference ||
+        distance(values, index, start) > tolerance) {
+      rejectedBy[index] = start;
+      return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * Splits segments that consist of several disconnected parts, so every
+ * segment is one connected region
+ * 
+ * @param {Int32Array} labels - Segment label per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Labels and number of regions, as { labels, count }
+ */
+const splitDisconnectedSegments = (labels, width, height) => {
+  return labelConnectedRegions(width, height, (index, start) => labels[index] === labels[start]);
+};
+
+/**
+ * Renumbers segments 0..n-1 in the order they first appear in scan order,
+ * dropping unused labels
+ * 
+ * @param {Int32Array} labels - Segment label per pixel, updated in place
+ * @param {number} count - Number of labels in use before renumbering
+ * @param {Function} [mapLabel] - Maps each old label first, e.g. to a merged segment
+ * @returns {Object} Renumbered labels and their number, as { labels, count }
+ */
+const renumberLabels = (labels, count, mapLabel = (label) => label) => {
+  const newLabels = new Int32Array(count).fill(-1);
+  let newCount = 0;
+  
+  for (let i = 0; i < labels.length; i++) {
+    const label = mapLabel(labels[i]);
+    if (newLabels[label] === -1) {
+      newLabels[label] = newCount++;
+    }
+    labels[i] = newLabels[label];
+  }
+  
+  return { labels, count: newCount };
+};
+
+/**
+ * Sums the pixel count and RGB values of each segment
+ * 
+ * @param {Int32Array} labels - Segment label per pixel
+ * @param {number} count - Number of segments
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @returns {Object} Statistics as { sizes: Int32Array, sums: Float64Array (r, g, b per segment) }
+ */
+const sumSegments = (labels, count, data) => {
+  const sizes = new Int32Array(count);
+  const sums = new Float64Array(count * 3);
+  
+  for (let i = 0; i < labels.length; i++) {
+    const label = labels[i];
+    sizes[label]++;
+    sums[label * 3] += data[i * 4];
+    sums[label * 3 + 1] += data[i * 4 + 1];
+    sums[label * 3 + 2] += data[i * 4 + 2];
+  }
+  
+  return { sizes, sums };
+};
+
+/**
+ * Merges segments smaller than minSize into adjacent segments.
+ * 
+ * Adjacent segment pairs where at least one side is small are collected in
+ * a single pass over the image. Pairs are then visited from the most to the
+ * least similar mean color and joined with union-find while either side is
+ * still too small, so every small segment ends up in its most similar
+ * neighbor. Finally the labels are renumbered 0..n-1 in scan order.
+ * 
+ * @param {Int32Array} labels - Segment label per pixel, updated in place
+ * @param {number} count - Number of segments
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} minSize - Minimum segment size in pixels
+ * @param {string} metric - One of COLOR_METRICS, for comparing mean colors
+ * @returns {Object} Merged labels and their number, as { labels, count }
+ */
+const mergeSmallSegments = (labels, count, data, width, height, minSize, metric) => {
+  const { sizes, sums } = sumSegments(labels, count, data);
+  
+  // Collect pairs of adjacent segments as keys low * count + high
+  let keys = new Float64Array(1024);
+  let keyCount = 0;
+  let lastKey = -1;
+  
+  const addPair = (a, b) => {
+    if (a === b || (sizes[a] >= minSize && sizes[b] >= minSize)) return;
+    
+    const key = a < b ? a * count + b : b * count + a;
+    if (key === lastKey) return; // Cheap dedupe along a shared border
+    lastKey = key;
+    
+    if (keyCount === keys.length) {
+      const grown = new Float64Array(keys.length * 2);
+      grown.set(keys);
+      keys = grown;
+    }
+    keys[keyCount++] = key;
   };
   
-  // Process all pixels
   for (let y = 0; y < height; y++) {
+    const rowOffset = y * width;
     for (let x = 0; x < width; x++) {
-      const index = y * width + x;
-      
-      // Skip if already assigned to a segment
-      if (segmentMap[index] !== -1) {
-        continue;
+      const index = rowOffset + x;
+      if (x < width - 1) addPair(labels[index], labels[index + 1]);
+      if (y < height - 1) addPair(labels[index], labels[index + width]);
+    }
+  }
+  
+  // Remove the remaining duplicates
+  const sortedKeys = keys.subarray(0, keyCount).sort();
+  const pairs = new Int32Array(keyCount * 2);
+  let pairCount = 0;
+  for (let i = 0; i < keyCount; i++) {
+    if (i > 0 && sortedKeys[i] === sortedKeys[i - 1]) continue;
+    pairs[pairCount * 2] = Math.floor(sortedKeys[i] / count);
+    pairs[pairCount * 2 + 1] = sortedKeys[i] % count;
+    pairCount++;
+  }
+  
+  // Distance between the mean colors of each pair
+  const means = new Float64Array(count * 3);
+  for (let i = 0; i < count * 3; i++) {
+    means[i] = sums[i] / sizes[Math.floor(i / 3)];
+  }
+  const meanValues = toMetricSpace(means, 3, count, metric);
+  const distance = getMetricDistance(metric);
+  const pairDistances = new Float32Array(pairCount);
+  let maxDistance = 0;
+  for (let p = 0; p < pairCount; p++) {
+    pairDistances[p] = distance(meanValues, pairs[p * 2], pairs[p * 2 + 1]);
+    maxDistance = Math.max(maxDistance, pairDistances[p]);
+  }
+  
+  // Order the pairs by that distance (counting sort)
+  const bucketCount = Math.ceil(maxDistance * DISTANCE_BUCKETS_PER_UNIT) + 1;
+  const pairBuckets = new Int32Array(pairCount);
+  const bucketStarts = new Int32Array(bucketCount + 1);
+  for (let p = 0; p < pairCount; p++) {
+    const bucket = Math.round(pairDistances[p] * DISTANCE_BUCKETS_PER_UNIT);
+    pairBuckets[p] = bucket;
+    bucketStarts[bucket + 1]++;
+  }
+  for (let bucket = 0; bucket < bucketCount; bucket++) {
+    bucketStarts[bucket + 1] += bucketStarts[bucket];
+  }
+  const order = new Int32Array(pairCount);
+  for (let p = 0; p < pairCount; p++) {
+    order[bucketStarts[pairBuckets[p]]++] = p;
+  }
+  
+  // Union-find over segments, tracking the size of each set at its root
+  const parent = new Int32Array(count);
+  for (let i = 0; i < count; i++) {
+    parent[i] = i;
+  }
+  const find = (segment) => {
+    while (parent[segment] !== segment) {
+      parent[segment] = parent[parent[segment]]; // Path halving
+      segment = parent[segment];
+    }
+    return segment;
+  };
+  
+  for (let o = 0; o < pairCount; o++) {
+    const p = order[o];
+    let rootA = find(pairs[p * 2]);
+    let rootB = find(pairs[p * 2 + 1]);
+    if (rootA === rootB || (sizes[rootA] >= minSize && sizes[rootB] >= minSize)) continue;
+    
+    // Attach the smaller set below the larger one
+    if (sizes[rootA] < sizes[rootB]) {
+      [rootA, rootB] = [rootB, rootA];
+    }
+    parent[rootB] = rootA;
+    sizes[rootA] += sizes[rootB];
+  }
+  
+  // Renumber the merged segments in scan order
+  return renumberLabels(labels, count, find);
+};
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32), so the
+ * same seed always produces the same segmentation
+ * 
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Finds the index of the center closest to a color
+ * 
+ * @param {Float64Array} centers - Cluster centers as r, g, b triples
+ * @param {number} k - Number of centers
+ * @param {number} r - Red component
+ * @param {number} g - Green component
+ * @param {number} b - Blue component
+ * @returns {number} Index of the nearest center
+ */
+const findNearestCenter = (centers, k, r, g, b) => {
+  let nearest = 0;
+  let nearestDistance = Infinity;
+  for (let c = 0; c < k; c++) {
+    const dr = r - centers[c * 3];
+    const dg = g - centers[c * 3 + 1];
+    const db = b - centers[c * 3 + 2];
+    const distance = dr * dr + dg * dg + db * db;
+    if (distance < nearestDistance) {
+      nearestDistance = distance;
+      nearest = c;
+    }
+  }
+  return nearest;
+};
+
+// Pixels sampled to fit k-means; the final assignment covers every pixel
+const KMEANS_SAMPLE_SIZE = 20000;
+const KMEANS_MAX_ITERATIONS = 30;
+
+/**
+ * Clusters pixel colors with k-means (k-means++ initialization).
+ * Clusters are fitted on a random sample of pixels, then every pixel is
+ * assigned to its nearest cluster. Segments are color clusters, so one
+ * segment may cover several separate areas.
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} pixelCount - Number of pixels
+ * @param {number} k - Number of clusters
+ * @param {number} seed - Random seed for sampling and initialization
+ * @returns {Object} Labels and number of segments, as { labels, count }
+ */
+const labelKMeansClusters = (data, pixelCount, k, seed) => {
+  const random = createRandom(seed);
+  
+  // Sample colors to fit the clusters on
+  const sampleCount = Math.min(pixelCount, KMEANS_SAMPLE_SIZE);
+  const samples = new Float64Array(sampleCount * 3);
+  for (let s = 0; s < sampleCount; s++) {
+    const pixel = sampleCount === pixelCount ? s : Math.floor(random() * pixelCount);
+    samples[s * 3] = data[pixel * 4];
+    samples[s * 3 + 1] = data[pixel * 4 + 1];
+    samples[s * 3 + 2] = data[pixel * 4 + 2];
+  }
+  
+  // k-means++: each new center is picked with probability proportional to
+  // its squared distance from the nearest existing center
+  const centers = new Float64Array(k * 3);
+  const nearestDistances = new Float64Array(sampleCount).fill(Infinity);
+  let chosen = Math.floor(random() * sampleCount);
+  for (let c = 0; c < k; c++) {
+    centers.set(samples.subarray(chosen * 3, chosen * 3 + 3), c * 3);
+    
+    let total = 0;
+    for (let s = 0; s < sampleCount; s++) {
+      const dr = samples[s * 3] - centers[c * 3];
+      const dg = samples[s * 3 + 1] - centers[c * 3 + 1];
+      const db = samples[s * 3 + 2] - centers[c * 3 + 2];
+      nearestDistances[s] = Math.min(nearestDistances[s], dr * dr + dg * dg + db * db);
+      total += nearestDistances[s];
+    }
+    
+    let target = random() * total;
+    chosen = 0;
+    while (chosen < sampleCount - 1 && target >= nearestDistances[chosen]) {
+      target -= nearestDistances[chosen];
+      chosen++;
+    }
+  }
+  
+  // Lloyd iterations until the centers settle
+  const sums = new Float64Array(k * 3);
+  const counts = new Int32Array(k);
+  for (let iteration = 0; iteration < KMEANS_MAX_ITERATIONS; iteration++) {
+    sums.fill(0);
+    counts.fill(0);
+    for (let s = 0; s < sampleCount; s++) {
+      const c = findNearestCenter(centers, k, samples[s * 3], samples[s * 3 + 1], samples[s * 3 + 2]);
+      sums[c * 3] += samples[s * 3];
+      sums[c * 3 + 1] += samples[s * 3 + 1];
+      sums[c * 3 + 2] += samples[s * 3 + 2];
+      counts[c]++;
+    }
+    
+    let maxShift = 0;
+    for (let c = 0; c < k; c++) {
+      if (counts[c] === 0) continue; // Empty clusters keep their center
+      for (let channel = 0; channel < 3; channel++) {
+        const mean = sums[c * 3 + channel] / counts[c];
+        maxShift = Math.max(maxShift, Math.abs(mean - centers[c * 3 + channel]));
+        centers[c * 3 + channel] = mean;
       }
-      
-      // Get pixel color
-      const pixelIndex = index * 4;
-      const r = data[pixelIndex];
-      const g = data[pixelIndex + 1];
-      const b = data[pixelIndex + 2];
-      
-      // Start a new segment
-      floodFill(x, y, r, g, b);
     }
+    if (maxShift < 0.5) break;
   }
   
-  // Merge small segments with neighbors
-  const mergeMap = {};
-  for (let i = 0; i < currentSegment; i++) {
-    mergeMap[i] = i; // Initially, each segment points to itself
+  const labels = new Int32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    labels[i] = findNearestCenter(centers, k, data[i * 4], data[i * 4 + 1], data[i * 4 + 2]);
   }
   
-  // Find small segments and merge them
-  for (let i = 0; i < currentSegment; i++) {
-    if (segmentSizes[i] < minSize) {
-      // Find neighbors of this segment
-      const neighbors = new Set();
+  // Drop clusters no pixel ended up in
+  return renumberLabels(labels, k);
+};
+
+const SLIC_ITERATIONS = 10;
+
+/**
+ * Computes SLIC superpixels: cluster centers start on a grid and each
+ * pixel joins the nearest center within twice the grid spacing, measured
+ * by color and position together.
+ * Colors are scaled to 0-100 per channel so compactness behaves like in
+ * the usual CIELAB formulation (around 10 is balanced).
+ * 
+ * @param {Uint8ClampedArray} data - RGBA pixel data
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} regionSize - Grid spacing of the initial centers in pixels
+ * @param {number} compactness - Weight of position relative to color
+ * @returns {Int32Array} Superpixel label per pixel (may be disconnected)
+ */
+const labelSlicSuperpixels = (data, width, height, regionSize, compactness) => {
+  const pixelCount = width * height;
+  const step = Math.max(1, Math.round(regionSize));
+  const colorScale = 100 / 255;
+  const spatialWeight = (compactness * compactness) / (step * step);
+  
+  // Centers as r, g, b, x, y, starting at the middle of each grid cell
+  const columns = Math.max(1, Math.round(width / step));
+  const rows = Math.max(1, Math.round(height / step));
+  const centerCount = columns * rows;
+  const centers = new Float64Array(centerCount * 5);
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const c = row * columns + column;
+      const x = Math.min(width - 1, Math.floor((column + 0.5) * width / columns));
+      const y = Math.min(height - 1, Math.floor((row + 0.5) * height / rows));
+      const i = (y * width + x) * 4;
+      centers[c * 5] = data[i] * colorScale;
+      centers[c * 5 + 1] = data[i + 1] * colorScale;
+      centers[c * 5 + 2] = data[i + 2] * colorScale;
+      centers[c * 5 + 3] = x;
+      centers[c * 5 + 4] = y;
+    }
+  }
+  
+  const labels = new Int32Array(pixelCount).fill(-1);
+  const distances = new Float64Array(pixelCount);
+  const sums = new Float64Array(centerCount * 5);
+  const counts = new Int32Array(centerCount);
+  
+  for (let iteration = 0; iteration < SLIC_ITERATIONS; iteration++) {
+    distances.fill(Infinity);
+    
+    // Assignment: search a 2S x 2S window around each center
+    for (let c = 0; c < centerCount; c++) {
+      const cx = centers[c * 5 + 3];
+      const cy = centers[c * 5 + 4];
+      const x0 = Math.max(0, Math.floor(cx - step));
+      const x1 = Math.min(width - 1, Math.ceil(cx + step));
+      const y0 = Math.max(0, Math.floor(cy - step));
+      const y1 = Math.min(height - 1, Math.ceil(cy + step));
       
-      // Look for neighbors in the segment map
-      for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
+      for (let y = y0; y <= y1; y++) {
+        for (let x = x0; x <= x1; x++) {
           const index = y * width + x;
+          const dr = data[index * 4] * colorScale - centers[c * 5];
+          const dg = data[index * 4 + 1] * colorScale - centers[c * 5 + 1];
+          const db = data[index * 4 + 2] * colorScale - centers[c * 5 + 2];
+          const dx = x - cx;
+          const dy = y - cy;
+          const distance = dr * dr + dg * dg + db * db + (dx * dx + dy * dy) * spatialWeight;
           
-          if (segmentMap[index] === i) {
-            // Check neighboring pixels
-            const directions = [
-              [-1, 0], [1, 0], [0, -1], [0, 1]
-            ];
-            
-            for (let j = 0; j < directions.length; j++) {
-              const nx = x + directions[j][0];
-              const ny = y + directions[j][1];
-              
-              // Skip if out of bounds
-              if (nx < 0 || nx >= width || ny < 0 || ny >= height) {
-                continue;
-              }
-              
-              const neighborSegment = segmentMap[ny * width + nx];
-              if (neighborSegment !== i && neighborSegment !== -1) {
-                neighbors.add(mergeMap[neighborSegment]);
-              }
-            }
+          if (distance < distances[index]) {
+            distances[index] = distance;
+            labels[index] = c;
           }
         }
       }
-      
-      // Find closest neighbor by color
-      let bestNeighbor = -1;
-      let minColorDiff = Infinity;
-      
-      const neighborArray = Array.from(neighbors);
-      for (let j = 0; j < neighborArray.length; j++) {
-        const neighborSegment = neighborArray[j];
-        const colorDiff = Math.sqrt(
-          Math.pow(segmentColors[i].r - segmentColors[neighborSegment].r, 2) +
-          Math.pow(segmentColors[i].g - segmentColors[neighborSegment].g, 2) +
-          Math.pow(segmentColors[i].b - segmentColors[neighborSegment].b, 2)
-        );
-        
-        if (colorDiff < minColorDiff) {
-          minColorDiff = colorDiff;
-          bestNeighbor = neighborSegment;
-        }
+    }
+    
+    // Update: move each center to the mean of its pixels
+    sums.fill(0);
+    counts.fill(0);
+    for (let index = 0; index < pixelCount; index++) {
+      const c = labels[index];
+      if (c === -1) continue;
+      sums[c * 5] += data[index * 4] * colorScale;
+      sums[c * 5 + 1] += data[index * 4 + 1] * colorScale;
+      sums[c * 5 + 2] += data[index * 4 + 2] * colorScale;
+      sums[c * 5 + 3] += index % width;
+      sums[c * 5 + 4] += Math.floor(index / width);
+      counts[c]++;
+    }
+    for (let c = 0; c < centerCount; c++) {
+      if (counts[c] === 0) continue;
+      for (let f = 0; f < 5; f++) {
+        centers[c * 5 + f] = sums[c * 5 + f] / counts[c];
       }
-      
-      // Merge with best neighbor if found
-      if (bestNeighbor !== -1) {
-        mergeMap[i] = bestNeighbor;
+    }
+  }
+  
+  // Pixels no center reached join the pixel before them
+  for (let index = 0; index < pixelCount; index++) {
+    if (labels[index] === -1) {
+      labels[index] = index > 0 ? labels[index - 1] : 0;
+    }
+  }
+  
+  return labels;
+};
+
+/**
+ * Computes the gradient magnitude of an image's intensity, scaled so a
+ * full black-to-white step gives about 255
+ * 
+ * @param {ImageData} imageData - The source image
+ * @returns {Float32Array} Gradient magnitude per pixel
+ */
+const getGradientMagnitude = (imageData) => {
+  const { width, height } = imageData;
+  const pixelCount = width * height;
+  
+  // Light smoothing keeps noise from creating countless tiny basins
+  const grayscale = applyGrayscale(applyGaussianBlur(imageData, 1)).data;
+  const intensity = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    intensity[i] = grayscale[i * 4];
+  }
+  
+  const gradientX = convolve(intensity, width, height, [-1, 0, 1, -2, 0, 2, -1, 0, 1]);
+  const gradientY = convolve(intensity, width, height, [-1, -2, -1, 0, 0, 0, 1, 2, 1]);
+  const magnitude = new Float32Array(pixelCount);
+  for (let i = 0; i < pixelCount; i++) {
+    magnitude[i] = Math.sqrt(gradientX[i] * gradientX[i] + gradientY[i] * gradientY[i]) / 4;
+  }
+  return magnitude;
+};
+
+/**
+ * Marker-based watershed on the gradient image. Connected flat areas
+ * (gradient below markerLevel) become markers, which are then flooded in
+ * order of increasing gradient until every pixel belongs to a basin.
+ * Basins meet along the gradient ridges, i.e. the edges in the image.
+ * 
+ * @param {ImageData} imageData - The source image
+ * @param {number} markerLevel - Gradient strength below which pixels seed markers
+ * @returns {Object} Labels and number of segments, as { labels, count }
+ */
+const labelWatershedBasins = (imageData, markerLevel) => {
+  const { width, height } = imageData;
+  const pixelCount = width * height;
+  const gradient = getGradientMagnitude(imageData);
+  
+  // Markers: connected flat areas
+  const markers = labelConnectedRegions(width, height, (index, start) => (
+    gradient[index] < markerLevel && gradient[start] < markerLevel
+  ));
+  const labels = new Int32Array(pixelCount).fill(-1);
+  const isFlat = (index) => gradient[index] < markerLevel;
+  let count = 0;
+  const markerIds = new Int32Array(markers.count).fill(-1);
+  for (let i = 0; i < pixelCount; i++) {
+    if (isFlat(i)) {
+      const marker = markers.labels[i];
+      if (markerIds[marker] === -1) {
+        markerIds[marker] = count++;
       }
+      labels[i] = markerIds[marker];
+    }
+  }
+  
+  // Without any flat area, flood from the single lowest point
+  if (count === 0) {
+    let lowest = 0;
+    for (let i = 1; i < pixelCount; i++) {
+      if (gradient[i] < gradient[lowest]) lowest = i;
     }
+    labels[lowest] = 0;
+    count = 1;
   }
   
-  // Apply merge mapping (flatten merge chains)
-  for (let i = 0; i < currentSegment; i++) {
-    let target = i;
-    while (mergeMap[target] !== target) {
-      target = mergeMap[target];
+  // Hierarchical queue: one FIFO per integer gradient level
+  const levels = 256;
+  const queues = Array.from({ length: levels }, () => []);
+  const heads = new Int32Array(levels);
+  const levelOf = (index) => Math.min(levels - 1, Math.floor(gradient[index]));
+  for (let i = 0; i < pixelCount; i++) {
+    if (labels[i] !== -1) {
+      queues[levelOf(i)].push(i);
     }
-    mergeMap[i] = target;
   }
   
-  // Collect unique segments after merging
-  const uniqueSegments = new Set();
-  for (let i = 0; i < currentSegment; i++) {
-    uniqueSegments.add(mergeMap[i]);
+  // Each pixel takes the label of the neighbor that reached it first;
+  // it is queued no lower than the level being flooded
+  let level = 0;
+  const reach = (index, label) => {
+    if (labels[index] !== -1) return;
+    labels[index] = label;
+    queues[Math.max(level, levelOf(index))].push(index);
+  };
+  
+  for (level = 0; level < levels; level++) {
+    const queue = queues[level];
+    while (heads[level] < queue.length) {
+      const index = queue[heads[level]++];
+      const label = labels[index];
+      const x = index % width;
+      
+      if (x > 0) reach(index - 1, label);
+      if (x < width - 1) reach(index + 1, label);
+      if (index >= width) reach(index - width, label);
+      if (index < pixelCount - width) reach(index + width, label);
+    }
+    queues[level] = null; // Release the memory of finished levels
   }
-  const segmentList = Array.from(uniqueSegments);
   
-  // Generate distinct colors for each segment
-  const colors = assignColorsToSegments(segmentList, segmentColors, colorScheme);
+  return { labels, count };
+};
+
+/**
+ * Segments an image into labeled regions
+ * 
+ * Methods:
+ *  - 'floodFill': regions within tolerance of their first pixel
+ *  - 'kmeans': k color clusters
+ *  - 'slic': SLIC superpixels
+ *  - 'watershed': marker-based watershed on the gradient image
+ * Except for k-means, segments smaller than minSize are merged into their
+ * most similar neighbor.
+ * 
+ * @param {ImageData} imageData - The image data to segment
+ * @param {Object} options - Segmentation settings
+ * @param {string} [options.method] - One of the methods above
+ * @param {number} [options.tolerance] - Color tolerance for flood fill,
+ *                                       in units of the metric
+ * @param {string} [options.metric] - One of COLOR_METRICS, used by flood
+ *                                    fill and when merging small segments
+ * @param {number} [options.minSize] - Minimum segment size in pixels
+ * @param {number} [options.k] - Number of k-means clusters
+ * @param {number} [options.seed] - Random seed for k-means
+ * @param {number} [options.regionSize] - SLIC grid spacing in pixels
+ * @param {number} [options.compactness] - SLIC weight of position vs. color
+ * @param {number} [options.markerLevel] - Watershed marker gradient level
+ * @returns {Object} Segment label per pixel, numbered 0..count-1, as { labels, count }
+ */
+export const segmentImage = (imageData, options) => {
+  const {
+    method = 'floodFill',
+    tolerance = 20,
+    metric = 'rgb',
+    minSize = 100,
+    k = 8,
+    seed = 1,
+    regionSize = 20,
+    compactness = 10,
+    markerLevel = 10
+  } = options;
+  const { width, height, data } = imageData;
+  
+  let regions;
+  switch (method) {
+    case 'kmeans':
+      return labelKMeansClusters(data, width * height, k, seed);
+    case 'slic':
+      regions = splitDisconnectedSegments(
+        labelSlicSuperpixels(data, width, height, regionSize, compactness),
+        width,
+        height
+      );
+      break;
+    case 'watershed':
+      regions = labelWatershedBasins(imageData, markerLevel);
+      break;
+    case 'floodFill':
+      regions = labelColorRegions(data, width, height, tolerance, metric);
+      break;
+    default:
+      throw new Error(`Unknown segmentation method "${method}"`);
+  }
   
-  // Apply colors to the result image
+  return mergeSmallSegments(regions.labels, regions.count, data, width, height, minSize, metric);
+};
+
+/**
+ * Paints every pixel with the color its segment gets from the color scheme
+ * 
+ * @param {ImageData} imageData - The source image
+ * @param {Int32Array} labels - Segment label per pixel, numbered 0..count-1
+ * @param {number} count - Number of segments
+ * @param {string} colorScheme - Coloring method to use for segments
+ * @param {Array} [palette] - Colors as '#rrggbb' for the 'custom' scheme
+ * @returns {ImageData} The image with colored segments
+ */
+const colorizeSegments = (imageData, labels, count, colorScheme, palette) => {
+  const { sizes, sums } = sumSegments(labels, count, imageData.data);
+  
+  // Mean color of each segment
+  const segmentList = [];
+  const segmentColors = [];
+  for (let segment = 0; segment < count; segment++) {
+    segmentList.push(segment);
+    segmentColors.push({
+      r: Math.round(sums[segment * 3] / sizes[segment]),
+      g: Math.round(sums[segment * 3 + 1] / sizes[segment]),
+      b: Math.round(sums[segment * 3 + 2] / sizes[segment])
+    });
+  }
+  
+  const colors = assignColorsToSegments(segmentList, segmentColors, sizes, colorScheme, palette);
+  
+  // Flatten the color map for the per-pixel loop
+  const colorTable = new Uint8Array(count * 3);
+  for (let segment = 0; segment < count; segment++) {
+    colorTable[segment * 3] = colors[segment].r;
+    colorTable[segment * 3 + 1] = colors[segment].g;
+    colorTable[segment * 3 + 2] = colors[segment].b;
+  }
+  
+  const resultData = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < labels.length; i++) {
+    const segment = labels[i];
+    resultData[i * 4] = colorTable[segment * 3];
+    resultData[i * 4 + 1] = colorTable[segment * 3 + 1];
+    resultData[i * 4 + 2] = colorTable[segment * 3 + 2];
+  }
+  
+  return new ImageData(resultData, imageData.width, imageData.height);
+};
+
+/**
+ * Marks the pixels on segment boundaries. A pixel is a boundary pixel when
+ * its right or lower neighbor belongs to another segment, giving 1 pixel
+ * lines; wider lines grow that mask with a square window.
+ * 
+ * @param {Int32Array} labels - Segment label per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} lineWidth - Line width in pixels
+ * @returns {Uint8Array} 1 for boundary pixels, 0 elsewhere
+ */
+const markBoundaries = (labels, width, height, lineWidth) => {
+  let mask = new Uint8Array(width * height);
   for (let y = 0; y < height; y++) {
     for (let x = 0; x < width; x++) {
-      const index = y * width + x;
-      const pixelSegment = segmentMap[index];
-      
-      if (pixelSegment !== -1) {
-        const mergedSegment = mergeMap[pixelSegment];
-        const color = colors[mergedSegment];
-        
-        if (color) {
-          const pixelIndex = index * 4;
-          resultData[pixelIndex] = color.r;
-          resultData[pixelIndex + 1] = color.g;
-          resultData[pixelIndex + 2] = color.b;
-        }
+      const i = y * width + x;
+      if ((x < width - 1 && labels[i + 1] !== labels[i]) ||
+          (y < height - 1 && labels[i + width] !== labels[i])) {
+        mask[i] = 1;
       }
     }
   }
   
+  if (lineWidth <= 1) {
+    return mask;
+  }
+  
+  // Lines extend `before` pixels left/up and `after` pixels right/down of
+  // the marked pixels, so pixel i is on a line if [i - after, i + before]
+  // holds a marked pixel
+  const before = Math.floor((lineWidth - 1) / 2);
+  const after = lineWidth - 1 - before;
+  
+  // Grow along rows, then columns, counting marked pixels in the window
+  [false, true].forEach(vertical => {
+    const grown = new Uint8Array(width * height);
+    const length = vertical ? height : width;
+    const lines = vertical ? width : height;
+    const step = vertical ? width : 1;
+    
+    for (let line = 0; line < lines; line++) {
+      const base = vertical ? line : line * width;
+      let inWindow = 0;
+      for (let k = 0; k < Math.min(length, before); k++) {
+        inWindow += mask[base + k * step];
+      }
+      for (let i = 0; i < length; i++) {
+        if (i + before < length) inWindow += mask[base + (i + before) * step];
+        if (i - after - 1 >= 0) inWindow -= mask[base + (i - after - 1) * step];
+        grown[base + i * step] = inWindow > 0 ? 1 : 0;
+      }
+    }
+    mask = grown;
+  });
+  
+  return mask;
+};
+
+/**
+ * Draws segment boundaries over an image
+ * 
+ * @param {ImageData} imageData - The image to draw on
+ * @param {Int32Array} labels - Segment label per pixel
+ * @param {string} color - Line color as '#rrggbb'
+ * @param {number} lineWidth - Line width in pixels
+ * @returns {ImageData} A copy of the image with the boundaries drawn
+ */
+const drawBoundaries = (imageData, labels, color, lineWidth) => {
+  const { width, height } = imageData;
+  const mask = markBoundaries(labels, width, height, lineWidth);
+  const [r, g, b] = hexToRgb(color);
+  
+  const resultData = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) {
+      resultData[i * 4] = r;
+      resultData[i * 4 + 1] = g;
+      resultData[i * 4 + 2] = b;
+    }
+  }
+  
   return new ImageData(resultData, width, height);
 };
 
+/**
+ * Performs image segmentation
+ * Identifies regions with one of the segmentImage methods and applies
+ * distinct colors to each segment, draws their boundaries, or both
+ * 
+ * Outputs:
+ *  - 'fill': segments painted with the color scheme
+ *  - 'fillOutlines': painted segments with their boundaries drawn
+ *  - 'outlines': boundaries drawn over the original image
+ * 
+ * @param {ImageData} imageData - The image data to process
+ * @param {Object} options - Settings for segmentImage, plus:
+ * @param {string} options.colorScheme - Coloring method to use for segments
+ * @param {Array} [options.palette] - Colors as '#rrggbb' for the 'custom' scheme
+ * @param {string} [options.output] - One of the outputs above
+ * @param {string} [options.outlineColor] - Boundary color as '#rrggbb'
+ * @param {number} [options.outlineWidth] - Boundary width in pixels
+ * @returns {ImageData} The processed image data
+ */
+export const applySegmentation = (imageData, options) => {
+  const { output = 'fill', outlineColor = '#ffffff', outlineWidth = 1 } = options;
+  const { labels, count } = segmentImage(imageData, options);
+  
+  const base = output === 'outlines'
+    ? imageData
+    : colorizeSegments(imageData, labels, count, options.colorScheme, options.palette);
+  
+  return output === 'fill'
+    ? base
+    : drawBoundaries(base, labels, outlineColor, outlineWidth);
+};
+
+/**
+ * Summarizes each segment of a label map, e.g. for export to other tools
+ * 
+ * @param {ImageData} imageData - The segmented image
+ * @param {Int32Array} labels - Segment label per pixel, numbered 0..count-1
+ * @param {number} count - Number of segments
+ * @returns {Array} Per segment, in id order: { id, pixelCount,
+ *                  meanColor: { r, g, b }, bbox: { x, y, width, height },
+ *                  centroid: { x, y } }
+ */
+export const summarizeSegments = (imageData, labels, count) => {
+  const { width } = imageData;
+  const { sizes, sums } = sumSegments(labels, count, imageData.data);
+  
+  const minX = new Int32Array(count).fill(width);
+  const minY = new Int32Array(count).fill(imageData.height);
+  const maxX = new Int32Array(count).fill(-1);
+  const maxY = new Int32Array(count).fill(-1);
+  const sumX = new Float64Array(count);
+  const sumY = new Float64Array(count);
+  
+  for (let i = 0; i < labels.length; i++) {
+    const label = labels[i];
+    const x = i % width;
+    const y = (i - x) / width;
+    if (x < minX[label]) minX[label] = x;
+    if (x > maxX[label]) maxX[label] = x;
+    if (y < minY[label]) minY[label] = y;
+    if (y > maxY[label]) maxY[label] = y;
+    sumX[label] += x;
+    sumY[label] += y;
+  }
+  
+  const summary = [];
+  for (let id = 0; id < count; id++) {
+    const size = sizes[id];
+    summary.push({
+      id,
+      pixelCount: size,
+      meanColor: {
+        r: Math.round(sums[id * 3] / size),
+        g: Math.round(sums[id * 3 + 1] / size),
+        b: Math.round(sums[id * 3 + 2] / size)
+      },
+      bbox: {
+        x: minX[id],
+        y: minY[id],
+        width: maxX[id] - minX[id] + 1,
+        height: maxY[id] - minY[id] + 1
+      },
+      // Pixel centers, rounded to hundredths
+      centroid: {
+        x: Math.round((sumX[id] / size) * 100) / 100,
+        y: Math.round((sumY[id] / size) * 100) / 100
+      }
+    });
+  }
+  
+  return summary;
+};
+
+/**
+ * Assigns colors to segments by cycling through a palette
+ * 
+ * @param {Array} segmentList - List of segment IDs
+ * @param {Array} palette - Colors as '#rrggbb'
+ * @returns {Object} Map of segment IDs to color objects
+ */
+const cyclePalette = (segmentList, palette) => {
+  const rgbPalette = palette.map(hexToRgb);
+  const colors = {};
+  for (let i = 0; i < segmentList.length; i++) {
+    const [r, g, b] = rgbPalette[i % rgbPalette.length];
+    colors[segmentList[i]] = { r, g, b };
+  }
+  return colors;
+};
+
 /**
  * Assigns colors to segments based on the specified color scheme
  * 
  * @param {Array} segmentList - List of segment IDs
  * @param {Object} segmentColors - Map of segment colors
+ * @param {ArrayLike<number>} segmentSizes - Pixel count per segment ID
  * @param {string} colorScheme - Color scheme to use
+ * @param {Array} [palette] - Colors as '#rrggbb' for the 'custom' scheme
  * @returns {Object} Map of segment IDs to color objects
  */
-const assignColorsToSegments = (segmentList, segmentColors, colorScheme) => {
+const assignColorsToSegments = (segmentList, segmentColors, segmentSizes, colorScheme, palette) => {
   const colors = {};
   
   switch (colorScheme) {
@@ -300,6 +1074,44 @@ const assignColorsToSegments = (segmentList, segmentColors, colorScheme) => {
       }
       break;
       
+    case 'meanColor':
+      // Posterizes the image: each segment keeps its average color
+      for (let i = 0; i < segmentList.length; i++) {
+        const segment = segmentList[i];
+        colors[segment] = { ...segmentColors[segment] };
+      }
+      break;
+      
+    case 'colorblindSafe':
+      return cyclePalette(segmentList, COLORBLIND_SAFE_PALETTE);
+      
+    case 'custom':
+      if (!palette || palette.length === 0) {
+        throw new Error('The custom color scheme needs a palette');
+      }
+      return cyclePalette(segmentList, palette);
+      
+    case 'viridis':
+    case 'magma': {
+      // Sizes span orders of magnitude, so they are mapped on a log scale;
+      // the largest segments get the bright end of the colormap
+      let minLog = Infinity;
+      let maxLog = -Infinity;
+      for (let i = 0; i < segmentList.length; i++) {
+        const sizeLog = Math.log(segmentSizes[segmentList[i]]);
+        minLog = Math.min(minLog, sizeLog);
+        maxLog = Math.max(maxLog, sizeLog);
+      }
+      
+      for (let i = 0; i < segmentList.length; i++) {
+        const segment = segmentList[i];
+        const t = maxLog > minLog ? (Math.log(segmentSizes[segment]) - minLog) / (maxLog - minLog) : 1;
+        const rgb = sampleColormap(colorScheme, t);
+        colors[segment] = { r: rgb[0], g: rgb[1], b: rgb[2] };
+      }
+      break;
+    }
+      
     default:
       // Default to rainbow
       for (let i = 0; i < segmentList.length; i++) {
@@ -0,0 +1,178 @@
+import { applySegmentation, segmentImage, summarizeSegments } from './segmentation';
+import { createImage } from '../testing/images';
+
+const pixelColor = (imageData, x, y) => {
+  const i = (y * imageData.width + x) * 4;
+  return Array.from(imageData.data.slice(i, i + 3));
+};
+
+const countColors = (imageData) => {
+  const colors = new Set();
+  for (let i = 0; i < imageData.data.length; i += 4) {
+    colors.add((imageData.data[i] << 16) | (imageData.data[i + 1] << 8) | imageData.data[i + 2]);
+  }
+  return colors.size;
+};
+
+test('regions of similar color become one segment each', () => {
+  const image = createImage(20, 10, (x) => (x < 10 ? [200, 30, 30] : [30, 30, 200]));
+  const result = applySegmentation(image, { tolerance: 20, minSize: 10, colorScheme: 'rainbow' });
+
+  expect(countColors(result)).toBe(2);
+  expect(pixelColor(result, 0, 0)).toEqual(pixelColor(result, 9, 9));
+  expect(pixelColor(result, 0, 0)).not.toEqual(pixelColor(result, 10, 0));
+});
+
+test('small segments merge into their most similar neighbor', () => {
+  // Left and right halves, with a 2x2 speckle on their border that is
+  // closer in color to the right half
+  const image = createImage(20, 10, (x, y) => {
+    if (x >= 9 && x < 11 && y >= 4 && y < 6) return [60, 60, 220];
+    return x < 10 ? [200, 30, 30] : [30, 30, 200];
+  });
+  const result = applySegmentation(image, { tolerance: 20, minSize: 10, colorScheme: 'rainbow' });
+
+  expect(countColors(result)).toBe(2);
+  expect(pixelColor(result, 9, 4)).toEqual(pixelColor(result, 15, 0));
+});
+
+test('segmenting a multi-megapixel photo-like image stays fast', () => {
+  const width = 2000;
+  const height = 1500;
+  let seed = 1;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return seed / 0x7fffffff;
+  };
+  // Gradients with blocks and noise, which produces many small regions
+  const image = createImage(width, height, (x, y) => [
+    (((x >> 6) + (y >> 6) * 7) % 5) * 50 + random() * 30,
+    (x / width) * 200 + random() * 30,
+    (y / height) * 200 + random() * 30
+  ]);
+
+  const start = Date.now();
+  const result = applySegmentation(image, { tolerance: 20, minSize: 100, colorScheme: 'rainbow' });
+  const elapsed = Date.now() - start;
+
+  expect(result.width).toBe(width);
+  expect(countColors(result)).toBeGreaterThan(1);
+  expect(elapsed).toBeLessThan(30000);
+}, 60000);
+
+test('k-means, SLIC and watershed label every pixel', () => {
+  // Four flat quadrants
+  const image = createImage(40, 40, (x, y) => [x < 20 ? 220 : 20, y < 20 ? 220 : 20, 120]);
+
+  const kmeans = segmentImage(image, { method: 'kmeans', k: 4, seed: 3 });
+  expect(kmeans.count).toBe(4);
+
+  const slic = segmentImage(image, { method: 'slic', regionSize: 10, compactness: 10, minSize: 20 });
+  expect(slic.count).toBeGreaterThanOrEqual(4);
+
+  const watershed = segmentImage(image, { method: 'watershed', markerLevel: 10, minSize: 20 });
+  expect(watershed.count).toBe(4);
+
+  [kmeans, slic, watershed].forEach(({ labels, count }) => {
+    expect(labels.every(label => label >= 0 && label < count)).toBe(true);
+  });
+  // Segments never cross the quadrant borders
+  [kmeans, watershed].forEach(({ labels }) => {
+    expect(labels[0]).not.toBe(labels[39]);
+    expect(labels[0]).not.toBe(labels[39 * 40]);
+    expect(labels[0]).toBe(labels[19 * 40 + 19]);
+  });
+});
+
+test('k-means is reproducible for a given seed', () => {
+  let seed = 7;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+    return (seed >> 8) & 255;
+  };
+  const image = createImage(30, 30, () => [random(), random(), random()]);
+
+  const first = segmentImage(image, { method: 'kmeans', k: 6, seed: 5 });
+  const second = segmentImage(image, { method: 'kmeans', k: 6, seed: 5 });
+  expect(Array.from(first.labels)).toEqual(Array.from(second.labels));
+});
+
+test('outlines are drawn along segment boundaries with the chosen width', () => {
+  // Left and right halves
+  const image = createImage(20, 10, (x) => (x < 10 ? [200, 40, 40] : [40, 40, 200]));
+
+  const thin = applySegmentation(image, { minSize: 10, output: 'outlines', outlineColor: '#00ff00' });
+  expect(pixelColor(thin, 9, 5)).toEqual([0, 255, 0]);
+  expect(pixelColor(thin, 10, 5)).toEqual([40, 40, 200]);
+  expect(pixelColor(thin, 8, 5)).toEqual([200, 40, 40]);
+
+  const wide = applySegmentation(image, {
+    minSize: 10,
+    output: 'fillOutlines',
+    colorScheme: 'grayscale',
+    outlineColor: '#00ff00',
+    outlineWidth: 4
+  });
+  [8, 9, 10, 11].forEach(x => expect(pixelColor(wide, x, 5)).toEqual([0, 255, 0]));
+  expect(pixelColor(wide, 7, 5)).not.toEqual([0, 255, 0]);
+  expect(pixelColor(wide, 12, 5)).not.toEqual([0, 255, 0]);
+});
+
+test('summarizeSegments reports size, mean color, bounding box and centroid', () => {
+  // A 4x3 block in the top-left corner of a 10x10 image
+  const image = createImage(10, 10, (x, y) => (x < 4 && y < 3 ? [250, 0, 0] : [0, 0, 250]));
+  const { labels, count } = segmentImage(image, { minSize: 1 });
+  const summary = summarizeSegments(image, labels, count);
+
+  expect(summary.map(segment => segment.id)).toEqual([0, 1]);
+  expect(summary[0]).toEqual({
+    id: 0,
+    pixelCount: 12,
+    meanColor: { r: 250, g: 0, b: 0 },
+    bbox: { x: 0, y: 0, width: 4, height: 3 },
+    centroid: { x: 1.5, y: 1 }
+  });
+  expect(summary[1].pixelCount).toBe(88);
+  expect(summary[1].bbox).toEqual({ x: 0, y: 0, width: 10, height: 10 });
+});
+
+test('mean color, palette and size-based color schemes', () => {
+  // A small red square inside a large blue area
+  const image = createImage(20, 20, (x, y) => (x < 5 && y < 5 ? [200, 30, 30] : [30, 30, 200]));
+  const options = { minSize: 1 };
+
+  const posterized = applySegmentation(image, { ...options, colorScheme: 'meanColor' });
+  expect(pixelColor(posterized, 0, 0)).toEqual([200, 30, 30]);
+  expect(pixelColor(posterized, 19, 19)).toEqual([30, 30, 200]);
+
+  const custom = applySegmentation(image, { ...options, colorScheme: 'custom', palette: ['#010203', '#040506'] });
+  expect(pixelColor(custom, 0, 0)).toEqual([1, 2, 3]);
+  expect(pixelColor(custom, 19, 19)).toEqual([4, 5, 6]);
+  expect(() => applySegmentation(image, { ...options, colorScheme: 'custom' })).toThrow(/palette/);
+
+  // The larger segment gets the bright end of the colormap
+  const viridis = applySegmentation(image, { ...options, colorScheme: 'viridis' });
+  expect(pixelColor(viridis, 0, 0)).toEqual([0x44, 0x01, 0x54]);
+  expect(pixelColor(viridis, 19, 19)).toEqual([0xfd, 0xe7, 0x25]);
+
+  const colorblindSafe = applySegmentation(image, { ...options, colorScheme: 'colorblindSafe' });
+  expect(pixelColor(colorblindSafe, 0, 0)).toEqual([0xe6, 0x9f, 0x00]);
+});
+
+test('perceptual metrics separate what the eye separates', () => {
+  // Black next to a dark blue is easy to see; near-white next to white is
+  // not, although their RGB distances suggest the opposite
+  const dark = createImage(20, 10, (x) => (x < 10 ? [0, 0, 0] : [0, 0, 25]));
+  const light = createImage(20, 10, (x) => (x < 10 ? [230, 230, 230] : [255, 255, 255]));
+
+  const rgb = { tolerance: 30, metric: 'rgb', minSize: 1 };
+  expect(segmentImage(dark, rgb).count).toBe(1);
+  expect(segmentImage(light, rgb).count).toBe(2);
+
+  const ciede2000 = { tolerance: 8, metric: 'ciede2000', minSize: 1 };
+  expect(segmentImage(dark, ciede2000).count).toBe(2);
+  expect(segmentImage(light, ciede2000).count).toBe(1);
+
+  expect(segmentImage(dark, { tolerance: 10, metric: 'cie76', minSize: 1 }).count).toBe(2);
+  expect(() => segmentImage(dark, { metric: 'hsv' })).toThrow(/Unknown color metric/);
+});
@@ -0,0 +1,222 @@
+import { applyGrayscale } from './basicTransforms';
+import { applyGaussianBlur } from './blurFilters';
+
+/**
+ * Automatic and adaptive thresholding.
+ *
+ * Otsu picks one global threshold from the histogram. The adaptive methods
+ * compare each pixel with a threshold computed from its neighborhood, which
+ * copes with uneven lighting such as shadows on scanned documents:
+ *  - 'mean': local mean minus an offset C
+ *  - 'gaussian': Gaussian-weighted local mean minus an offset C
+ *  - 'sauvola': m * (1 + k * (s / R - 1)), with local mean m and standard
+ *    deviation s
+ *  - 'niblack': m + k * s
+ * Local statistics come from integral images (summed-area tables), so the
+ * cost does not depend on the block size. Pixels below their threshold turn
+ * black and the rest white, like the manual threshold; alpha is unchanged.
+ */
+
+export const ADAPTIVE_THRESHOLD_METHODS = ['mean', 'gaussian', 'sauvola', 'niblack'];
+
+// Dynamic range R of the standard deviation in Sauvola's formula
+const SAUVOLA_RANGE = 128;
+
+/**
+ * Reads the grayscale value of every pixel, weighted like applyGrayscale
+ *
+ * @param {ImageData} imageData - The image to read
+ * @returns {Uint8Array} One value per pixel
+ */
+const getGrayValues = (imageData) => {
+  const gray = applyGrayscale(imageData).data;
+  const values = new Uint8Array(gray.length / 4);
+  for (let i = 0; i < values.length; i++) {
+    values[i] = gray[i * 4];
+  }
+  return values;
+};
+
+/**
+ * Computes Otsu's threshold: the value that best separates the histogram
+ * into two classes, by maximizing the variance between them
+ *
+ * @param {ImageData} imageData - The image to analyze
+ * @returns {number} Threshold (0-255); pixels below it belong to the dark class
+ */
+export const computeOtsuThreshold = (imageData) => {
+  const gray = getGrayValues(imageData);
+  const histogram = new Uint32Array(256);
+  let total = 0;
+  for (let i = 0; i < gray.length; i++) {
+    histogram[gray[i]]++;
+    total += gray[i];
+  }
+
+  let bestThreshold = 0;
+  let bestVariance = -1;
+  let darkCount = 0;
+  let darkSum = 0;
+
+  // Splitting at t puts values 0..t-1 in the dark class
+  for (let t = 1; t < 256; t++) {
+    darkCount += histogram[t - 1];
+    darkSum += (t - 1) * histogram[t - 1];
+    const lightCount = gray.length - darkCount;
+    if (darkCount === 0) continue;
+    if (lightCount === 0) break;
+
+    const meanDifference = darkSum / darkCount - (total - darkSum) / lightCount;
+    const variance = darkCount * lightCount * meanDifference * meanDifference;
+    if (variance > bestVariance) {
+      bestVariance = variance;
+      bestThreshold = t;
+    }
+  }
+
+  return bestThreshold;
+};
+
+/**
+ * Builds integral images of the values and their squares, with an extra
+ * leading row and column of zeros
+ *
+ * @param {Uint8Array} values - One value per pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Object} Tables as { sums, squares: Float64Array }
+ */
+const buildIntegralImages = (values, width, height) => {
+  const stride = width + 1;
+  const sums = new Float64Array(stride * (height + 1));
+  const squares = new Float64Array(stride * (height + 1));
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < width; x++) {
+      const value = values[y * width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      const i = (y + 1) * stride + x + 1;
+      sums[i] = sums[i - stride] + rowSum;
+      squares[i] = squares[i - stride] + rowSquares;
+    }
+  }
+
+  return { sums, squares };
+};
+
+/**
+ * Computes the threshold of every pixel from the statistics of the block
+ * around it. Blocks are cropped at the image border.
+ *
+ * @param {Uint8Array} gray - Grayscale values
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {number} radius - Half the block size
+ * @param {Function} getThreshold - Called as (mean, stdDev) for each pixel
+ * @returns {Float32Array} Threshold per pixel
+ */
+const computeLocalThresholds = (gray, width, height, radius, getThreshold) => {
+  const { sums, squares } = buildIntegralImages(gray, width, height);
+  const stride = width + 1;
+  const thresholds = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.max(0, y - radius) * stride;
+    const bottom = Math.min(height, y + radius + 1) * stride;
+    const rows = (bottom - top) / stride;
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - radius);
+      const right = Math.min(width, x + radius + 1);
+      const count = rows * (right - left);
+
+      const sum = sums[bottom + right] - sums[bottom + left] - sums[top + right] + sums[top + left];
+      const sumSquares = squares[bottom + right] - squares[bottom + left] -
+        squares[top + right] + squares[top + left];
+      const mean = sum / count;
+      // Rounding can push the variance of flat blocks slightly below 0
+      const stdDev = Math.sqrt(Math.max(0, sumSquares / count - mean * mean));
+      thresholds[y * width + x] = getThreshold(mean, stdDev);
+    }
+  }
+
+  return thresholds;
+};
+
+/**
+ * Computes the Gaussian-weighted local mean of every pixel, minus an offset
+ *
+ * @param {ImageData} imageData - The image to process
+ * @param {number} blockSize - Odd block size the Gaussian is fitted to
+ * @param {number} offset - Subtracted from the weighted mean
+ * @returns {Float32Array} Threshold per pixel
+ */
+const computeGaussianThresholds = (imageData, blockSize, offset) => {
+  // Same block-size-to-sigma rule as OpenCV's adaptiveThreshold
+  const sigma = 0.3 * ((blockSize - 1) * 0.5 - 1) + 0.8;
+  const blurred = applyGaussianBlur(applyGrayscale(imageData), sigma).data;
+  const thresholds = new Float32Array(blurred.length / 4);
+  for (let i = 0; i < thresholds.length; i++) {
+    thresholds[i] = blurred[i * 4] - offset;
+  }
+  return thresholds;
+};
+
+/**
+ * Binarizes an image with a threshold that adapts to each pixel's
+ * neighborhood
+ *
+ * @param {ImageData} imageData - The image data to process
+ * @param {Object} options - Threshold settings
+ * @param {string} options.method - One of ADAPTIVE_THRESHOLD_METHODS
+ * @param {number} options.blockSize - Odd width and height of the neighborhood
+ * @param {number} [options.offset] - C, subtracted from the mean ('mean' and
+ *                                    'gaussian')
+ * @param {number} [options.k] - Weight of the standard deviation ('sauvola'
+ *                               and 'niblack')
+ * @returns {ImageData} Black and white image data
+ */
+export const applyAdaptiveThreshold = (imageData, options) => {
+  const { method, blockSize, offset = 0, k = 0 } = options;
+  if (!(blockSize >= 3 && blockSize % 2 === 1)) {
+    throw new Error(`Block size must be an odd number of at least 3 (got ${blockSize})`);
+  }
+
+  const { width, height } = imageData;
+  const radius = (blockSize - 1) / 2;
+  const gray = getGrayValues(imageData);
+  let thresholds;
+
+  switch (method) {
+    case 'mean':
+      thresholds = computeLocalThresholds(gray, width, height, radius, (mean) => mean - offset);
+      break;
+    case 'gaussian':
+      thresholds = computeGaussianThresholds(imageData, blockSize, offset);
+      break;
+    case 'sauvola':
+      thresholds = computeLocalThresholds(gray, width, height, radius,
+        (mean, stdDev) => mean * (1 + k * (stdDev / SAUVOLA_RANGE - 1)));
+      break;
+    case 'niblack':
+      thresholds = computeLocalThresholds(gray, width, height, radius,
+        (mean, stdDev) => mean + k * stdDev);
+      break;
+    default:
+      throw new Error(`Unknown adaptive threshold method "${method}"`);
+  }
+
+  const resultData = new Uint8ClampedArray(imageData.data);
+  for (let i = 0; i < gray.length; i++) {
+    const value = gray[i] < thresholds[i] ? 0 : 255;
+    resultData[i * 4] = value;
+    resultData[i * 4 + 1] = value;
+    resultData[i * 4 + 2] = value;
+    // Alpha channel remains unchanged
+  }
+
+  return new ImageData(resultData, width, height);
+};
@@ -0,0 +1,50 @@
+import { applyAdaptiveThreshold, computeOtsuThreshold } from './thresholding';
+import { createImage } from '../testing/images';
+
+// Dark 2x2 "text" dots every 8 pixels on a background lit from the left
+const isText = (x, y) => x % 8 < 2 && y % 8 < 2;
+const unevenPage = createImage(64, 16, (x, y) => {
+  const background = 90 + x * 2.5;
+  return isText(x, y) ? background - 60 : background;
+}, 200);
+
+const expectTextFound = (result) => {
+  for (let y = 0; y < 16; y++) {
+    for (let x = 0; x < 64; x++) {
+      const i = (y * 64 + x) * 4;
+      expect([x, y, result.data[i]]).toEqual([x, y, isText(x, y) ? 0 : 255]);
+    }
+  }
+};
+
+test('computeOtsuThreshold separates the two modes of the histogram', () => {
+  const image = createImage(10, 10, (x) => (x < 3 ? 40 : 200));
+  const threshold = computeOtsuThreshold(image);
+  expect(threshold).toBeGreaterThan(40);
+  expect(threshold).toBeLessThanOrEqual(200);
+
+  expect(computeOtsuThreshold(createImage(4, 4, () => 77))).toBe(0);
+});
+
+test('adaptive methods find text under uneven lighting', () => {
+  // No global threshold separates dark text on the left from the lit background
+  expectTextFound(applyAdaptiveThreshold(unevenPage, { method: 'mean', blockSize: 7, offset: 10 }));
+  expectTextFound(applyAdaptiveThreshold(unevenPage, { method: 'gaussian', blockSize: 7, offset: 10 }));
+  expectTextFound(applyAdaptiveThreshold(unevenPage, { method: 'sauvola', blockSize: 15, k: 0.2 }));
+});
+
+test('niblack finds text and leaves flat background white', () => {
+  // Niblack turns gradients without text dark, so the page is evenly lit here
+  const evenPage = createImage(64, 16, (x, y) => (isText(x, y) ? 120 : 180));
+  expectTextFound(applyAdaptiveThreshold(evenPage, { method: 'niblack', blockSize: 7, k: -0.2 }));
+});
+
+test('applyAdaptiveThreshold keeps alpha and rejects invalid settings', () => {
+  const result = applyAdaptiveThreshold(unevenPage, { method: 'mean', blockSize: 3, offset: 0 });
+  expect(result.data[3]).toBe(200);
+
+  expect(() => applyAdaptiveThreshold(unevenPage, { method: 'mean', blockSize: 4 }))
+    .toThrow('Block size must be an odd number');
+  expect(() => applyAdaptiveThreshold(unevenPage, { method: 'bernsen', blockSize: 5 }))
+    .toThrow('Unknown adaptive threshold method');
+});
@@ -108,7 +108,8 @@ export const hsvToRgb = (h, s, v) => {
 	  h = (r - g) / delta + 4;
 	}
 	
-	h = Math.round(h * 60);
+	// Hue stays fractional so adjustments don't band smooth gradients
+	h *= 60;
 	if (h < 0) h += 360;
 	
 	// Calculate saturation
@@ -120,6 +121,54 @@ export const hsvToRgb = (h, s, v) => {
 	return [h, s, v];
   };
   
+  /**
+   * Converts an sRGB channel value to linear light
+   * 
+   * @param {number} value - Channel value (0-255)
+   * @returns {number} Linear intensity (0-1)
+   */
+  export const srgbToLinear = (value) => {
+	const c = value / 255;
+	return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  
+  /**
+   * Converts a linear light intensity back to an sRGB channel value
+   * 
+   * @param {number} linear - Linear intensity (0-1, values outside are clamped)
+   * @returns {number} Channel value (0-255)
+   */
+  export const linearToSrgb = (linear) => {
+	const c = Math.min(1, Math.max(0, linear));
+	const value = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+	return Math.round(value * 255);
+  };
+  
+  /**
+   * Parses a hex color string
+   * 
+   * @param {string} hex - Color as '#rrggbb'
+   * @returns {Array} RGB values as [r, g, b] with each component in range 0-255
+   */
+  export const hexToRgb = (hex) => {
+	const value = parseInt(hex.slice(1), 16);
+	return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  };
+  
+  /**
+   * Formats an RGB color as a hex string
+   * 
+   * @param {number} r - Red component (0-255)
+   * @param {number} g - Green component (0-255)
+   * @param {number} b - Blue component (0-255)
+   * @returns {string} Color as '#rrggbb'
+   */
+  export const rgbToHex = (r, g, b) => {
+	return '#' + [r, g, b]
+	  .map(c => Math.round(Math.min(255, Math.max(0, c))).toString(16).padStart(2, '0'))
+	  .join('');
+  };
+  
   /**
    * Calculates the luminance (perceived brightness) of an RGB color
    * Uses the formula from WCAG 2.0
@@ -153,6 +202,224 @@ export const hsvToRgb = (h, s, v) => {
 	);
   };
   
+  // D65 reference white, with Y scaled to 100
+  const WHITE_X = 95.047;
+  const WHITE_Y = 100;
+  const WHITE_Z = 108.883;
+  
+  // CIELAB constants: (6/29)^3 and the slope of the linear segment
+  const LAB_EPSILON = 216 / 24389;
+  const LAB_KAPPA = 24389 / 27;
+  
+  // 25^7, used by the CIEDE2000 chroma weighting
+  const POW_25_7 = Math.pow(25, 7);
+  
+  // Linear light of every 8-bit channel value, so whole images convert
+  // without a power per channel
+  const LINEAR_LUT = Float64Array.from({ length: 256 }, (_, v) => srgbToLinear(v));
+  
+  /**
+   * Converts an sRGB channel value to linear light, using the lookup table
+   * for 8-bit values
+   * 
+   * @param {number} value - Channel value (0-255)
+   * @returns {number} Linear intensity (0-1)
+   */
+  const toLinear = (value) => {
+	return Number.isInteger(value) && value >= 0 && value <= 255
+	  ? LINEAR_LUT[value]
+	  : srgbToLinear(value);
+  };
+  
+  /**
+   * Converts an sRGB color to CIE XYZ (D65)
+   * 
+   * @param {number} r - Red component (0-255)
+   * @param {number} g - Green component (0-255)
+   * @param {number} b - Blue component (0-255)
+   * @returns {Array} XYZ values as [x, y, z], with y in range 0-100
+   */
+  export const rgbToXyz = (r, g, b) => {
+	const lr = toLinear(r) * 100;
+	const lg = toLinear(g) * 100;
+	const lb = toLinear(b) * 100;
+	
+	return [
+	  0.4124564 * lr + 0.3575761 * lg + 0.1804375 * lb,
+	  0.2126729 * lr + 0.7151522 * lg + 0.0721750 * lb,
+	  0.0193339 * lr + 0.1191920 * lg + 0.9503041 * lb
+	];
+  };
+  
+  /**
+   * Converts a CIE XYZ (D65) color to sRGB, clipping colors outside the gamut
+   * 
+   * @param {number} x - X component
+   * @param {number} y - Y component (0-100)
+   * @param {number} z - Z component
+   * @returns {Array} RGB values as [r, g, b] with each component in range 0-255
+   */
+  export const xyzToRgb = (x, y, z) => {
+	const cx = x / 100;
+	const cy = y / 100;
+	const cz = z / 100;
+	
+	return [
+	  linearToSrgb(3.2404542 * cx - 1.5371385 * cy - 0.4985314 * cz),
+	  linearToSrgb(-0.9692660 * cx + 1.8760108 * cy + 0.0415560 * cz),
+	  linearToSrgb(0.0556434 * cx - 0.2040259 * cy + 1.0572252 * cz)
+	];
+  };
+  
+  /**
+   * Converts a CIE XYZ (D65) color to CIELAB
+   * 
+   * @param {number} x - X component
+   * @param {number} y - Y component (0-100)
+   * @param {number} z - Z component
+   * @returns {Array} LAB values as [l, a, b], with l in range 0-100
+   */
+  export const xyzToLab = (x, y, z) => {
+	const f = (t) => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116);
+	const fx = f(x / WHITE_X);
+	const fy = f(y / WHITE_Y);
+	const fz = f(z / WHITE_Z);
+	
+	return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+  };
+  
+  /**
+   * Converts a CIELAB color to CIE XYZ (D65)
+   * 
+   * @param {number} l - Lightness (0-100)
+   * @param {number} a - Green-red component
+   * @param {number} b - Blue-yellow component
+   * @returns {Array} XYZ values as [x, y, z], with y in range 0-100
+   */
+  export const labToXyz = (l, a, b) => {
+	const fy = (l + 16) / 116;
+	const fx = fy + a / 500;
+	const fz = fy - b / 200;
+	const inverse = (t) => (t * t * t > LAB_EPSILON ? t * t * t : (116 * t - 16) / LAB_KAPPA);
+	
+	return [inverse(fx) * WHITE_X, inverse(fy) * WHITE_Y, inverse(fz) * WHITE_Z];
+  };
+  
+  /**
+   * Converts an sRGB color to CIELAB
+   * 
+   * @param {number} r - Red component (0-255)
+   * @param {number} g - Green component (0-255)
+   * @param {number} b - Blue component (0-255)
+   * @returns {Array} LAB values as [l, a, b], with l in range 0-100
+   */
+  export const rgbToLab = (r, g, b) => {
+	const [x, y, z] = rgbToXyz(r, g, b);
+	return xyzToLab(x, y, z);
+  };
+  
+  /**
+   * Converts a CIELAB color to sRGB, clipping colors outside the gamut
+   * 
+   * @param {number} l - Lightness (0-100)
+   * @param {number} a - Green-red component
+   * @param {number} b - Blue-yellow component
+   * @returns {Array} RGB values as [r, g, b] with each component in range 0-255
+   */
+  export const labToRgb = (l, a, b) => {
+	const [x, y, z] = labToXyz(l, a, b);
+	return xyzToRgb(x, y, z);
+  };
+  
+  /**
+   * Calculates the CIE76 color difference, the Euclidean distance in CIELAB
+   * 
+   * @param {number} l1 - Lightness of first color
+   * @param {number} a1 - a component of first color
+   * @param {number} b1 - b component of first color
+   * @param {number} l2 - Lightness of second color
+   * @param {number} a2 - a component of second color
+   * @param {number} b2 - b component of second color
+   * @returns {number} Delta E (about 2.3 is a just noticeable difference)
+   */
+  export const getDeltaE76 = (l1, a1, b1, l2, a2, b2) => {
+	return Math.sqrt(
+	  Math.pow(l2 - l1, 2) +
+	  Math.pow(a2 - a1, 2) +
+	  Math.pow(b2 - b1, 2)
+	);
+  };
+  
+  /**
+   * Calculates the CIEDE2000 color difference, which corrects CIE76 for
+   * the eye's uneven sensitivity to lightness, chroma and hue
+   * 
+   * @param {number} l1 - Lightness of first color
+   * @param {number} a1 - a component of first color
+   * @param {number} b1 - b component of first color
+   * @param {number} l2 - Lightness of second color
+   * @param {number} a2 - a component of second color
+   * @param {number} b2 - b component of second color
+   * @returns {number} Delta E 2000 (about 1 is a just noticeable difference)
+   */
+  export const getDeltaE2000 = (l1, a1, b1, l2, a2, b2) => {
+	const toDegrees = 180 / Math.PI;
+	const toRadians = Math.PI / 180;
+	
+	// Stretch a* so neutral colors get a more accurate hue
+	const meanChroma = (Math.sqrt(a1 * a1 + b1 * b1) + Math.sqrt(a2 * a2 + b2 * b2)) / 2;
+	const meanChroma7 = Math.pow(meanChroma, 7);
+	const g = 0.5 * (1 - Math.sqrt(meanChroma7 / (meanChroma7 + POW_25_7)));
+	const ap1 = a1 * (1 + g);
+	const ap2 = a2 * (1 + g);
+	
+	const c1 = Math.sqrt(ap1 * ap1 + b1 * b1);
+	const c2 = Math.sqrt(ap2 * ap2 + b2 * b2);
+	const h1 = c1 === 0 ? 0 : (Math.atan2(b1, ap1) * toDegrees + 360) % 360;
+	const h2 = c2 === 0 ? 0 : (Math.atan2(b2, ap2) * toDegrees + 360) % 360;
+	
+	// Hue difference, taking the short way around the circle
+	let dh = 0;
+	if (c1 * c2 !== 0) {
+	  dh = h2 - h1;
+	  if (dh > 180) dh -= 360;
+	  else if (dh < -180) dh += 360;
+	}
+	const dL = l2 - l1;
+	const dC = c2 - c1;
+	const dH = 2 * Math.sqrt(c1 * c2) * Math.sin((dh / 2) * toRadians);
+	
+	// Means used by the weighting functions
+	const meanL = (l1 + l2) / 2;
+	const meanC = (c1 + c2) / 2;
+	let meanH = h1 + h2;
+	if (c1 * c2 !== 0) {
+	  if (Math.abs(h1 - h2) <= 180) meanH /= 2;
+	  else meanH = meanH < 360 ? (meanH + 360) / 2 : (meanH - 360) / 2;
+	}
+	
+	const t = 1 -
+	  0.17 * Math.cos((meanH - 30) * toRadians) +
+	  0.24 * Math.cos(2 * meanH * toRadians) +
+	  0.32 * Math.cos((3 * meanH + 6) * toRadians) -
+	  0.20 * Math.cos((4 * meanH - 63) * toRadians);
+	const meanLShift = (meanL - 50) * (meanL - 50);
+	const sl = 1 + (0.015 * meanLShift) / Math.sqrt(20 + meanLShift);
+	const sc = 1 + 0.045 * meanC;
+	const sh = 1 + 0.015 * meanC * t;
+	
+	// Rotation term for blue hues
+	const meanC7 = Math.pow(meanC, 7);
+	const rc = 2 * Math.sqrt(meanC7 / (meanC7 + POW_25_7));
+	const dTheta = 30 * Math.exp(-Math.pow((meanH - 275) / 25, 2));
+	const rt = -Math.sin(2 * dTheta * toRadians) * rc;
+	
+	const termL = dL / sl;
+	const termC = dC / sc;
+	const termH = dH / sh;
+	return Math.sqrt(termL * termL + termC * termC + termH * termH + rt * termC * termH);
+  };
+  
   /**
    * Generates an array of distinct colors using the golden ratio
    * This ensures colors are spread evenly around the color wheel
@@ -160,12 +427,13 @@ export const hsvToRgb = (h, s, v) => {
    * @param {number} count - Number of colors to generate
    * @param {number} saturation - Saturation value (0-1), default 0.8
    * @param {number} value - Brightness value (0-1), default 0.9
+   * @param {number} startHue - Hue to start from (0-1), random by default
    * @returns {Array} Array of RGB colors as [r, g, b] arrays
    */
-  export const generateDistinctColors = (count, saturation = 0.8, value = 0.9) => {
+  export const generateDistinctColors = (count, saturation = 0.8, value = 0.9, startHue = Math.random()) => {
 	const colors = [];
 	const goldenRatioConjugate = 0.618033988749895;
-	let h = Math.random(); // Start with random hue
+	let h = startHue;
 	
 	for (let i = 0; i < count; i++) {
 	  h += goldenRatioConjugate;
@@ -214,4 +482,32 @@ export const hsvToRgb = (h, s, v) => {
 	}
 	
 	return bestRgb;
+  };
+  
+  // Sequential colormaps from matplotlib, as evenly spaced stops
+  const COLORMAPS = {
+	viridis: ['#440154', '#472c7a', '#3b518b', '#2c718e', '#21908d', '#27ad81', '#5cc863', '#aadc32', '#fde725'],
+	magma: ['#000004', '#1c1044', '#4f127b', '#812581', '#b5367a', '#e55064', '#fb8761', '#fec287', '#fcfdbf']
+  };
+  
+  /**
+   * Samples a sequential colormap, interpolating between its stops
+   * 
+   * @param {string} name - Colormap name ('viridis' or 'magma')
+   * @param {number} t - Position along the colormap (0-1)
+   * @returns {Array} RGB values as [r, g, b] with each component in range 0-255
+   */
+  export const sampleColormap = (name, t) => {
+	const stops = COLORMAPS[name];
+	if (!stops) {
+	  throw new Error(`Unknown colormap "${name}"`);
+	}
+	
+	const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+	const index = Math.min(stops.length - 2, Math.floor(position));
+	const fraction = position - index;
+	const from = hexToRgb(stops[index]);
+	const to = hexToRgb(stops[index + 1]);
+	
+	return from.map((c, i) => Math.round(c + (to[i] - c) * fraction));
   };
\ No newline at end of file
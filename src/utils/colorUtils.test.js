@@ -0,0 +1,35 @@
+import { rgbToLab, labToRgb, rgbToXyz, getDeltaE76, getDeltaE2000 } from './colorUtils';
+
+test('sRGB converts to XYZ and CIELAB and back', () => {
+  const [x, y, z] = rgbToXyz(255, 255, 255);
+  expect(x).toBeCloseTo(95.047, 1);
+  expect(y).toBeCloseTo(100, 1);
+  expect(z).toBeCloseTo(108.883, 1);
+
+  const [l, a, b] = rgbToLab(255, 0, 0);
+  expect(l).toBeCloseTo(53.24, 1);
+  expect(a).toBeCloseTo(80.09, 1);
+  expect(b).toBeCloseTo(67.2, 1);
+
+  [[0, 0, 0], [255, 255, 255], [12, 200, 99], [250, 3, 180]].forEach(rgb => {
+    expect(labToRgb(...rgbToLab(...rgb))).toEqual(rgb);
+  });
+});
+
+test('CIEDE2000 matches published reference values', () => {
+  // From Sharma, Wu and Dalal, "The CIEDE2000 color-difference formula"
+  const pairs = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, -1.3802, -84.2814], [50, 0, -82.7485], 1.0],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373]
+  ];
+  pairs.forEach(([lab1, lab2, expected]) => {
+    expect(getDeltaE2000(...lab1, ...lab2)).toBeCloseTo(expected, 3);
+    expect(getDeltaE2000(...lab2, ...lab1)).toBeCloseTo(expected, 3);
+  });
+
+  expect(getDeltaE76(50, 2.5, 0, 73, 25, -18)).toBeCloseTo(Math.sqrt(23 * 23 + 22.5 * 22.5 + 18 * 18), 6);
+});
@@ -0,0 +1,55 @@
+/**
+ * Utility for rate-limiting expensive callbacks such as preview renders
+ */
+
+/**
+ * Creates a debounced version of a function that waits until calls stop
+ * for `wait` ms before running. When `maxWait` is given, the function also
+ * runs at least once every `maxWait` ms during a continuous stream of calls,
+ * which throttles updates while e.g. a slider is being dragged.
+ *
+ * @param {Function} fn - The function to debounce
+ * @param {number} wait - Quiet period in milliseconds
+ * @param {number} [maxWait] - Maximum delay in milliseconds before a forced call
+ * @returns {Function} Debounced function with a cancel() method
+ */
+export const debounce = (fn, wait, maxWait) => {
+  let timer = null;
+  let firstCallTime = null;
+  let lastArgs = null;
+
+  const invoke = () => {
+    clearTimeout(timer);
+    timer = null;
+    firstCallTime = null;
+    const args = lastArgs;
+    lastArgs = null;
+    fn(...args);
+  };
+
+  const debounced = (...args) => {
+    const now = Date.now();
+    lastArgs = args;
+    if (firstCallTime === null) {
+      firstCallTime = now;
+    }
+
+    clearTimeout(timer);
+
+    // Throttle: force a call once maxWait has elapsed since the first pending call
+    const delay = maxWait === undefined
+      ? wait
+      : Math.max(0, Math.min(wait, firstCallTime + maxWait - now));
+
+    timer = setTimeout(invoke, delay);
+  };
+
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    firstCallTime = null;
+    lastArgs = null;
+  };
+
+  return debounced;
+};
@@ -0,0 +1,73 @@
+import { debounce } from './debounce';
+
+let now = 0;
+
+/**
+ * Moves both the fake timers and Date.now forward
+ */
+const advance = (ms) => {
+  now += ms;
+  jest.advanceTimersByTime(ms);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  now = 0;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+test('runs once with the latest arguments after calls stop', () => {
+  const fn = jest.fn();
+  const debounced = debounce(fn, 100);
+
+  debounced(1);
+  advance(60);
+  debounced(2);
+  advance(60);
+  expect(fn).not.toHaveBeenCalled();
+
+  advance(40);
+  expect(fn).toHaveBeenCalledTimes(1);
+  expect(fn).toHaveBeenCalledWith(2);
+});
+
+test('maxWait forces a call during a continuous stream of calls', () => {
+  const fn = jest.fn();
+  const debounced = debounce(fn, 100, 250);
+
+  // A call every 50 ms never leaves a 100 ms quiet period
+  for (let i = 0; i < 6; i++) {
+    debounced(i);
+    advance(50);
+  }
+  expect(fn).toHaveBeenCalledTimes(1);
+  expect(fn).toHaveBeenCalledWith(4);
+
+  // The next window starts with the next call
+  debounced(6);
+  advance(100);
+  expect(fn).toHaveBeenCalledTimes(2);
+  expect(fn).toHaveBeenLastCalledWith(6);
+});
+
+test('cancel drops the pending call', () => {
+  const fn = jest.fn();
+  const debounced = debounce(fn, 100, 250);
+
+  debounced('dropped');
+  advance(50);
+  debounced.cancel();
+  advance(500);
+  expect(fn).not.toHaveBeenCalled();
+
+  // Later calls start over
+  debounced('kept');
+  advance(100);
+  expect(fn).toHaveBeenCalledTimes(1);
+  expect(fn).toHaveBeenCalledWith('kept');
+});
@@ -0,0 +1,73 @@
+import { getLuminance } from './colorUtils';
+
+/**
+ * Histograms and tonal statistics of images
+ */
+
+// Channels that get a histogram, in display order
+export const HISTOGRAM_CHANNELS = ['r', 'g', 'b', 'luminance'];
+
+/**
+ * Counts how many pixels take each value (0-255) in the red, green, blue
+ * and luminance channels
+ *
+ * @param {ImageData} imageData - The image to analyze
+ * @returns {Object} Histograms as { r, g, b, luminance } (Uint32Array(256)
+ *                   each) plus the pixelCount they add up to
+ */
+export const computeHistograms = (imageData) => {
+  const data = imageData.data;
+  const r = new Uint32Array(256);
+  const g = new Uint32Array(256);
+  const b = new Uint32Array(256);
+  const luminance = new Uint32Array(256);
+
+  for (let i = 0; i < data.length; i += 4) {
+    r[data[i]]++;
+    g[data[i + 1]]++;
+    b[data[i + 2]]++;
+    luminance[Math.round(getLuminance(data[i], data[i + 1], data[i + 2]) * 255)]++;
+  }
+
+  return { r, g, b, luminance, pixelCount: data.length / 4 };
+};
+
+/**
+ * Summarizes one channel's histogram
+ *
+ * @param {Uint32Array} histogram - Pixel count per value (0-255)
+ * @param {number} pixelCount - Total number of pixels
+ * @returns {Object} Statistics as { min, max, mean, stdDev, clippedShadows,
+ *                   clippedHighlights }, the clipped values being the
+ *                   fractions (0-1) of pixels at 0 and at 255
+ */
+export const computeChannelStats = (histogram, pixelCount) => {
+  if (pixelCount === 0) {
+    return { min: 0, max: 0, mean: 0, stdDev: 0, clippedShadows: 0, clippedHighlights: 0 };
+  }
+
+  let min = 255;
+  let max = 0;
+  let sum = 0;
+  let sumSquares = 0;
+
+  for (let value = 0; value < 256; value++) {
+    const count = histogram[value];
+    if (count === 0) continue;
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+    sum += value * count;
+    sumSquares += value * value * count;
+  }
+
+  const mean = sum / pixelCount;
+  return {
+    min,
+    max,
+    mean,
+    // Rounding can push the variance of flat images slightly below 0
+    stdDev: Math.sqrt(Math.max(0, sumSquares / pixelCount - mean * mean)),
+    clippedShadows: histogram[0] / pixelCount,
+    clippedHighlights: histogram[255] / pixelCount
+  };
+};
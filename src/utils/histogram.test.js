@@ -0,0 +1,41 @@
+import { computeHistograms, computeChannelStats } from './histogram';
+
+test('computeHistograms counts each channel and the luminance', () => {
+  const data = new Uint8ClampedArray([
+    255, 0, 0, 255,
+    255, 255, 255, 255,
+    0, 0, 0, 0
+  ]);
+  const { r, g, b, luminance, pixelCount } = computeHistograms({ data, width: 3, height: 1 });
+
+  expect(pixelCount).toBe(3);
+  expect(r[255]).toBe(2);
+  expect(r[0]).toBe(1);
+  expect(g[0]).toBe(2);
+  expect(b[255]).toBe(1);
+  // Pure red has a luminance of 0.299
+  expect(luminance[76]).toBe(1);
+  expect(luminance[255]).toBe(1);
+  expect(luminance[0]).toBe(1);
+});
+
+test('computeChannelStats reports range, mean, spread and clipping', () => {
+  const histogram = new Uint32Array(256);
+  histogram[0] = 1;
+  histogram[100] = 2;
+  histogram[255] = 1;
+
+  const stats = computeChannelStats(histogram, 4);
+  expect(stats.min).toBe(0);
+  expect(stats.max).toBe(255);
+  expect(stats.mean).toBeCloseTo(113.75, 6);
+  expect(stats.stdDev).toBeCloseTo(Math.sqrt((113.75 ** 2 + 2 * 13.75 ** 2 + 141.25 ** 2) / 4), 6);
+  expect(stats.clippedShadows).toBe(0.25);
+  expect(stats.clippedHighlights).toBe(0.25);
+
+  const flat = new Uint32Array(256);
+  flat[42] = 10;
+  expect(computeChannelStats(flat, 10)).toEqual({
+    min: 42, max: 42, mean: 42, stdDev: 0, clippedShadows: 0, clippedHighlights: 0
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Utility functions for a bounded undo/redo history.
+ * A history holds past states, the present state and undone (future) states.
+ */
+
+// Maximum number of past states kept
+export const HISTORY_LIMIT = 50;
+
+// Edits with the same coalesce key within this window become one entry
+export const COALESCE_WINDOW_MS = 1000;
+
+/**
+ * Creates a new history with no past or future states
+ *
+ * @param {*} present - The initial state
+ * @returns {Object} History as { past, present, future, lastKey, lastTime }
+ */
+export const createHistory = (present) => ({
+  past: [],
+  present,
+  future: [],
+  lastKey: null,
+  lastTime: 0
+});
+
+/**
+ * Records a new present state and clears the redo stack.
+ * Consecutive changes with the same coalesce key (e.g. dragging one slider)
+ * replace the present state instead of adding an entry per change.
+ *
+ * @param {Object} history - The current history
+ * @param {*} present - The new state
+ * @param {Object} [options] - Options
+ * @param {string} [options.coalesceKey] - Key identifying changes that may be merged
+ * @param {number} [options.limit] - Maximum number of past states
+ * @param {number} [options.now] - Current time in ms, for coalescing
+ * @returns {Object} The updated history
+ */
+export const pushHistory = (history, present, options = {}) => {
+  const {
+    coalesceKey = null,
+    limit = HISTORY_LIMIT,
+    now = Date.now()
+  } = options;
+
+  const canCoalesce = coalesceKey !== null &&
+    coalesceKey === history.lastKey &&
+    now - history.lastTime < COALESCE_WINDOW_MS;
+
+  if (canCoalesce) {
+    return { ...history, present, future: [], lastTime: now };
+  }
+
+  return {
+    past: [...history.past, history.present].slice(-limit),
+    present,
+    future: [],
+    lastKey: coalesceKey,
+    lastTime: now
+  };
+};
+
+/**
+ * Steps back to the previous state
+ *
+ * @param {Object} history - The current history
+ * @returns {Object} The updated history (unchanged if there is nothing to undo)
+ */
+export const undoHistory = (history) => {
+  if (history.past.length === 0) {
+    return history;
+  }
+
+  return {
+    past: history.past.slice(0, -1),
+    present: history.past[history.past.length - 1],
+    future: [history.present, ...history.future],
+    lastKey: null,
+    lastTime: 0
+  };
+};
+
+/**
+ * Steps forward to the next undone state
+ *
+ * @param {Object} history - The current history
+ * @returns {Object} The updated history (unchanged if there is nothing to redo)
+ */
+export const redoHistory = (history) => {
+  if (history.future.length === 0) {
+    return history;
+  }
+
+  return {
+    past: [...history.past, history.present],
+    present: history.future[0],
+    future: history.future.slice(1),
+    lastKey: null,
+    lastTime: 0
+  };
+};
@@ -0,0 +1,58 @@
+import {
+  createHistory,
+  pushHistory,
+  undoHistory,
+  redoHistory,
+  COALESCE_WINDOW_MS
+} from './history';
+
+test('undo and redo move between recorded states', () => {
+  let history = createHistory('a');
+  history = pushHistory(history, 'b');
+  history = pushHistory(history, 'c');
+
+  history = undoHistory(history);
+  expect(history.present).toBe('b');
+  history = undoHistory(history);
+  expect(history.present).toBe('a');
+  expect(undoHistory(history)).toBe(history);
+
+  history = redoHistory(history);
+  expect(history.present).toBe('b');
+});
+
+test('pushing after an undo clears the redo stack', () => {
+  let history = pushHistory(createHistory('a'), 'b');
+  history = undoHistory(history);
+  history = pushHistory(history, 'c');
+
+  expect(history.future).toEqual([]);
+  expect(redoHistory(history)).toBe(history);
+});
+
+test('history is bounded by the limit', () => {
+  let history = createHistory(0);
+  for (let i = 1; i <= 10; i++) {
+    history = pushHistory(history, i, { limit: 3 });
+  }
+
+  expect(history.past).toEqual([7, 8, 9]);
+  expect(history.present).toBe(10);
+});
+
+test('changes with the same key in quick succession are coalesced', () => {
+  let history = createHistory(0);
+  history = pushHistory(history, 1, { coalesceKey: 'step-1:contrast', now: 1000 });
+  history = pushHistory(history, 2, { coalesceKey: 'step-1:contrast', now: 1100 });
+  history = pushHistory(history, 3, { coalesceKey: 'step-1:contrast', now: 1200 });
+
+  expect(history.past).toEqual([0]);
+  expect(history.present).toBe(3);
+
+  // A pause longer than the window starts a new entry
+  history = pushHistory(history, 4, {
+    coalesceKey: 'step-1:contrast',
+    now: 1200 + COALESCE_WINDOW_MS
+  });
+  expect(history.past).toEqual([0, 3]);
+});
@@ -0,0 +1,171 @@
+/**
+ * Utility functions for reading image files and writing processed output
+ */
+
+// Formats the processed image can be saved as
+export const EXPORT_FORMATS = [
+  { id: 'png', label: 'PNG', mimeType: 'image/png', extension: 'png', lossy: false },
+  { id: 'jpeg', label: 'JPEG', mimeType: 'image/jpeg', extension: 'jpg', lossy: true },
+  { id: 'webp', label: 'WebP', mimeType: 'image/webp', extension: 'webp', lossy: true }
+];
+
+/**
+ * Loads an image file into an HTMLImageElement
+ *
+ * @param {File} file - The image file
+ * @returns {Promise<HTMLImageElement>} Resolves once the image has decoded
+ */
+export const loadImageFromFile = (file) => {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('File could not be decoded as an image'));
+    };
+    img.src = url;
+  });
+};
+
+/**
+ * Encodes the contents of a canvas as an image Blob
+ *
+ * @param {HTMLCanvasElement} canvas - The canvas to encode
+ * @param {string} [type] - MIME type, e.g. 'image/png'
+ * @param {number} [quality] - Quality (0-1) for lossy formats
+ * @returns {Promise<Blob>} The encoded image
+ */
+export const canvasToBlob = (canvas, type = 'image/png', quality) => {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error(`Canvas could not be encoded as ${type}`));
+      }
+    }, type, quality);
+  });
+};
+
+/**
+ * Triggers a browser download of a Blob
+ *
+ * @param {Blob} blob - The data to download
+ * @param {string} filename - Suggested file name
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Give the browser a moment to start the download before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Splits a file path into its folder and its name without extension, e.g.
+ * "photos/beach.jpg" -> { folder: "photos/", base: "beach" }
+ *
+ * @param {string} path - File name or relative path
+ * @returns {Object} Parts as { folder, base }
+ */
+export const splitFilename = (path) => {
+  const slash = path.lastIndexOf('/');
+  const folder = path.slice(0, slash + 1);
+  const filename = path.slice(slash + 1);
+  const dot = filename.lastIndexOf('.');
+  const base = (dot > 0 ? filename.slice(0, dot) : filename) || 'image';
+  return { folder, base };
+};
+
+/**
+ * Derives an output file name from the original one, e.g.
+ * "photos/beach.jpg" -> "photos/beach-processed.png".
+ * Names already in usedNames get a numeric suffix.
+ *
+ * @param {string} originalPath - Original file name or relative path
+ * @param {string} extension - Output extension without the dot
+ * @param {Set} [usedNames] - Names already taken; the result is added to it
+ * @returns {string} The output file name
+ */
+export const getOutputFilename = (originalPath, extension, usedNames = new Set()) => {
+  const { folder, base } = splitFilename(originalPath);
+
+  let name = `${folder}${base}-processed.${extension}`;
+  for (let i = 2; usedNames.has(name); i++) {
+    name = `${folder}${base}-processed-${i}.${extension}`;
+  }
+  usedNames.add(name);
+  return name;
+};
+
+/**
+ * Reads all entries of a dropped directory, recursing into subfolders
+ *
+ * @param {Object} entry - A FileSystemEntry from a drop event
+ * @returns {Promise<Array>} Files as { file, path }
+ */
+const readEntry = (entry) => {
+  if (entry.isFile) {
+    return new Promise((resolve, reject) => {
+      entry.file(
+        file => resolve([{ file, path: entry.fullPath.replace(/^\//, '') }]),
+        reject
+      );
+    });
+  }
+
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    const entries = [];
+
+    // readEntries returns results in batches until it yields an empty list
+    const readBatch = () => new Promise((resolve, reject) => {
+      reader.readEntries(batch => {
+        if (batch.length === 0) {
+          resolve(entries);
+        } else {
+          entries.push(...batch);
+          readBatch().then(resolve, reject);
+        }
+      }, reject);
+    });
+
+    return readBatch()
+      .then(children => Promise.all(children.map(readEntry)))
+      .then(results => results.flat());
+  }
+
+  return Promise.resolve([]);
+};
+
+/**
+ * Collects the files from a drop event, including the contents of
+ * dropped folders
+ *
+ * @param {DataTransfer} dataTransfer - The drop event's data
+ * @returns {Promise<Array>} Files as { file, path }, sorted by path
+ */
+export const collectDroppedFiles = async (dataTransfer) => {
+  const items = Array.from(dataTransfer.items || []);
+  const entries = items
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  let files;
+  if (entries.length > 0) {
+    files = (await Promise.all(entries.map(readEntry))).flat();
+  } else {
+    // Browsers without the entries API only expose top-level files
+    files = Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+  }
+
+  return files.sort((a, b) => a.path.localeCompare(b.path));
+};
@@ -0,0 +1,247 @@
+import { crc32 } from './zip';
+
+/**
+ * Minimal PNG writer for data canvases can't encode, such as 16-bit
+ * grayscale label maps.
+ * Rows use the Sub filter, so runs of equal values become runs of zero
+ * bytes, and the zlib stream only encodes those runs (fixed Huffman codes,
+ * distance 1). Flat regions compress well; noisy data stays close to
+ * its raw size.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Deflate length codes 257-285: base match length and extra bits
+const LENGTH_BASES = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31,
+  35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258
+];
+const LENGTH_EXTRA_BITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2,
+  3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0
+];
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+
+/**
+ * Creates a writer that packs bits least significant first, as deflate does
+ *
+ * @param {number} capacity - Maximum number of bytes that will be written
+ * @returns {Object} Writer with writeBits(value, count), writeCode(code, length) and finish()
+ */
+const createBitWriter = (capacity) => {
+  const bytes = new Uint8Array(capacity);
+  let position = 0;
+  let buffer = 0;
+  let bufferLength = 0;
+
+  const writeBits = (value, count) => {
+    buffer |= value << bufferLength;
+    bufferLength += count;
+    while (bufferLength >= 8) {
+      bytes[position++] = buffer & 0xFF;
+      buffer >>>= 8;
+      bufferLength -= 8;
+    }
+  };
+
+  // Huffman codes are stored most significant bit first
+  const writeCode = (code, length) => {
+    let reversed = 0;
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | ((code >> i) & 1);
+    }
+    writeBits(reversed, length);
+  };
+
+  const finish = () => {
+    if (bufferLength > 0) {
+      bytes[position++] = buffer & 0xFF;
+    }
+    return bytes.subarray(0, position);
+  };
+
+  return { writeBits, writeCode, finish };
+};
+
+/**
+ * Writes a literal/length symbol with the fixed Huffman code
+ *
+ * @param {Object} writer - Bit writer
+ * @param {number} symbol - Symbol (0-287)
+ */
+const writeFixedSymbol = (writer, symbol) => {
+  if (symbol < 144) {
+    writer.writeCode(0x30 + symbol, 8);
+  } else if (symbol < 256) {
+    writer.writeCode(0x190 + symbol - 144, 9);
+  } else if (symbol < 280) {
+    writer.writeCode(symbol - 256, 7);
+  } else {
+    writer.writeCode(0xC0 + symbol - 280, 8);
+  }
+};
+
+/**
+ * Writes a match that repeats the previous byte
+ *
+ * @param {Object} writer - Bit writer
+ * @param {number} length - Match length (3-258)
+ */
+const writeRun = (writer, length) => {
+  let code = LENGTH_BASES.length - 1;
+  while (LENGTH_BASES[code] > length) {
+    code--;
+  }
+  writeFixedSymbol(writer, 257 + code);
+  writer.writeBits(length - LENGTH_BASES[code], LENGTH_EXTRA_BITS[code]);
+  // Distance code 0 (distance 1), fixed 5-bit code without extra bits
+  writer.writeCode(0, 5);
+};
+
+/**
+ * Computes the Adler-32 checksum used by zlib streams
+ *
+ * @param {Uint8Array} bytes - The data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+const adler32 = (bytes) => {
+  let a = 1;
+  let b = 0;
+  // Largest block that can't overflow before taking the modulus
+  const blockSize = 5552;
+
+  for (let start = 0; start < bytes.length; start += blockSize) {
+    const end = Math.min(bytes.length, start + blockSize);
+    for (let i = start; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+};
+
+/**
+ * Compresses data as a zlib stream with a single fixed-Huffman block
+ *
+ * @param {Uint8Array} bytes - The data to compress
+ * @returns {Uint8Array} The zlib stream
+ */
+const zlibCompress = (bytes) => {
+  // Literals take at most 9 bits, plus the header, block end and checksum
+  const writer = createBitWriter(Math.ceil(bytes.length * 9 / 8) + 16);
+  writer.writeBits(0x78, 8);
+  writer.writeBits(0x01, 8);
+  // Final block, fixed Huffman codes
+  writer.writeBits(1, 1);
+  writer.writeBits(1, 2);
+
+  let i = 0;
+  while (i < bytes.length) {
+    let run = 0;
+    if (i > 0) {
+      const previous = bytes[i - 1];
+      while (run < MAX_MATCH && i + run < bytes.length && bytes[i + run] === previous) {
+        run++;
+      }
+    }
+
+    if (run >= MIN_MATCH) {
+      writeRun(writer, run);
+      i += run;
+    } else {
+      writeFixedSymbol(writer, bytes[i]);
+      i++;
+    }
+  }
+  writeFixedSymbol(writer, 256);
+
+  const deflated = writer.finish();
+  const stream = new Uint8Array(deflated.length + 4);
+  stream.set(deflated);
+  const checksum = adler32(bytes);
+  stream[deflated.length] = checksum >>> 24;
+  stream[deflated.length + 1] = (checksum >>> 16) & 0xFF;
+  stream[deflated.length + 2] = (checksum >>> 8) & 0xFF;
+  stream[deflated.length + 3] = checksum & 0xFF;
+  return stream;
+};
+
+/**
+ * Builds a PNG chunk: length, type, data and CRC
+ *
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk contents
+ * @returns {Uint8Array} The chunk bytes
+ */
+const createChunk = (type, data) => {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+};
+
+/**
+ * Encodes 16-bit grayscale values as a PNG file
+ *
+ * @param {ArrayLike<number>} values - One value (0-65535) per pixel, in row order
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} The PNG file bytes
+ */
+export const encodeGrayscale16Png = (values, width, height) => {
+  if (values.length !== width * height) {
+    throw new Error(`Expected ${width * height} values, got ${values.length}`);
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 16; // Bit depth
+  header[9] = 0;  // Grayscale; compression, filter and interlace stay 0
+
+  // Each row starts with its filter type; samples are big-endian
+  const rowLength = width * 2 + 1;
+  const raw = new Uint8Array(rowLength * height);
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * rowLength;
+    raw[rowStart] = 1; // Sub: difference to the sample on the left
+    let previousHigh = 0;
+    let previousLow = 0;
+    for (let x = 0; x < width; x++) {
+      const value = values[y * width + x];
+      if (!(value >= 0 && value <= 0xFFFF)) {
+        throw new Error(`Value ${value} does not fit in 16 bits`);
+      }
+      const high = value >>> 8;
+      const low = value & 0xFF;
+      raw[rowStart + 1 + x * 2] = (high - previousHigh) & 0xFF;
+      raw[rowStart + 2 + x * 2] = (low - previousLow) & 0xFF;
+      previousHigh = high;
+      previousLow = low;
+    }
+  }
+
+  const parts = [
+    Uint8Array.from(PNG_SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlibCompress(raw)),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+
+  const png = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  parts.forEach(part => {
+    png.set(part, offset);
+    offset += part.length;
+  });
+  return png;
+};
@@ -0,0 +1,75 @@
+import { inflateSync } from 'zlib';
+import { crc32 } from './zip';
+import { encodeGrayscale16Png } from './png';
+
+/**
+ * Splits a PNG file into its chunks, checking each CRC
+ */
+const readChunks = (png) => {
+  const view = new DataView(png.buffer, png.byteOffset, png.length);
+  const chunks = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    expect(view.getUint32(offset + 8 + length)).toBe(crc32(png.subarray(offset + 4, offset + 8 + length)));
+    chunks.push({ type, data });
+    offset += length + 12;
+  }
+  return chunks;
+};
+
+/**
+ * Decodes the samples of a 16-bit grayscale PNG written with Sub filters
+ */
+const decodeSamples = (png) => {
+  const chunks = readChunks(png);
+  const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset, 13);
+  const width = header.getUint32(0);
+  const height = header.getUint32(4);
+  const raw = inflateSync(Buffer.from(chunks.find(chunk => chunk.type === 'IDAT').data));
+
+  const values = [];
+  for (let y = 0; y < height; y++) {
+    const row = raw.subarray(y * (width * 2 + 1), (y + 1) * (width * 2 + 1));
+    expect(row[0]).toBe(1);
+    const bytes = row.slice(1);
+    for (let i = 2; i < bytes.length; i++) {
+      bytes[i] = (bytes[i] + bytes[i - 2]) & 0xFF;
+    }
+    for (let x = 0; x < width; x++) {
+      values.push(bytes[x * 2] * 256 + bytes[x * 2 + 1]);
+    }
+  }
+  return { width, height, bitDepth: chunks[0].data[8], values, types: chunks.map(chunk => chunk.type) };
+};
+
+test('encodeGrayscale16Png round-trips 16-bit values', () => {
+  const width = 300;
+  const height = 7;
+  const values = new Uint16Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    // Long runs mixed with values that need both bytes
+    values[i] = i % 97 < 60 ? 40000 : (i * 7919) & 0xFFFF;
+  }
+
+  const png = encodeGrayscale16Png(values, width, height);
+  const decoded = decodeSamples(png);
+
+  expect(Array.from(png.subarray(0, 8))).toEqual([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+  expect(decoded.types).toEqual(['IHDR', 'IDAT', 'IEND']);
+  expect(decoded.bitDepth).toBe(16);
+  expect([decoded.width, decoded.height]).toEqual([width, height]);
+  expect(decoded.values).toEqual(Array.from(values));
+});
+
+test('encodeGrayscale16Png compresses flat label maps', () => {
+  const values = new Uint16Array(500 * 500).fill(3);
+  expect(encodeGrayscale16Png(values, 500, 500).length).toBeLessThan(20000);
+});
+
+test('encodeGrayscale16Png rejects values outside 16 bits', () => {
+  expect(() => encodeGrayscale16Png([0, 70000], 2, 1)).toThrow(/16 bits/);
+  expect(() => encodeGrayscale16Png([0], 2, 1)).toThrow(/Expected 2 values/);
+});
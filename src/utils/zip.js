@@ -0,0 +1,129 @@
+/**
+ * Minimal in-browser ZIP archive writer.
+ * Entries are stored without compression, which is fine for already
+ * compressed image formats such as PNG, JPEG and WebP.
+ */
+
+// CRC-32 lookup table (polynomial 0xEDB88320)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Computes the CRC-32 checksum of a byte array
+ *
+ * @param {Uint8Array} bytes - The data to checksum
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Converts a date to the MS-DOS time and date fields used by ZIP headers
+ *
+ * @param {Date} date - The date to convert
+ * @returns {Object} Fields as { time, date }
+ */
+const toDosDateTime = (date) => {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+};
+
+/**
+ * Builds a ZIP archive from a list of files
+ *
+ * @param {Array} files - Entries as { name, data } where data is a Uint8Array
+ *                        and name may contain "/" separated folders
+ * @param {Date} [modified] - Modification time recorded for every entry
+ * @returns {Uint8Array} The ZIP archive bytes
+ */
+export const createZip = (files, modified = new Date()) => {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const nameBytes = encoder.encode(file.name);
+    const data = file.data;
+    const checksum = crc32(data);
+
+    // Local file header
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034B50, true); // Signature
+    local.setUint16(4, 20, true); // Version needed to extract
+    local.setUint16(6, 0x0800, true); // Flags: UTF-8 file names
+    local.setUint16(8, 0, true); // Compression: stored
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, checksum, true);
+    local.setUint32(18, data.length, true); // Compressed size
+    local.setUint32(22, data.length, true); // Uncompressed size
+    local.setUint16(26, nameBytes.length, true);
+    local.setUint16(28, 0, true); // Extra field length
+
+    // Central directory header
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014B50, true); // Signature
+    central.setUint16(4, 20, true); // Version made by
+    central.setUint16(6, 20, true); // Version needed to extract
+    central.setUint16(8, 0x0800, true); // Flags: UTF-8 file names
+    central.setUint16(10, 0, true); // Compression: stored
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, checksum, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint16(30, 0, true); // Extra field length
+    central.setUint16(32, 0, true); // Comment length
+    central.setUint16(34, 0, true); // Disk number
+    central.setUint16(36, 0, true); // Internal attributes
+    central.setUint32(38, 0, true); // External attributes
+    central.setUint32(42, offset, true); // Offset of local header
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+
+  // End of central directory record
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054B50, true); // Signature
+  end.setUint16(4, 0, true); // Disk number
+  end.setUint16(6, 0, true); // Disk with central directory
+  end.setUint16(8, files.length, true); // Entries on this disk
+  end.setUint16(10, files.length, true); // Total entries
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true); // Offset of central directory
+  end.setUint16(20, 0, true); // Comment length
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const archive = new Uint8Array(offset + centralSize + 22);
+  let position = 0;
+  parts.forEach(part => {
+    archive.set(part, position);
+    position += part.length;
+  });
+
+  return archive;
+};
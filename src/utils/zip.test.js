@@ -0,0 +1,32 @@
+import { TextEncoder } from 'util';
+import { crc32, createZip } from './zip';
+
+// jsdom does not provide TextEncoder
+global.TextEncoder = TextEncoder;
+
+const bytes = (text) => Uint8Array.from(text, c => c.charCodeAt(0));
+
+test('crc32 matches the standard check value', () => {
+  expect(crc32(bytes('123456789'))).toBe(0xCBF43926);
+});
+
+test('createZip writes stored entries and a central directory', () => {
+  const archive = createZip([
+    { name: 'a-processed.png', data: bytes('hello') },
+    { name: 'folder/b-processed.png', data: bytes('world!') }
+  ]);
+  const view = new DataView(archive.buffer);
+
+  // First local header, followed by its name and data
+  expect(view.getUint32(0, true)).toBe(0x04034B50);
+  expect(view.getUint32(14, true)).toBe(crc32(bytes('hello')));
+  expect(view.getUint32(22, true)).toBe(5);
+
+  // End of central directory record lists both entries
+  const end = archive.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054B50);
+  expect(view.getUint16(end + 10, true)).toBe(2);
+
+  const centralOffset = view.getUint32(end + 16, true);
+  expect(view.getUint32(centralOffset, true)).toBe(0x02014B50);
+});
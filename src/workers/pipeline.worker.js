@@ -0,0 +1,38 @@
+/* eslint-disable no-restricted-globals */
+import { analyzeStepInput, runPipeline } from '../transformations/pipeline';
+import { computeHistograms } from '../utils/histogram';
+
+/**
+ * Web Worker that runs the transformation pipeline off the main thread
+ *
+ * Expects messages of the form
+ * { id, width, height, buffer, transformations, withHistograms, analyzeType }
+ * where buffer is the transferred pixel buffer of the source ImageData.
+ * Posts back 'progress' messages before each step and a single 'result'
+ * (or 'error') message tagged with the same id. With withHistograms set,
+ * the result carries the histograms of the processed image as well, and
+ * with analyzeType the read-outs of that transformation for the result.
+ */
+self.onmessage = (e) => {
+  const { id, width, height, buffer, transformations, withHistograms, analyzeType } = e.data;
+
+  try {
+    const imageData = new ImageData(new Uint8ClampedArray(buffer), width, height);
+
+    const result = runPipeline(imageData, transformations, (step, total, transform) => {
+      self.postMessage({ type: 'progress', id, step, total, transformType: transform.type });
+    });
+
+    const histograms = withHistograms ? computeHistograms(result) : null;
+    const readouts = analyzeType ? analyzeStepInput(result, analyzeType) : null;
+
+    // Transfer the result buffer back instead of copying it
+    const { buffer: resultBuffer } = result.data;
+    self.postMessage(
+      { type: 'result', id, width: result.width, height: result.height, buffer: resultBuffer, histograms, readouts },
+      [resultBuffer]
+    );
+  } catch (error) {
+    self.postMessage({ type: 'error', id, message: error.message });
+  }
+};
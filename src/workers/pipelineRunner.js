@@ -0,0 +1,222 @@
+import { analyzeStepInput, runPipeline } from '../transformations/pipeline';
+import { computeHistograms } from '../utils/histogram';
+
+/**
+ * Creates the error used to reject a run that was superseded by a newer one
+ *
+ * @returns {Error} Error with name 'AbortError'
+ */
+const createAbortError = () => {
+  const error = new Error('Pipeline run was cancelled by a newer request');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Checks whether an error came from a cancelled pipeline run
+ *
+ * @param {Error} error - The error to check
+ * @returns {boolean} True if the run was cancelled
+ */
+export const isAbortError = (error) => !!error && error.name === 'AbortError';
+
+/**
+ * Spawns a new pipeline worker, or returns null when workers are unavailable
+ * (e.g. in the test environment)
+ *
+ * @returns {Worker|null} The worker instance
+ */
+const spawnWorker = () => {
+  if (typeof Worker === 'undefined') {
+    return null;
+  }
+  // Required lazily so environments without Worker never resolve the loader
+  // eslint-disable-next-line import/no-webpack-loader-syntax
+  const createWorker = require('worker-loader!./pipeline.worker.js');
+  return createWorker();
+};
+
+/**
+ * Creates a runner that executes transformation pipelines in a Web Worker.
+ * Only one run is in flight at a time: starting a new run terminates the
+ * worker handling the previous one and rejects its promise with an AbortError.
+ *
+ * @returns {Object} Runner with run(imageData, transformations, onProgress),
+ *                  runWithHistograms(imageData, transformations, onProgress),
+ *                  runWithReadouts(imageData, transformations, analyzeType)
+ *                  and terminate()
+ */
+export const createPipelineRunner = () => {
+  let worker = null;
+  let pending = null;
+  let nextId = 0;
+
+  /**
+   * Stops the worker and cancels any run still in progress
+   */
+  const terminate = () => {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+    if (pending) {
+      pending.reject(createAbortError());
+      pending = null;
+    }
+  };
+
+  /**
+   * Routes worker messages to the pending run they belong to
+   */
+  const handleMessage = (e) => {
+    const message = e.data;
+    if (!pending || message.id !== pending.id) {
+      return;
+    }
+
+    switch (message.type) {
+      case 'progress':
+        if (pending.onProgress) {
+          pending.onProgress(message.step, message.total, message.transformType);
+        }
+        break;
+      case 'result': {
+        const { resolve } = pending;
+        pending = null;
+        resolve({
+          imageData: new ImageData(
+            new Uint8ClampedArray(message.buffer),
+            message.width,
+            message.height
+          ),
+          histograms: message.histograms || null,
+          readouts: message.readouts || null
+        });
+        break;
+      }
+      case 'error': {
+        const { reject } = pending;
+        pending = null;
+        reject(new Error(message.message));
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Rejects the pending run if the worker itself fails (e.g. script errors)
+   */
+  const handleError = (event) => {
+    if (pending) {
+      const { reject } = pending;
+      pending = null;
+      reject(new Error(event.message || 'Pipeline worker failed'));
+    }
+  };
+
+  /**
+   * Starts a run, optionally computing the result's histograms or read-outs too
+   *
+   * @param {ImageData} imageData - Source image data; its buffer is transferred to the worker
+   * @param {Array} transformations - Transformations to apply, in order
+   * @param {Function} [onProgress] - Called with (stepIndex, total, transformType)
+   * @param {Object} [options] - Extra results to compute
+   * @param {boolean} [options.withHistograms] - Whether to compute the result's histograms
+   * @param {string} [options.analyzeType] - Transformation whose read-outs to compute for the result
+   * @returns {Promise<Object>} Resolves with { imageData, histograms, readouts }
+   */
+  const start = (imageData, transformations, onProgress, { withHistograms = false, analyzeType = null } = {}) => {
+    // A newer request always wins over one that is still running
+    if (pending) {
+      terminate();
+    }
+
+    if (!worker) {
+      worker = spawnWorker();
+      if (worker) {
+        worker.onmessage = handleMessage;
+        worker.onerror = handleError;
+      }
+    }
+
+    // Fall back to running on the main thread
+    if (!worker) {
+      try {
+        const result = runPipeline(imageData, transformations, (step, total, transform) => {
+          if (onProgress) onProgress(step, total, transform.type);
+        });
+        return Promise.resolve({
+          imageData: result,
+          histograms: withHistograms ? computeHistograms(result) : null,
+          readouts: analyzeType ? analyzeStepInput(result, analyzeType) : null
+        });
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending = { id, resolve, reject, onProgress };
+      const { buffer } = imageData.data;
+      worker.postMessage({
+        id,
+        width: imageData.width,
+        height: imageData.height,
+        buffer,
+        transformations,
+        withHistograms,
+        analyzeType
+      }, [buffer]);
+    });
+  };
+
+  /**
+   * Runs the transformations over the image data
+   *
+   * @param {ImageData} imageData - Source image data; its buffer is transferred to the worker
+   * @param {Array} transformations - Transformations to apply, in order
+   * @param {Function} [onProgress] - Called with (stepIndex, total, transformType)
+   * @returns {Promise<ImageData>} Resolves with the processed image data
+   */
+  const run = (imageData, transformations, onProgress) => (
+    start(imageData, transformations, onProgress).then(result => result.imageData)
+  );
+
+  /**
+   * Runs the transformations and computes the histograms of the result in
+   * the worker, so displaying them doesn't block the main thread
+   *
+   * @param {ImageData} imageData - Source image data; its buffer is transferred to the worker
+   * @param {Array} transformations - Transformations to apply, in order
+   * @param {Function} [onProgress] - Called with (stepIndex, total, transformType)
+   * @returns {Promise<Object>} Resolves with { imageData, histograms }, the
+   *                            histograms as returned by computeHistograms
+   */
+  const runWithHistograms = (imageData, transformations, onProgress) => (
+    start(imageData, transformations, onProgress, { withHistograms: true })
+  );
+
+  /**
+   * Runs the transformations and computes the read-outs of another
+   * transformation for the result in the worker, e.g. the Otsu threshold of
+   * the input of a threshold step
+   *
+   * @param {ImageData} imageData - Source image data; its buffer is transferred to the worker
+   * @param {Array} transformations - Transformations to apply, in order
+   * @param {string} [analyzeType] - Transformation to analyze the result for;
+   *                               without one, readouts is null
+   * @returns {Promise<Object>} Resolves with { imageData, readouts }, the
+   *                            read-outs as returned by the transformation's analyze
+   */
+  const runWithReadouts = (imageData, transformations, analyzeType) => (
+    start(imageData, transformations, null, { analyzeType }).then(({ imageData: result, readouts }) => ({
+      imageData: result,
+      readouts
+    }))
+  );
+
+  return { run, runWithHistograms, runWithReadouts, terminate };
+};
@@ -0,0 +1,164 @@
+import { createPipelineRunner, isAbortError } from './pipelineRunner';
+import { createImage } from '../testing/images';
+
+// Workers spawned by the runner, newest last
+const mockWorkers = [];
+
+/**
+ * Stands in for the pipeline worker, recording what the runner sends it
+ */
+class MockWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  // Delivers a message as if the worker had posted it
+  reply(data) {
+    this.onmessage({ data });
+  }
+}
+
+jest.mock('worker-loader!./pipeline.worker.js', () => () => {
+  const worker = new MockWorker();
+  mockWorkers.push(worker);
+  return worker;
+}, { virtual: true });
+
+const image = () => createImage(2, 1, x => x * 100);
+
+const resultFor = (message) => ({
+  type: 'result',
+  id: message.id,
+  width: message.width,
+  height: message.height,
+  buffer: new Uint8ClampedArray(message.width * message.height * 4).fill(7).buffer
+});
+
+beforeEach(() => {
+  mockWorkers.length = 0;
+  global.Worker = MockWorker;
+});
+
+afterEach(() => {
+  delete global.Worker;
+});
+
+test('a run resolves with the image posted back by the worker and reports progress', async () => {
+  const runner = createPipelineRunner();
+  const onProgress = jest.fn();
+  const promise = runner.run(image(), [{ type: 'grayscale' }], onProgress);
+
+  const [worker] = mockWorkers;
+  const [message] = worker.messages;
+  expect(message.transformations).toEqual([{ type: 'grayscale' }]);
+  expect(message.withHistograms).toBe(false);
+
+  worker.reply({ type: 'progress', id: message.id, step: 0, total: 1, transformType: 'grayscale' });
+  expect(onProgress).toHaveBeenCalledWith(0, 1, 'grayscale');
+
+  worker.reply(resultFor(message));
+  const result = await promise;
+  expect(result.width).toBe(2);
+  expect(Array.from(result.data)).toEqual(new Array(8).fill(7));
+});
+
+test('a newer run terminates the worker and rejects the older run with an AbortError', async () => {
+  const runner = createPipelineRunner();
+  const first = runner.run(image(), []);
+  const second = runner.run(image(), []);
+
+  await expect(first).rejects.toMatchObject({ name: 'AbortError' });
+  expect(mockWorkers).toHaveLength(2);
+  expect(mockWorkers[0].terminated).toBe(true);
+
+  // The newer run is served by the fresh worker
+  const worker = mockWorkers[1];
+  worker.reply(resultFor(worker.messages[0]));
+  await expect(second).resolves.toBeInstanceOf(ImageData);
+});
+
+test('terminate stops the worker and rejects the pending run', async () => {
+  const runner = createPipelineRunner();
+  const promise = runner.run(image(), []);
+  runner.terminate();
+
+  const error = await promise.catch(e => e);
+  expect(isAbortError(error)).toBe(true);
+  expect(mockWorkers[0].terminated).toBe(true);
+
+  // Terminating an idle runner is harmless
+  expect(() => runner.terminate()).not.toThrow();
+});
+
+test('errors from a step or the worker itself reject the run', async () => {
+  const runner = createPipelineRunner();
+  const failing = runner.run(image(), []);
+  const [worker] = mockWorkers;
+  worker.reply({ type: 'error', id: worker.messages[0].id, message: 'Unknown transformation' });
+  await expect(failing).rejects.toThrow('Unknown transformation');
+  expect(isAbortError(await failing.catch(e => e))).toBe(false);
+
+  const crashed = runner.run(image(), []);
+  worker.onerror({ message: 'Script error' });
+  await expect(crashed).rejects.toThrow('Script error');
+});
+
+test('messages from a superseded run are ignored', async () => {
+  const runner = createPipelineRunner();
+  const onProgress = jest.fn();
+  const first = runner.run(image(), [], onProgress).catch(e => e);
+  const stale = mockWorkers[0].messages[0];
+  const second = runner.run(image(), []);
+
+  const worker = mockWorkers[1];
+  worker.reply({ type: 'progress', id: stale.id, step: 0, total: 1, transformType: 'blur' });
+  worker.reply(resultFor(stale));
+  expect(onProgress).not.toHaveBeenCalled();
+
+  worker.reply(resultFor(worker.messages[0]));
+  await second;
+  expect(isAbortError(await first)).toBe(true);
+});
+
+test('runs on the main thread when workers are unavailable', async () => {
+  delete global.Worker;
+  const runner = createPipelineRunner();
+  const { imageData, histograms } = await runner.runWithHistograms(image(), [{ type: 'invert' }]);
+
+  expect(mockWorkers).toHaveLength(0);
+  expect(Array.from(imageData.data.slice(0, 4))).toEqual([255, 255, 255, 255]);
+  expect(histograms).not.toBeNull();
+});
+
+test('read-outs are computed in the worker along with the step input', async () => {
+  const runner = createPipelineRunner();
+  const promise = runner.runWithReadouts(image(), [], 'threshold');
+
+  const [worker] = mockWorkers;
+  const [message] = worker.messages;
+  expect(message.analyzeType).toBe('threshold');
+
+  const readouts = [{ label: 'Otsu threshold', value: 50 }];
+  worker.reply({ ...resultFor(message), readouts });
+  const result = await promise;
+  expect(result.readouts).toEqual(readouts);
+  expect(result.imageData).toBeInstanceOf(ImageData);
+});
+
+test('read-outs are computed on the main thread when workers are unavailable', async () => {
+  delete global.Worker;
+  const runner = createPipelineRunner();
+
+  const { readouts } = await runner.runWithReadouts(image(), [], 'threshold');
+  expect(readouts).toEqual([expect.objectContaining({ label: 'Otsu threshold' })]);
+  expect((await runner.runWithReadouts(image(), [], 'invert')).readouts).toBeNull();
+});